@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * sdlc - AI SDLC Framework command line entry point
+ */
+
+const { run } = require('../scripts/lib/cli');
+
+run(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * AI Results Aggregator
+ * Merges every analyzer report into one normalized findings document
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { SCHEMA_VERSION, SEVERITIES, countBySeverity } = require('./lib/finding');
+const { exitWithError } = require('./lib/gate');
+const { DEFAULT_HISTORY, appendRun, createRun } = require('./lib/history');
+
+const TOOL_REPORTS = {
+  review: 'ai-review-results.json',
+  security: 'security-scan-results.json',
+  performance: 'performance-analysis-results.json',
+  style: 'code-style-review-results.json'
+};
+
+const AGGREGATE_REPORT = 'sdlc-results.json';
+
+class ResultsAggregator {
+  constructor (options = {}) {
+    this.outputDir = options.outputDir || '.';
+    this.tools = options.tools || Object.keys(TOOL_REPORTS);
+    this.results = {
+      tools: {},
+      findings: [],
+      suppressed: [],
+      warnings: []
+    };
+  }
+
+  async aggregate () {
+    console.log(chalk.blue('🧩 AI Results Aggregation Starting...'));
+
+    try {
+      const document = this.buildDocument();
+      fs.writeFileSync(path.join(this.outputDir, AGGREGATE_REPORT), JSON.stringify(document, null, 2));
+
+      console.log(chalk.green('✅ Results Aggregation Complete!'));
+      console.log(chalk.blue(`📦 ${document.summary.totalFindings} findings from ${Object.keys(document.tools).length} tools`));
+
+      return document;
+    } catch (error) {
+      console.error(chalk.red('❌ Error during results aggregation:'), error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the aggregated document from whichever tool reports are present
+   */
+  buildDocument () {
+    for (const tool of this.tools) {
+      const file = TOOL_REPORTS[tool];
+      const report = this.readReport(tool, file);
+      if (report) {
+        this.addReport(tool, file, report);
+      }
+    }
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      timestamp: new Date().toISOString(),
+      tools: this.results.tools,
+      summary: this.summarize(),
+      warnings: this.results.warnings,
+      findings: this.results.findings,
+      suppressed: this.results.suppressed
+    };
+  }
+
+  readReport (tool, file) {
+    const reportPath = path.join(this.outputDir, file);
+    if (!fs.existsSync(reportPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    } catch (error) {
+      this.results.warnings.push(`${file}: could not be parsed (${error.message})`);
+      return null;
+    }
+  }
+
+  addReport (tool, file, report) {
+    if (!this.isCompatible(report.schemaVersion)) {
+      this.results.warnings.push(`${file}: schema version ${report.schemaVersion || 'missing'} is not compatible with ${SCHEMA_VERSION}`);
+      return;
+    }
+
+    const findings = report.findings || [];
+    const suppressed = report.suppressed || [];
+
+    this.results.tools[tool] = {
+      source: file,
+      timestamp: report.timestamp,
+      score: report.score,
+      scoreBreakdown: report.scoreBreakdown || null,
+      rules: report.rules || {},
+      totalFindings: findings.length,
+      findingsBySeverity: countBySeverity(findings),
+      suppressedFindings: suppressed.length,
+      unusedSuppressions: (report.unusedSuppressions || []).length,
+      skippedFiles: (report.skippedFiles || []).length,
+      baseline: report.baseline
+        ? { newFindings: report.baseline.newFindings, knownFindings: report.baseline.knownFindings, resolvedFindings: report.baseline.resolvedFindings }
+        : null
+    };
+    this.results.findings.push(...findings);
+    this.results.suppressed.push(...suppressed);
+  }
+
+  /**
+   * Reports are compatible when they share the schema's major version
+   */
+  isCompatible (version) {
+    return typeof version === 'string' && version.split('.')[0] === SCHEMA_VERSION.split('.')[0];
+  }
+
+  summarize () {
+    const byTool = {};
+    for (const [tool, info] of Object.entries(this.results.tools)) {
+      byTool[tool] = info.totalFindings;
+    }
+
+    const byRule = {};
+    for (const finding of this.results.findings) {
+      byRule[finding.ruleId] = (byRule[finding.ruleId] || 0) + 1;
+    }
+
+    return {
+      totalFindings: this.results.findings.length,
+      suppressedFindings: this.results.suppressed.length,
+      bySeverity: countBySeverity(this.results.findings),
+      byTool,
+      byRule,
+      highestSeverity: SEVERITIES.find(severity =>
+        this.results.findings.some(finding => finding.severity === severity)) || null
+    };
+  }
+}
+
+// Run results aggregator; the standalone analyzer scripts run in full, so the result is recorded in the history
+if (require.main === module) {
+  const aggregator = new ResultsAggregator();
+  aggregator.aggregate()
+    .then(document => {
+      if (Object.keys(document.tools).length > 0) {
+        appendRun(path.join(aggregator.outputDir, DEFAULT_HISTORY), createRun(document));
+      }
+    })
+    .catch(exitWithError);
+}
+
+module.exports = ResultsAggregator;
+module.exports.AGGREGATE_REPORT = AGGREGATE_REPORT;
+module.exports.TOOL_REPORTS = TOOL_REPORTS;
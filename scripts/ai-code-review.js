@@ -7,37 +7,121 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { RuleEngine } = require('./lib/rule-engine');
+const { registerRulePacks } = require('./lib/rule-packs');
+const detect = require('./lib/detectors');
+const { measureFile } = require('./lib/complexity');
+const { CloneDetector, tokenizeFile } = require('./lib/clones');
+const { ModuleGraph, scanModule } = require('./lib/module-graph');
+const { SCHEMA_VERSION, createFinding, formatLocation, toSchemaFinding } = require('./lib/finding');
+const { calculateScore, countCodeLines, explainScore } = require('./lib/scoring');
+const { LLMReviewer } = require('./lib/llm-review');
+const { applySuppressions, logSuppressions } = require('./lib/suppressions');
+const { BaselineMatcher } = require('./lib/baseline');
+const { DiffScope, getRepositoryRoot } = require('./lib/diff-scope');
+const { currentCommit } = require('./lib/history');
+const { REVIEW_PAYLOAD, buildPullRequestReview } = require('./lib/pr-review');
+const { AnalysisCache, DEFAULT_CACHE_DIR } = require('./lib/analysis-cache');
+const { discoverFiles, TEST_FILE_PATTERNS, logSkippedFiles } = require('./lib/file-discovery');
+const { evaluateGate, exitWithError, exitWithGate } = require('./lib/gate');
+
+// Rules reported after the file loop, from the clone detector and the module graph
+const PROJECT_RULES = {
+  duplicateCode: { id: 'duplicate-code', severity: 'info', category: 'maintainability', message: 'Code duplicated elsewhere in the project - extract a shared function' },
+  unusedExport: { id: 'unused-export', severity: 'low', category: 'deadCode', message: 'Export never imported by another file - remove the export' }
+};
 
 class AICodeReviewer {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).review;
+    this.outputDir = options.outputDir || '.';
+    this.baseline = new BaselineMatcher('review', options.baseline);
+    this.scope = options.scope || new DiffScope();
+    // {changedLines, root?, commitId?} of a pull request to write inline review comments for
+    this.pullRequest = options.pullRequest || null;
+    this.concurrency = options.concurrency || 1;
+    this.fileTimeout = options.fileTimeout;
+    // llm: false keeps the heuristics even when a provider is configured, e.g. in watch mode
+    this.llm = new LLMReviewer(this.config.llm, options.llm === false ? { provider: null } : {});
+    this.clones = this.config.duplication.enabled ? new CloneDetector(this.config.duplication) : null;
+    // file -> sdlc-disable directives, for findings that span files and are made after the file loop
+    this.directives = new Map();
+    const { deadCode } = this.config;
+    this.moduleGraph = deadCode.enabled && deadCode.unusedExports ? new ModuleGraph({ extensions: this.config.extensions }) : null;
+
     this.reviewResults = {
       score: 0,
+      scoreBreakdown: null,
+      linesOfCode: 0,
       issues: [],
+      baselined: [],
+      suppressed: [],
+      unusedSuppressions: [],
+      skippedFiles: [],
       suggestions: [],
+      aiComments: [],
       positives: [],
+      duplication: null,
       fileAnalysis: []
     };
 
+    const { functionLimits } = this.config;
+    const { ignorePattern } = deadCode;
     this.patterns = {
       securityIssues: [
-        { pattern: /eval\s*\(/, severity: 'high', message: 'Use of eval() detected - potential security risk' },
-        { pattern: /innerHTML\s*=/, severity: 'medium', message: 'innerHTML assignment detected - potential XSS vulnerability' },
-        { pattern: /document\.write\s*\(/, severity: 'medium', message: 'document.write() detected - potential security issue' },
-        { pattern: /Math\.random\(\)/, severity: 'low', message: 'Math.random() detected - not cryptographically secure' }
+        { id: 'no-eval', create: detect.call('eval'), severity: 'high', message: 'Use of eval() detected - potential security risk' },
+        { id: 'no-inner-html', create: detect.assignment('innerHTML'), severity: 'medium', message: 'innerHTML assignment detected - potential XSS vulnerability' },
+        { id: 'no-document-write', create: detect.methodCall('document', 'write'), severity: 'medium', message: 'document.write() detected - potential security issue' },
+        { id: 'insecure-random', create: detect.methodCall('Math', 'random'), severity: 'low', message: 'Math.random() detected - not cryptographically secure' }
       ],
       performanceIssues: [
-        { pattern: /for\s*\(\s*.*\s*in\s*.*\s*\)/, severity: 'medium', message: 'for...in loop detected - consider using for...of or Array methods' },
-        { pattern: /\.\s*getElementById\s*\(/, severity: 'low', message: 'Direct DOM access - consider caching references' },
-        { pattern: /console\.log\s*\(/, severity: 'low', message: 'console.log() detected - remove in production' }
+        { id: 'no-for-in', create: detect.nodeType('ForInStatement'), severity: 'medium', message: 'for...in loop detected - consider using for...of or Array methods' },
+        { id: 'dom-query', create: detect.methodCall(null, 'getElementById'), severity: 'low', message: 'Direct DOM access - consider caching references' },
+        { id: 'no-console-log', create: detect.methodCall('console', 'log'), severity: 'low', message: 'console.log() detected - remove in production' }
       ],
       codeQuality: [
-        { pattern: /var\s+\w+\s*=/, severity: 'low', message: 'var keyword detected - consider using let or const' },
-        { pattern: /==\s*[^=]/, severity: 'medium', message: '== operator detected - consider using === for strict equality' },
-        { pattern: /function\s*\(\s*\)\s*{/, severity: 'low', message: 'Empty function detected - verify if needed' }
-      ]
+        { id: 'no-var', create: detect.declaration('var'), severity: 'low', message: 'var keyword detected - consider using let or const' },
+        { id: 'eqeqeq', create: detect.binary('=='), severity: 'medium', message: '== operator detected - consider using === for strict equality' },
+        { id: 'no-empty-function', create: detect.emptyFunction(), severity: 'low', message: 'Empty function detected - verify if needed' }
+      ],
+      maintainability: [
+        { id: 'complexity', metric: 'cyclomatic', severity: 'medium', message: 'Function has too many branches - consider splitting it up' },
+        { id: 'cognitive-complexity', metric: 'cognitive', severity: 'medium', message: 'Function is hard to follow - consider flattening nested logic' },
+        { id: 'max-depth', metric: 'nesting', severity: 'low', message: 'Blocks nested too deeply - consider early returns' },
+        { id: 'max-params', metric: 'params', severity: 'low', message: 'Too many parameters - consider an options object' },
+        { id: 'max-lines-per-function', metric: 'lines', severity: 'low', message: 'Function is too long - consider splitting it up' }
+      ].filter(rule => functionLimits[rule.metric] > 0).map(rule => ({
+        ...rule,
+        max: functionLimits[rule.metric],
+        create: detect.functionMetric(rule.metric, functionLimits[rule.metric])
+      })),
+      deadCode: deadCode.enabled
+        ? [
+          { id: 'no-unreachable', create: detect.unreachable(), severity: 'medium', message: 'Unreachable code after return, throw, break or continue' },
+          { id: 'no-unused-vars', ignorePattern, create: detect.unusedDeclaration({ functions: false, ignorePattern }), severity: 'low', message: 'Unused variable - remove it or use it' },
+          { id: 'no-unused-functions', ignorePattern, create: detect.unusedDeclaration({ functions: true, ignorePattern }), severity: 'low', message: 'Unused function - remove it or use it' }
+        ].filter(rule => rule.id !== 'no-unused-vars' || deadCode.unusedVariables)
+        : []
     };
+
+    this.engine = new RuleEngine();
+    for (const [category, rules] of Object.entries(this.patterns)) {
+      this.engine.registerAll(rules, { category });
+    }
+    const packFiles = registerRulePacks(this.engine, this.config.rulePacks);
+
+    this.cache = new AnalysisCache('review', this.engine, {
+      enabled: options.cache,
+      cacheDir: path.join(this.outputDir, DEFAULT_CACHE_DIR),
+      sources: [__filename, require.resolve('./lib/clones'), require.resolve('./lib/module-graph'), ...packFiles],
+      extras: {
+        functionMetrics: measureFile,
+        ...(this.clones ? { cloneTokens: tokenizeFile } : {}),
+        ...(this.moduleGraph ? { moduleInfo: scanModule } : {})
+      }
+    });
   }
 
   /**
@@ -48,13 +132,27 @@ class AICodeReviewer {
 
     try {
       // Find all relevant files
-      const files = this.findFilesToReview(targetPath);
+      const candidates = this.findFilesToReview(targetPath).filter(file => this.scope.includesFile(file));
+
+      // With --concurrency or --file-timeout, files are parsed on worker threads before the ordered loop below
+      const { files, timedOut } = await this.cache.prefetch(candidates, {
+        concurrency: this.concurrency,
+        timeout: this.fileTimeout,
+        analyzer: __filename,
+        config: this.config
+      });
+      this.reviewResults.skippedFiles.push(...timedOut);
 
       // Analyze each file
       for (const file of files) {
         await this.analyzeFile(file);
       }
 
+      // Look for code copied between the reviewed files
+      this.detectDuplication();
+      this.detectUnusedExports(targetPath);
+      this.cache.save();
+
       // Calculate overall score
       this.calculateScore();
 
@@ -63,6 +161,9 @@ class AICodeReviewer {
 
       console.log(chalk.green('✅ AI Code Review Complete!'));
       console.log(chalk.blue(`📊 Overall Score: ${this.reviewResults.score}/100`));
+      logSuppressions(this.reviewResults.suppressed, this.reviewResults.unusedSuppressions);
+      logSkippedFiles(this.reviewResults.skippedFiles);
+      this.cache.logStats();
 
       return this.reviewResults;
     } catch (error) {
@@ -75,34 +176,13 @@ class AICodeReviewer {
    * Find all files to review
    */
   findFilesToReview (targetPath) {
-    const files = [];
-    const extensions = ['.js', '.jsx', '.ts', '.tsx'];
-
-    const scanDir = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory()) {
-            // Skip node_modules and .git
-            if (!['node_modules', '.git', 'coverage', 'dist'].includes(item)) {
-              scanDir(fullPath);
-            }
-          } else {
-            const ext = path.extname(item);
-            if (extensions.includes(ext) && !item.includes('.test.') && !item.includes('.spec.')) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
+    const { includeTests, exclude } = this.config;
+    const { files, skipped } = discoverFiles(targetPath, {
+      ...this.config,
+      exclude: includeTests ? exclude : [...exclude, ...TEST_FILE_PATTERNS]
+    });
 
-    scanDir(targetPath);
+    this.reviewResults.skippedFiles = skipped;
     return files;
   }
 
@@ -120,30 +200,33 @@ class AICodeReviewer {
         file: relativePath,
         issues: [],
         suggestions: [],
-        positives: [],
-        metrics: this.calculateMetrics(content)
+        positives: []
       };
 
-      // Check for security issues
-      this.checkPatterns(content, this.patterns.securityIssues, fileAnalysis.issues);
-
-      // Check for performance issues
-      this.checkPatterns(content, this.patterns.performanceIssues, fileAnalysis.issues);
+      // Check for security, performance and code quality issues
+      const { functionMetrics, cloneTokens, moduleInfo } = this.checkPatterns(content, filePath, fileAnalysis.issues);
+      fileAnalysis.metrics = this.calculateMetrics(content, functionMetrics);
 
-      // Check for code quality issues
-      this.checkPatterns(content, this.patterns.codeQuality, fileAnalysis.issues);
+      if (this.clones) {
+        this.clones.addFile(relativePath, content, filePath, cloneTokens);
+      }
+      if (this.moduleGraph) {
+        this.moduleGraph.addFile(relativePath, content, filePath, {}, moduleInfo);
+      }
 
-      // Generate suggestions based on analysis
-      this.generateSuggestions(content, fileAnalysis);
+      // Ask the configured model for suggestions, or fall back to heuristics
+      await this.generateSuggestions(content, filePath, fileAnalysis);
 
       // Identify positive aspects
       this.identifyPositives(content, fileAnalysis);
 
       this.reviewResults.fileAnalysis.push(fileAnalysis);
+      this.reviewResults.linesOfCode += countCodeLines(content);
 
       // Aggregate to overall results
       this.reviewResults.issues.push(...fileAnalysis.issues);
       this.reviewResults.suggestions.push(...fileAnalysis.suggestions);
+      this.reviewResults.aiComments.push(...(fileAnalysis.aiComments || []));
       this.reviewResults.positives.push(...fileAnalysis.positives);
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Could not analyze ${filePath}: ${error.message}`));
@@ -151,35 +234,151 @@ class AICodeReviewer {
   }
 
   /**
-   * Check for patterns in code
+   * Check for rule violations in code
+   * @returns {Object} The cached analysis of the file, with its cache extras
+   */
+  checkPatterns (content, filePath, issues) {
+    const file = path.relative(process.cwd(), filePath);
+    const result = this.cache.check(content, filePath);
+    const { findings, suppressed, unusedSuppressions, directives } = result;
+    this.directives.set(path.resolve(filePath), directives);
+
+    // Findings already recorded in the baseline are kept out of the score
+    const { fresh, known } = this.baseline.partition(file, findings.map(match =>
+      createFinding(match, { file, category: match.rule.category })));
+    issues.push(...this.scope.filter(filePath, fresh));
+    this.reviewResults.baselined.push(...this.scope.filter(filePath, known));
+
+    // Suppressed findings are reported separately and never cost points
+    for (const match of this.scope.filter(filePath, suppressed)) {
+      this.reviewResults.suppressed.push(createFinding(match, { file, category: match.rule.category, suppression: match.suppression }));
+    }
+    this.reviewResults.unusedSuppressions.push(...this.scope.filter(filePath, unusedSuppressions).map(directive => ({ file, ...directive })));
+    return result;
+  }
+
+  /**
+   * Record a finding made outside the rule engine, e.g. a copy found across
+   * files. Like engine findings, it honors the sdlc-disable directives of its
+   * file, the baseline and the diff scope.
+   * @param {string} file - Path relative to the working directory
+   * @param {Object} match - Shaped like a rule engine match
    */
-  checkPatterns (content, patterns, issues) {
-    for (const { pattern, severity, message } of patterns) {
-      const matches = content.match(new RegExp(pattern, 'g'));
-      if (matches) {
-        for (let i = 0; i < matches.length; i++) {
-          const lines = content.split('\n');
-          let lineNumber = 0;
-
-          // Find line number for this occurrence
-          const beforeMatch = content.substring(0, content.indexOf(matches[i]));
-          lineNumber = beforeMatch.split('\n').length;
-
-          issues.push({
-            severity,
-            message,
-            line: lineNumber,
-            pattern: pattern.toString()
-          });
-        }
+  recordFinding (file, match) {
+    const filePath = path.resolve(file);
+    const { findings, suppressed } = applySuppressions([match], this.directives.get(filePath) || [], new Set());
+    const { category } = match.rule;
+
+    const { fresh, known } = this.baseline.partition(file, findings.map(active => createFinding(active, { file, category })));
+    this.reviewResults.issues.push(...this.scope.filter(filePath, fresh));
+    this.reviewResults.baselined.push(...this.scope.filter(filePath, known));
+    for (const silenced of this.scope.filter(filePath, suppressed)) {
+      this.reviewResults.suppressed.push(createFinding(silenced, { file, category, suppression: silenced.suppression }));
+    }
+  }
+
+  /**
+   * Report every later copy of a clone group as a duplicate-code finding and
+   * record the duplication percentage, which is deducted from the score
+   */
+  detectDuplication () {
+    if (!this.clones) {
+      return;
+    }
+
+    const { groups, ...stats } = this.clones.detect();
+    const rule = PROJECT_RULES.duplicateCode;
+
+    for (const group of groups) {
+      const [original, ...copies] = group.occurrences;
+      for (const { file, snippet, ...range } of copies) {
+        const match = {
+          ruleId: rule.id,
+          rule,
+          message: `Duplicates ${original.file}:${original.line}-${original.endLine} (type-${group.type} clone, ${group.tokens} tokens)`,
+          ...range,
+          code: snippet.split('\n')[0].trim(),
+          snippet
+        };
+        this.recordFinding(file, match);
       }
     }
+
+    this.reviewResults.duplication = {
+      ...stats,
+      minTokens: this.clones.minTokens,
+      groups: groups.map(({ type, tokens, occurrences }) => ({
+        type,
+        tokens,
+        occurrences: occurrences.map(({ file, line, endLine }) => ({ file, line, endLine }))
+      }))
+    };
   }
 
   /**
-   * Generate improvement suggestions
+   * Report named exports that no other file imports. Importers are found
+   * across the whole project, from the git root or the working directory, so
+   * reviewing a subdirectory still counts its tests and callers; only the
+   * reviewed files' exports are judged. Importers are only parsed when the
+   * analysis cache holds no summary of their current content.
    */
-  generateSuggestions (content, fileAnalysis) {
+  detectUnusedExports (targetPath) {
+    if (!this.moduleGraph || ![...this.moduleGraph.modules.values()].some(module => module.exports.size > 0)) {
+      return;
+    }
+
+    const { files } = discoverFiles(this.projectRoot(targetPath), this.config);
+    for (const filePath of files.filter(file => !this.moduleGraph.modules.has(path.resolve(file)))) {
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const summary = this.cache.extra('moduleInfo', content, filePath);
+        this.moduleGraph.addFile(path.relative(process.cwd(), filePath), content, filePath, { report: false }, summary);
+      } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not read ${filePath}: ${error.message}`));
+      }
+    }
+
+    const rule = PROJECT_RULES.unusedExport;
+    for (const { file, name, snippet, ...range } of this.moduleGraph.unusedExports()) {
+      this.recordFinding(file, { ruleId: rule.id, rule, message: `Export ${name} is never imported`, ...range, code: snippet.trim(), snippet });
+    }
+  }
+
+  /**
+   * Directory searched for importers: the git root of the reviewed path,
+   * else the working directory when it contains the path, else the path itself
+   */
+  projectRoot (targetPath) {
+    const resolved = path.resolve(targetPath);
+    const dir = fs.existsSync(resolved) && fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+    try {
+      return getRepositoryRoot({ cwd: dir });
+    } catch (error) {
+      const relative = path.relative(process.cwd(), dir);
+      return relative.startsWith('..') || path.isAbsolute(relative) ? dir : process.cwd();
+    }
+  }
+
+  /**
+   * Generate improvement suggestions from the LLM provider when one is
+   * configured; files it can't review get the heuristic suggestions
+   */
+  async generateSuggestions (content, filePath, fileAnalysis) {
+    const comments = this.llm.enabled ? await this.llm.reviewFile(filePath, content, this.scope) : null;
+
+    if (!comments) {
+      this.generateHeuristicSuggestions(content, fileAnalysis);
+      return;
+    }
+
+    fileAnalysis.aiComments = this.scope.filter(filePath, comments);
+    fileAnalysis.suggestions.push(...fileAnalysis.aiComments.map(comment => `${formatLocation(comment)} ${comment.message}`));
+  }
+
+  /**
+   * Keyword heuristics used when no LLM provider is configured
+   */
+  generateHeuristicSuggestions (content, fileAnalysis) {
     // Suggest using modern JavaScript features
     if (content.includes('var ')) {
       fileAnalysis.suggestions.push('Consider using let/const instead of var for better scoping');
@@ -201,7 +400,7 @@ class AICodeReviewer {
     }
 
     // Suggest testing
-    if (fileAnalysis.metrics.complexity > 10) {
+    if (fileAnalysis.metrics.complexity > this.config.thresholds.complexity) {
       fileAnalysis.suggestions.push('Consider reducing complexity or adding more tests');
     }
   }
@@ -231,15 +430,17 @@ class AICodeReviewer {
       fileAnalysis.positives.push('Uses arrow functions - modern syntax');
     }
 
-    if (fileAnalysis.metrics.complexity < 5) {
+    if (fileAnalysis.metrics.complexity < this.config.thresholds.lowComplexity) {
       fileAnalysis.positives.push('Low complexity - easy to maintain');
     }
   }
 
   /**
-   * Calculate code metrics
+   * Calculate code metrics; complexity is that of the most complex function
+   * or of the top-level code, whichever is higher
+   * @param {{functions: Object[], program: ?Object}} functionMetrics - measureFile result, from the cache
    */
-  calculateMetrics (content) {
+  calculateMetrics (content, { functions, program }) {
     const lines = content.split('\n');
     const nonEmptyLines = lines.filter(line => line.trim().length > 0);
     const commentLines = lines.filter(line =>
@@ -248,15 +449,16 @@ class AICodeReviewer {
       line.trim().startsWith('*')
     );
 
-    // Simple complexity calculation
-    const complexity = (content.match(/if|for|while|switch|catch/g) || []).length;
+    const highest = (metric) => Math.max(program ? program[metric] : 0, ...functions.map(fn => fn[metric]));
 
     return {
       totalLines: lines.length,
       codeLines: nonEmptyLines.length,
       commentLines: commentLines.length,
-      complexity,
-      commentRatio: commentLines.length / nonEmptyLines.length || 0
+      complexity: highest('cyclomatic'),
+      cognitiveComplexity: highest('cognitive'),
+      commentRatio: commentLines.length / nonEmptyLines.length || 0,
+      functions
     };
   }
 
@@ -264,28 +466,18 @@ class AICodeReviewer {
    * Calculate overall review score
    */
   calculateScore () {
-    let score = 100;
-
-    // Deduct points for issues
-    for (const issue of this.reviewResults.issues) {
-      switch (issue.severity) {
-      case 'high':
-        score -= 10;
-        break;
-      case 'medium':
-        score -= 5;
-        break;
-      case 'low':
-        score -= 2;
-        break;
-      }
-    }
-
-    // Bonus points for positives
-    score += Math.min(this.reviewResults.positives.length * 2, 20);
-
-    // Ensure score is within bounds
-    this.reviewResults.score = Math.max(0, Math.min(100, score));
+    const { severityWeights, positiveBonus, normalization, duplication } = this.config;
+    const duplicated = this.reviewResults.duplication;
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'issues', items: this.reviewResults.issues, weights: severityWeights }],
+      rates: duplicated ? [{ label: 'duplicated lines', percentage: duplicated.percentage, weight: duplication.weight }] : [],
+      bonus: { label: 'positives', count: this.reviewResults.positives.length, ...positiveBonus },
+      linesOfCode: this.reviewResults.linesOfCode,
+      normalization
+    });
+
+    this.reviewResults.score = score;
+    this.reviewResults.scoreBreakdown = breakdown;
   }
 
   /**
@@ -293,24 +485,60 @@ class AICodeReviewer {
    */
   async generateReviewReport () {
     const report = {
+      schemaVersion: SCHEMA_VERSION,
+      tool: 'review',
       timestamp: new Date().toISOString(),
       score: this.reviewResults.score,
+      scoreBreakdown: this.reviewResults.scoreBreakdown,
       summary: {
         totalFiles: this.reviewResults.fileAnalysis.length,
         totalIssues: this.reviewResults.issues.length,
         totalSuggestions: this.reviewResults.suggestions.length,
         totalPositives: this.reviewResults.positives.length
       },
+      llm: this.llm.summary(),
+      aiComments: this.reviewResults.aiComments,
+      duplication: this.reviewResults.duplication,
       issuesBySeverity: this.groupIssuesBySeverity(),
       fileAnalysis: this.reviewResults.fileAnalysis,
-      recommendations: this.generateRecommendations()
+      recommendations: this.generateRecommendations(),
+      rules: this.engine.describe(Object.values(PROJECT_RULES)),
+      findings: this.reviewResults.issues.map(issue => toSchemaFinding(issue, 'review')),
+      suppressed: this.reviewResults.suppressed.map(issue => toSchemaFinding(issue, 'review')),
+      unusedSuppressions: this.reviewResults.unusedSuppressions,
+      baseline: this.baseline.summary(this.reviewResults.issues.length, this.reviewResults.baselined.length),
+      skippedFiles: this.reviewResults.skippedFiles
     };
 
     // Save detailed report
-    fs.writeFileSync('ai-review-results.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'ai-review-results.json'), JSON.stringify(report, null, 2));
 
     // Generate summary for PR comments
     this.generatePRSummary(report);
+
+    if (this.pullRequest) {
+      this.generateReviewPayload(report);
+    }
+  }
+
+  /**
+   * Write a GitHub pull request review with an inline comment for each finding
+   * on a changed line
+   */
+  generateReviewPayload (report) {
+    const { changedLines, root = getRepositoryRoot(), commitId = currentCommit().commit } = this.pullRequest;
+    const { payload, stats } = buildPullRequestReview({
+      findings: report.findings,
+      comments: report.aiComments,
+      changedLines,
+      root,
+      commitId,
+      maxComments: this.config.maxInlineComments,
+      summary: `## 🤖 AI Code Review\n\n📊 Score ${report.score}/100 · ${report.summary.totalIssues} issues · ${report.summary.totalSuggestions} suggestions`
+    });
+
+    fs.writeFileSync(path.join(this.outputDir, REVIEW_PAYLOAD), JSON.stringify(payload, null, 2));
+    console.log(chalk.blue(`💬 Pull request review: ${stats.anchored} inline comments, ${stats.outsideDiff} findings outside the changed lines`));
   }
 
   /**
@@ -324,7 +552,7 @@ class AICodeReviewer {
     };
 
     for (const issue of this.reviewResults.issues) {
-      grouped[issue.severity].push(issue);
+      (grouped[issue.severity] = grouped[issue.severity] || []).push(issue);
     }
 
     return grouped;
@@ -335,26 +563,54 @@ class AICodeReviewer {
    */
   generateRecommendations () {
     const recommendations = [];
+    const { thresholds } = this.config;
 
     if (this.reviewResults.issues.filter(i => i.severity === 'high').length > 0) {
       recommendations.push('🚨 Address high-severity security issues immediately');
     }
 
-    if (this.reviewResults.issues.filter(i => i.severity === 'medium').length > 5) {
+    if (this.reviewResults.issues.filter(i => i.severity === 'medium').length > thresholds.mediumIssues) {
       recommendations.push('⚠️ Consider addressing medium-priority issues to improve code quality');
     }
 
-    if (this.reviewResults.suggestions.length > 10) {
+    if (this.reviewResults.suggestions.length > thresholds.suggestions) {
       recommendations.push('💡 Many improvement opportunities - consider refactoring for maintainability');
     }
 
-    if (this.reviewResults.score < 70) {
+    if (this.reviewResults.score < thresholds.score) {
       recommendations.push('📊 Code quality below threshold - focus on critical issues first');
     }
 
     return recommendations;
   }
 
+  /**
+   * PR summary section listing the comments of the LLM provider, if any
+   */
+  formatModelReview (report) {
+    if (report.aiComments.length === 0) {
+      return '';
+    }
+
+    const comments = report.aiComments.map(comment =>
+      `- \`${formatLocation(comment)}\` ${comment.severity}: ${comment.message}${comment.suggestion ? ` Suggestion: ${comment.suggestion}` : ''}`);
+    return `### 🧠 Model Review (${report.llm.provider})\n${comments.join('\n')}\n\n`;
+  }
+
+  /**
+   * Duplication section of the PR summary, listing the largest clone groups
+   */
+  formatDuplication (report) {
+    const { duplication } = report;
+    if (!duplication || duplication.groups.length === 0) {
+      return '';
+    }
+
+    const largest = [...duplication.groups].sort((a, b) => b.tokens - a.tokens).slice(0, 5).map(group =>
+      `- ${group.tokens} tokens (type-${group.type}): ${group.occurrences.map(({ file, line, endLine }) => `\`${file}:${line}-${endLine}\``).join(', ')}`);
+    return `### 📑 Duplicate Code\n${duplication.percentage}% of lines are duplicated across ${duplication.groups.length} clone groups\n${largest.join('\n')}\n\n`;
+  }
+
   /**
    * Generate PR summary
    */
@@ -362,6 +618,7 @@ class AICodeReviewer {
     const summary = `## 🤖 AI Code Review Summary
 
 ### 📊 Overall Score: ${report.score}/100
+${explainScore(report.scoreBreakdown).map(line => `- ${line}`).join('\n')}
 
 ### 📈 Statistics
 - **Files Analyzed**: ${report.summary.totalFiles}
@@ -374,7 +631,7 @@ class AICodeReviewer {
 - **Medium**: ${report.issuesBySeverity.medium.length}
 - **Low**: ${report.issuesBySeverity.low.length}
 
-### 💡 Top Recommendations
+${this.formatModelReview(report)}${this.formatDuplication(report)}### 💡 Top Recommendations
 ${report.recommendations.map(rec => `- ${rec}`).join('\n')}
 
 ### 🔍 File-by-File Analysis
@@ -383,12 +640,13 @@ ${report.fileAnalysis.map(file => `
 - Issues: ${file.issues.length}
 - Suggestions: ${file.suggestions.length}
 - Positives: ${file.positives.length}
+${file.issues.map(issue => `  - \`${formatLocation(issue.location)}\` ${issue.severity}: ${issue.message}`).join('\n')}
 `).join('')}
 
 ---
 *Generated by AI SDLC Framework*`;
 
-    fs.writeFileSync('ai-review-summary.md', summary);
+    fs.writeFileSync(path.join(this.outputDir, 'ai-review-summary.md'), summary);
   }
 }
 
@@ -396,7 +654,9 @@ ${report.fileAnalysis.map(file => `
 if (require.main === module) {
   const reviewer = new AICodeReviewer();
   const targetPath = process.argv[2] || '.';
-  reviewer.performReview(targetPath).catch(console.error);
+  reviewer.performReview(targetPath)
+    .then(results => exitWithGate(evaluateGate('review', { score: results.score, findings: results.issues }, reviewer.config.failOn)))
+    .catch(exitWithError);
 }
 
 module.exports = AICodeReviewer;
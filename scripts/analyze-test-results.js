@@ -8,9 +8,11 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { exitWithError } = require('./lib/gate');
 
 class TestResultsAnalyzer {
-  constructor () {
+  constructor (options = {}) {
+    this.outputDir = options.outputDir || '.';
     this.analysis = {
       summary: {},
       details: {},
@@ -233,7 +235,7 @@ class TestResultsAnalyzer {
       quality: this.calculateQualityScore()
     };
 
-    fs.writeFileSync('test-analysis-report.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'test-analysis-report.json'), JSON.stringify(report, null, 2));
 
     // Generate human-readable summary
     this.generateHumanReadableReport(report);
@@ -286,14 +288,14 @@ ${rec.message}`
 *Generated by AI Test Results Analyzer on ${new Date().toISOString()}*
 `;
 
-    fs.writeFileSync('test-analysis-summary.md', content.trim());
+    fs.writeFileSync(path.join(this.outputDir, 'test-analysis-summary.md'), content.trim());
   }
 }
 
 // Run test results analyzer
 if (require.main === module) {
   const analyzer = new TestResultsAnalyzer();
-  analyzer.analyze().catch(console.error);
+  analyzer.analyze().catch(exitWithError);
 }
 
 module.exports = TestResultsAnalyzer;
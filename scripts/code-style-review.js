@@ -8,33 +8,73 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { RuleEngine } = require('./lib/rule-engine');
+const { registerRulePacks } = require('./lib/rule-packs');
+const detect = require('./lib/detectors');
+const { SCHEMA_VERSION, createFinding, toSchemaFinding } = require('./lib/finding');
+const { calculateScore, countCodeLines } = require('./lib/scoring');
+const { logSuppressions } = require('./lib/suppressions');
+const { BaselineMatcher } = require('./lib/baseline');
+const { DiffScope } = require('./lib/diff-scope');
+const { AnalysisCache, DEFAULT_CACHE_DIR } = require('./lib/analysis-cache');
+const { discoverFiles, logSkippedFiles } = require('./lib/file-discovery');
+const { evaluateGate, exitWithError, exitWithGate } = require('./lib/gate');
+
+/**
+ * Function declarations named in PascalCase
+ */
+const functionNameCase = (context) => ({
+  FunctionDeclaration (node) {
+    if (node.id && /^[A-Z]/.test(node.id.name)) {
+      context.report({ node: node.id });
+    }
+  }
+});
 
 class CodeStyleReviewer {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).style;
+    this.outputDir = options.outputDir || '.';
+    this.baseline = new BaselineMatcher('style', options.baseline);
+    this.scope = options.scope || new DiffScope();
+    this.concurrency = options.concurrency || 1;
+    this.fileTimeout = options.fileTimeout;
+
     this.results = {
       score: 0,
+      scoreBreakdown: null,
+      linesOfCode: 0,
       violations: [],
+      baselined: [],
+      suppressed: [],
+      unusedSuppressions: [],
+      skippedFiles: [],
       suggestions: [],
       metrics: {},
       summary: {}
     };
+    this.fileMetrics = [];
 
     this.stylePatterns = {
       formatting: [
         {
-          pattern: /^\s*\t/m,
+          id: 'no-tabs',
+          create: detect.linePattern(/^[ ]*\t/m),
           message: 'Use spaces instead of tabs for indentation',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /;\s*\n\s*}/m,
-          message: 'Unnecessary semicolon before closing brace',
+          id: 'no-extra-semi',
+          create: detect.nodeType('EmptyStatement'),
+          message: 'Unnecessary semicolon - remove the empty statement',
           severity: 'low',
           autoFixable: true
         },
         {
-          pattern: /\s+\n\s*\n\s*\n/m,
+          id: 'no-multiple-empty-lines',
+          create: detect.linePattern(/^([ \t]*\n){2,}/m),
           message: 'Too many consecutive blank lines',
           severity: 'low',
           autoFixable: true
@@ -42,19 +82,22 @@ class CodeStyleReviewer {
       ],
       naming: [
         {
-          pattern: /\b(a|an|the|is|has|have)\s+[a-z][A-Z]/,
+          id: 'camelcase',
+          create: detect.declaredName(name => /^[a-z]+(_[a-z0-9]+)+$/.test(name)),
           message: 'Variable names should follow camelCase convention',
           severity: 'medium',
           autoFixable: false
         },
         {
-          pattern: /function\s+[A-Z]/,
+          id: 'function-name-case',
+          create: functionNameCase,
           message: 'Function names should use camelCase, not PascalCase',
           severity: 'medium',
           autoFixable: false
         },
         {
-          pattern: /const\s+[A-Z]/,
+          id: 'constant-name-case',
+          create: detect.declaredName(name => /^[A-Z]/.test(name) && !/^[A-Z][A-Z0-9_]*$/.test(name), { kinds: ['const'] }),
           message: 'Constants should use UPPER_SNAKE_CASE',
           severity: 'low',
           autoFixable: false
@@ -62,19 +105,22 @@ class CodeStyleReviewer {
       ],
       structure: [
         {
-          pattern: /if\s*\([^)]+\)\s*[^{]/,
+          id: 'curly-if',
+          create: detect.missingBraces('IfStatement'),
           message: 'Use braces for single-line if statements',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /for\s*\([^)]+\)\s*[^{]/,
+          id: 'curly-for',
+          create: detect.missingBraces('ForStatement', 'ForInStatement', 'ForOfStatement'),
           message: 'Use braces for single-line for loops',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /while\s*\([^)]+\)\s*[^{]/,
+          id: 'curly-while',
+          create: detect.missingBraces('WhileStatement', 'DoWhileStatement'),
           message: 'Use braces for single-line while loops',
           severity: 'medium',
           autoFixable: true
@@ -82,48 +128,75 @@ class CodeStyleReviewer {
       ],
       bestPractices: [
         {
-          pattern: /var\s+\w+/,
+          id: 'no-var',
+          create: detect.declaration('var'),
           message: 'Use let or const instead of var',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /==\s*[^=]/,
+          id: 'eqeqeq',
+          create: detect.binary('=='),
           message: 'Use === for strict equality comparison',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /!=\s*[^=]/,
+          id: 'no-loose-inequality',
+          create: detect.binary('!='),
           message: 'Use !== for strict inequality comparison',
           severity: 'medium',
           autoFixable: true
         },
         {
-          pattern: /function\s*\(\s*\)\s*{[\s]*}/,
+          id: 'no-empty-function',
+          create: detect.emptyFunction({ allowComments: true }),
           message: 'Empty function should have a comment explaining why',
           severity: 'low',
           autoFixable: false
         }
       ]
     };
+
+    this.engine = new RuleEngine();
+    for (const [category, rules] of Object.entries(this.stylePatterns)) {
+      this.engine.registerAll(rules, { category });
+    }
+    const packFiles = registerRulePacks(this.engine, this.config.rulePacks);
+
+    this.cache = new AnalysisCache('style', this.engine, {
+      enabled: options.cache,
+      cacheDir: path.join(this.outputDir, DEFAULT_CACHE_DIR),
+      sources: [__filename, ...packFiles]
+    });
   }
 
   async review (targetPath = '.') {
     console.log(chalk.blue('📝 AI Code Style Review Starting...'));
 
     try {
-      const files = this.findFilesToReview(targetPath);
+      const candidates = this.findFilesToReview(targetPath).filter(file => this.scope.includesFile(file));
+      const { files, timedOut } = await this.cache.prefetch(candidates, {
+        concurrency: this.concurrency,
+        timeout: this.fileTimeout,
+        analyzer: __filename,
+        config: this.config
+      });
+      this.results.skippedFiles.push(...timedOut);
 
       for (const file of files) {
         await this.reviewFile(file);
       }
+      this.cache.save();
 
       this.calculateScore();
       this.generateReport();
 
       console.log(chalk.green('✅ Code Style Review Complete!'));
       console.log(chalk.blue(`📊 Style Score: ${this.results.score}/100`));
+      logSuppressions(this.results.suppressed, this.results.unusedSuppressions);
+      logSkippedFiles(this.results.skippedFiles);
+      this.cache.logStats();
 
       return this.results;
     } catch (error) {
@@ -133,31 +206,9 @@ class CodeStyleReviewer {
   }
 
   findFilesToReview (targetPath) {
-    const files = [];
-    const extensions = ['.js', '.jsx', '.ts', '.tsx'];
-
-    const scanDir = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory() && !['node_modules', '.git', 'coverage', 'dist'].includes(item)) {
-            scanDir(fullPath);
-          } else {
-            const ext = path.extname(item);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
+    const { files, skipped } = discoverFiles(targetPath, this.config);
 
-    scanDir(targetPath);
+    this.results.skippedFiles = skipped;
     return files;
   }
 
@@ -176,41 +227,37 @@ class CodeStyleReviewer {
       };
 
       // Check for style violations
-      this.checkStylePatterns(content, fileAnalysis);
+      this.checkStylePatterns(content, filePath, fileAnalysis);
 
       // Generate suggestions
       this.generateSuggestions(content, fileAnalysis);
 
       this.results.violations.push(...fileAnalysis.violations);
       this.results.suggestions.push(...fileAnalysis.suggestions);
+      this.fileMetrics.push(fileAnalysis.metrics);
+      this.results.linesOfCode += countCodeLines(content);
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Could not review ${filePath}: ${error.message}`));
     }
   }
 
-  checkStylePatterns (content, fileAnalysis) {
-    const lines = content.split('\n');
+  checkStylePatterns (content, filePath, fileAnalysis) {
+    const { findings, suppressed, unusedSuppressions } = this.cache.check(content, filePath);
 
-    for (const [category, patterns] of Object.entries(this.stylePatterns)) {
-      for (const { pattern, message, severity, autoFixable } of patterns) {
-        const matches = content.match(new RegExp(pattern, 'gm'));
-        if (matches) {
-          for (const match of matches) {
-            const index = content.indexOf(match);
-            const lineNumber = content.substring(0, index).split('\n').length;
-
-            fileAnalysis.violations.push({
-              category,
-              severity,
-              message,
-              autoFixable,
-              line: lineNumber,
-              code: match.trim()
-            });
-          }
-        }
-      }
+    const { fresh, known } = this.baseline.partition(fileAnalysis.file, findings.map(match => {
+      const { category, autoFixable } = match.rule;
+
+      return createFinding(match, { file: fileAnalysis.file, category, autoFixable });
+    }));
+    fileAnalysis.violations.push(...this.scope.filter(filePath, fresh));
+    this.results.baselined.push(...this.scope.filter(filePath, known));
+
+    for (const match of this.scope.filter(filePath, suppressed)) {
+      const { category, autoFixable } = match.rule;
+
+      this.results.suppressed.push(createFinding(match, { file: fileAnalysis.file, category, autoFixable, suppression: match.suppression }));
     }
+    this.results.unusedSuppressions.push(...this.scope.filter(filePath, unusedSuppressions).map(directive => ({ file: fileAnalysis.file, ...directive })));
   }
 
   generateSuggestions (content, fileAnalysis) {
@@ -289,28 +336,22 @@ class CodeStyleReviewer {
   }
 
   calculateScore () {
-    let score = 100;
-
-    // Deduct points for violations
-    for (const violation of this.results.violations) {
-      switch (violation.severity) {
-      case 'high':
-        score -= 10;
-        break;
-      case 'medium':
-        score -= 5;
-        break;
-      case 'low':
-        score -= 2;
-        break;
-      }
-    }
-
-    // Bonus points for modern practices
-    const modernFiles = this.calculateModernizationBonus();
-    score += Math.min(modernFiles * 5, 20);
+    const { severityWeights, modernizationBonus, normalization } = this.config;
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'violations', items: this.results.violations, weights: severityWeights }],
+      // Bonus points for modern practices
+      bonus: {
+        label: 'modernization points',
+        count: this.calculateModernizationBonus(),
+        perItem: modernizationBonus.perPoint,
+        max: modernizationBonus.max
+      },
+      linesOfCode: this.results.linesOfCode,
+      normalization
+    });
 
-    this.results.score = Math.max(0, Math.min(100, score));
+    this.results.score = score;
+    this.results.scoreBreakdown = breakdown;
   }
 
   calculateModernizationBonus () {
@@ -329,21 +370,30 @@ class CodeStyleReviewer {
 
   generateReport () {
     const report = {
+      schemaVersion: SCHEMA_VERSION,
+      tool: 'style',
       timestamp: new Date().toISOString(),
       score: this.results.score,
+      scoreBreakdown: this.results.scoreBreakdown,
       totalViolations: this.results.violations.length,
       totalSuggestions: this.results.suggestions.length,
       violationsByCategory: this.groupViolationsByCategory(),
       violationsBySeverity: this.groupViolationsBySeverity(),
       autoFixableViolations: this.results.violations.filter(v => v.autoFixable).length,
-      recommendations: this.generateRecommendations()
+      recommendations: this.generateRecommendations(),
+      rules: this.engine.describe(),
+      findings: this.results.violations.map(violation => toSchemaFinding(violation, 'style')),
+      suppressed: this.results.suppressed.map(violation => toSchemaFinding(violation, 'style')),
+      unusedSuppressions: this.results.unusedSuppressions,
+      baseline: this.baseline.summary(this.results.violations.length, this.results.baselined.length),
+      skippedFiles: this.results.skippedFiles
     };
 
     // Calculate overall metrics
     this.calculateOverallMetrics();
 
     // Save detailed report
-    fs.writeFileSync('code-style-review-results.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'code-style-review-results.json'), JSON.stringify(report, null, 2));
 
     // Generate style guide suggestions
     this.generateStyleGuideSuggestions(report);
@@ -366,14 +416,16 @@ class CodeStyleReviewer {
     const grouped = { high: [], medium: [], low: [] };
 
     for (const violation of this.results.violations) {
-      grouped[violation.severity].push(violation);
+      (grouped[violation.severity] = grouped[violation.severity] || []).push(violation);
     }
 
     return grouped;
   }
 
+  /**
+   * Sum the metrics of the files reviewed in this run
+   */
   calculateOverallMetrics () {
-    const files = this.findFilesToReview('.');
     let totalLines = 0;
     let totalFunctions = 0;
     let totalConst = 0;
@@ -381,20 +433,13 @@ class CodeStyleReviewer {
     let totalVar = 0;
     let totalArrowFunctions = 0;
 
-    for (const file of files) {
-      try {
-        const content = fs.readFileSync(file, 'utf8');
-        const metrics = this.calculateFileMetrics(content);
-
-        totalLines += metrics.totalLines;
-        totalFunctions += metrics.functions;
-        totalConst += metrics.constDeclarations;
-        totalLet += metrics.letDeclarations;
-        totalVar += metrics.varDeclarations;
-        totalArrowFunctions += metrics.arrowFunctions;
-      } catch (error) {
-        // Skip files that can't be read
-      }
+    for (const metrics of this.fileMetrics) {
+      totalLines += metrics.totalLines;
+      totalFunctions += metrics.functions;
+      totalConst += metrics.constDeclarations;
+      totalLet += metrics.letDeclarations;
+      totalVar += metrics.varDeclarations;
+      totalArrowFunctions += metrics.arrowFunctions;
     }
 
     this.results.metrics = {
@@ -437,7 +482,7 @@ class CodeStyleReviewer {
     }
 
     const modernizationScore = this.results.metrics.modernizationScore;
-    if (modernizationScore < 0.5) {
+    if (modernizationScore < this.config.thresholds.modernization) {
       recommendations.push({
         priority: 'medium',
         message: '🔄 Consider modernizing code with ES6+ features (const/let, arrow functions)'
@@ -445,7 +490,7 @@ class CodeStyleReviewer {
     }
 
     const categoryGroups = this.groupViolationsByCategory();
-    if (categoryGroups.naming && categoryGroups.naming.length > 3) {
+    if (categoryGroups.naming && categoryGroups.naming.length > this.config.thresholds.namingViolations) {
       recommendations.push({
         priority: 'medium',
         message: '📝 Establish and enforce consistent naming conventions'
@@ -477,7 +522,7 @@ class CodeStyleReviewer {
       ]
     };
 
-    fs.writeFileSync('style-guide-suggestions.json', JSON.stringify(styleGuide, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'style-guide-suggestions.json'), JSON.stringify(styleGuide, null, 2));
   }
 }
 
@@ -485,7 +530,9 @@ class CodeStyleReviewer {
 if (require.main === module) {
   const reviewer = new CodeStyleReviewer();
   const targetPath = process.argv[2] || '.';
-  reviewer.review(targetPath).catch(console.error);
+  reviewer.review(targetPath)
+    .then(results => exitWithGate(evaluateGate('style', { score: results.score, findings: results.violations }, reviewer.config.failOn)))
+    .catch(exitWithError);
 }
 
 module.exports = CodeStyleReviewer;
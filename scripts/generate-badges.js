@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Score Badge Generator
+ * Renders shields-style SVG badges from the latest reports, so a README can
+ * show them without a third-party badge service
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { TOOL_REPORTS } = require('./aggregate-results');
+const { loadConfig } = require('./lib/config');
+const { escapeXml } = require('./lib/formatters');
+const { exitWithError } = require('./lib/gate');
+
+const COLORS = {
+  green: '#4c1',
+  yellow: '#dfb317',
+  red: '#e05d44',
+  unknown: '#9f9f9f'
+};
+
+// Rough Verdana 11px advance widths, enough to size badges like shields.io does
+const NARROW = new Set([...'fijlrt.,:;!|\'()[] ']);
+const WIDE = new Set([...'mwMW%@']);
+
+// Each badge: the report it reads, and its value and message from that report
+const BADGES = {
+  review: { report: TOOL_REPORTS.review, value: report => report.score, message: score => `${score}/100` },
+  security: { report: TOOL_REPORTS.security, value: report => report.score, message: score => `${score}/100` },
+  performance: { report: TOOL_REPORTS.performance, value: report => report.score, message: score => `${score}/100` },
+  style: { report: TOOL_REPORTS.style, value: report => report.score, message: score => `${score}/100` },
+  coverage: {
+    report: 'test-analysis-report.json',
+    value: report => report.summary && report.summary.overallCoverage,
+    message: coverage => `${coverage}%`
+  },
+  merge: {
+    report: 'merge-readiness-results.json',
+    value: report => report.score,
+    message: (score, report) => report.ready ? 'ready' : 'not ready',
+    // Blockers make a merge not ready whatever its score
+    color: (score, thresholds, report) => report.ready ? badgeColor(score, thresholds) : 'red'
+  }
+};
+
+function textWidth (text) {
+  let width = 0;
+  for (const char of text) {
+    if (NARROW.has(char)) {
+      width += 4;
+    } else if (WIDE.has(char)) {
+      width += 11;
+    } else {
+      width += /[A-Z0-9]/.test(char) ? 8 : 7;
+    }
+  }
+  return width;
+}
+
+/**
+ * Color for a value against a badge's thresholds
+ * @param {number} value
+ * @param {{green: number, yellow: number}} thresholds - Lowest green and yellow values
+ * @returns {string} green, yellow or red
+ */
+function badgeColor (value, thresholds) {
+  if (value >= thresholds.green) {
+    return 'green';
+  }
+  return value >= thresholds.yellow ? 'yellow' : 'red';
+}
+
+/**
+ * Render a flat shields-style badge
+ * @param {{label: string, message: string, color: string}} badge - color is a COLORS key or a hex color
+ * @returns {string} SVG document
+ */
+function renderBadge ({ label, message, color }) {
+  const labelWidth = textWidth(label) + 10;
+  const messageWidth = textWidth(message) + 10;
+  const width = labelWidth + messageWidth;
+  const fill = COLORS[color] || color;
+  const title = escapeXml(`${label}: ${message}`);
+
+  const text = (value, center) => [
+    `<text x="${center}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>`,
+    `<text x="${center}" y="14">${escapeXml(value)}</text>`
+  ].join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+<title>${title}</title>
+<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${fill}"/><rect width="${width}" height="20" fill="url(#s)"/></g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">${text(label, labelWidth / 2)}${text(message, labelWidth + messageWidth / 2)}</g>
+</svg>
+`;
+}
+
+class BadgeGenerator {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).badges;
+    this.outputDir = options.outputDir || '.';
+    this.badgeDir = path.join(this.outputDir, this.config.dir);
+  }
+
+  async generate () {
+    console.log(chalk.blue('🏷️  Badge Generation Starting...'));
+
+    try {
+      fs.mkdirSync(this.badgeDir, { recursive: true });
+      const badges = Object.keys(BADGES).map(name => this.createBadge(name));
+
+      for (const badge of badges) {
+        fs.writeFileSync(path.join(this.badgeDir, `${badge.label}.svg`), renderBadge(badge));
+      }
+
+      console.log(chalk.green('✅ Badge Generation Complete!'));
+      console.log(chalk.blue(`🏷️  ${badges.map(badge => `${badge.label}: ${badge.message}`).join(', ')} in ${this.badgeDir}`));
+
+      return badges;
+    } catch (error) {
+      console.error(chalk.red('❌ Error during badge generation:'), error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Badge contents for one report; a missing report still gets an "unknown"
+   * badge so README images keep working
+   */
+  createBadge (name) {
+    const spec = BADGES[name];
+    const report = this.readReport(spec.report);
+    const value = report ? spec.value(report) : undefined;
+
+    if (typeof value !== 'number') {
+      return { label: name, message: 'unknown', color: 'unknown' };
+    }
+
+    const thresholds = this.config.thresholds[name];
+    return {
+      label: name,
+      message: spec.message(value, report),
+      color: spec.color ? spec.color(value, thresholds, report) : badgeColor(value, thresholds)
+    };
+  }
+
+  readReport (file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.outputDir, file), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Run badge generator
+if (require.main === module) {
+  const generator = new BadgeGenerator();
+  generator.generate().catch(exitWithError);
+}
+
+module.exports = BadgeGenerator;
+module.exports.badgeColor = badgeColor;
+module.exports.renderBadge = renderBadge;
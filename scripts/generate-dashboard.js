@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/* global document */
+
+/**
+ * Quality Dashboard Generator
+ * Combines the analyzer, test and merge readiness reports into one
+ * self-contained HTML page with filterable findings and source context
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const ResultsAggregator = require('./aggregate-results');
+const { SEVERITIES, formatLocation } = require('./lib/finding');
+const { exitWithError } = require('./lib/gate');
+const { explainScore } = require('./lib/scoring');
+
+const DASHBOARD_REPORT = 'sdlc-dashboard.html';
+const TEST_REPORT = 'test-analysis-report.json';
+const MERGE_REPORT = 'merge-readiness-results.json';
+const DEFAULT_CONTEXT_LINES = 3;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Filter controls, keyed by the data attribute they match on each finding
+const FILTERS = {
+  severity: 'Severity',
+  tool: 'Tool',
+  rule: 'Rule',
+  file: 'File'
+};
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1f2328; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 6px; margin-top: 32px; }
+  .muted { color: #656d76; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 160px; }
+  .card .value { font-size: 28px; font-weight: 600; }
+  .badge { border-radius: 12px; color: #fff; font-size: 12px; padding: 2px 8px; text-transform: uppercase; }
+  .critical { background: #82071e; } .high { background: #cf222e; } .medium { background: #bf8700; }
+  .low { background: #0969da; } .info { background: #6e7781; }
+  .ready { color: #1a7f37; } .not-ready { color: #cf222e; }
+  .filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: end; margin-bottom: 16px; }
+  .filters label { display: flex; flex-direction: column; font-size: 12px; }
+  .finding { border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 12px; padding: 12px 16px; }
+  .finding[hidden] { display: none; }
+  .finding:target { box-shadow: 0 0 0 2px #0969da; }
+  .finding header { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+  pre { background: #f6f8fa; border-radius: 6px; overflow-x: auto; padding: 8px 0; }
+  pre .line { display: block; padding: 0 12px; }
+  pre .hit { background: #fff8c5; }
+  pre .number { color: #8c959f; display: inline-block; margin-right: 12px; text-align: right; width: 4ch; user-select: none; }
+  table { border-collapse: collapse; }
+  td, th { border-bottom: 1px solid #d0d7de; padding: 4px 12px 4px 0; text-align: left; }
+`;
+
+/**
+ * Filtering behavior, serialized into the page; runs in the browser
+ */
+function dashboardScript () {
+  const filters = Array.from(document.querySelectorAll('[data-filter]'));
+  const findings = Array.from(document.querySelectorAll('.finding'));
+  const visibleCount = document.getElementById('visible-count');
+
+  function apply () {
+    let visible = 0;
+    for (const finding of findings) {
+      const shown = filters.every(filter => !filter.value || finding.dataset[filter.dataset.filter] === filter.value);
+      finding.hidden = !shown;
+      visible += shown ? 1 : 0;
+    }
+    visibleCount.textContent = visible;
+  }
+
+  function clear () {
+    filters.forEach(filter => { filter.value = ''; });
+    apply();
+  }
+
+  filters.forEach(filter => filter.addEventListener('change', apply));
+  document.getElementById('clear-filters').addEventListener('click', clear);
+
+  // A related finding may be hidden by the current filters
+  document.querySelectorAll('a.related').forEach(link => link.addEventListener('click', () => {
+    const target = document.getElementById(link.getAttribute('href').slice(1));
+    if (target && target.hidden) {
+      clear();
+    }
+  }));
+}
+
+function escapeHtml (value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Only http(s) links reach the page; rule packs may supply any docsUrl
+ */
+function isWebUrl (value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function overlaps (a, b) {
+  return a.line <= (b.endLine || b.line) && b.line <= (a.endLine || a.line);
+}
+
+/**
+ * Link findings that point at the same code, such as one problem reported by
+ * several tools, or the same snippet flagged more than once in a file
+ */
+function linkRelated (findings) {
+  const byFile = new Map();
+  for (const finding of findings) {
+    const group = byFile.get(finding.location.file) || [];
+    group.push(finding);
+    byFile.set(finding.location.file, group);
+  }
+
+  for (const group of byFile.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i], group[j]];
+        if (overlaps(a.location, b.location) || a.fingerprint === b.fingerprint) {
+          a.related.push(b.anchor);
+          b.related.push(a.anchor);
+        }
+      }
+    }
+  }
+}
+
+class QualityDashboard {
+  constructor (options = {}) {
+    this.outputDir = options.outputDir || '.';
+    this.sourceRoot = options.sourceRoot || '.';
+    this.contextLines = options.contextLines !== undefined ? options.contextLines : DEFAULT_CONTEXT_LINES;
+    this.sources = new Map();
+    this.warnings = [];
+  }
+
+  async generate () {
+    console.log(chalk.blue('📊 Quality Dashboard Generation Starting...'));
+
+    try {
+      const data = this.collect();
+      const file = path.join(this.outputDir, DASHBOARD_REPORT);
+      fs.writeFileSync(file, this.render(data));
+
+      console.log(chalk.green('✅ Quality Dashboard Complete!'));
+      console.log(chalk.blue(`🔗 ${data.findings.length} findings written to ${file}`));
+
+      return { file, findings: data.findings.length };
+    } catch (error) {
+      console.error(chalk.red('❌ Error during dashboard generation:'), error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gather every report the dashboard shows; missing reports are left out
+   */
+  collect () {
+    const document = new ResultsAggregator({ outputDir: this.outputDir }).buildDocument();
+    const findings = document.findings.map((finding, index) => ({
+      ...finding,
+      anchor: `finding-${index + 1}`,
+      context: this.readContext(finding.location),
+      related: []
+    }));
+    linkRelated(findings);
+
+    const tests = this.readReport(TEST_REPORT);
+    const merge = this.readReport(MERGE_REPORT);
+
+    return {
+      timestamp: document.timestamp,
+      tools: document.tools,
+      summary: document.summary,
+      warnings: [...document.warnings, ...this.warnings],
+      findings,
+      tests,
+      merge
+    };
+  }
+
+  readReport (file) {
+    const reportPath = path.join(this.outputDir, file);
+    if (!fs.existsSync(reportPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    } catch (error) {
+      this.warnings.push(`${file}: could not be parsed (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Source lines around a finding, or null when the file can't be read
+   * @returns {?{startLine: number, lines: string[]}}
+   */
+  readContext (location) {
+    const file = path.resolve(this.sourceRoot, location.file);
+    if (!this.sources.has(file)) {
+      try {
+        this.sources.set(file, fs.readFileSync(file, 'utf8').split(/\r?\n/));
+      } catch (error) {
+        this.sources.set(file, null);
+      }
+    }
+
+    const lines = this.sources.get(file);
+    if (!lines || !location.line) {
+      return null;
+    }
+
+    const startLine = Math.max(1, location.line - this.contextLines);
+    const endLine = Math.min(lines.length, (location.endLine || location.line) + this.contextLines);
+    return { startLine, lines: lines.slice(startLine - 1, endLine) };
+  }
+
+  render (data) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SDLC Quality Dashboard</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>SDLC Quality Dashboard</h1>
+<p class="muted">Generated ${escapeHtml(data.timestamp)}</p>
+${data.warnings.length > 0 ? `<ul class="warnings">${data.warnings.map(warning => `<li>⚠️ ${escapeHtml(warning)}</li>`).join('')}</ul>` : ''}
+${this.renderOverview(data)}
+${this.renderTests(data.tests)}
+${this.renderMerge(data.merge)}
+${this.renderFindings(data.findings)}
+<script>(${dashboardScript})();</script>
+</body>
+</html>
+`;
+  }
+
+  renderOverview (data) {
+    const card = (label, value, detail = '') =>
+      `<div class="card"><div class="muted">${escapeHtml(label)}</div><div class="value">${value}</div>${detail}</div>`;
+
+    const cards = Object.entries(data.tools).map(([tool, info]) => {
+      const counts = SEVERITIES.filter(severity => info.findingsBySeverity[severity] > 0)
+        .map(severity => `<span class="badge ${severity}">${info.findingsBySeverity[severity]} ${severity}</span>`);
+      const explanation = info.scoreBreakdown
+        ? `<details><summary>How scored</summary><ul>${explainScore(info.scoreBreakdown).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul></details>`
+        : '';
+      return card(tool, `${escapeHtml(info.score)}/100`, `<div>${info.totalFindings} findings</div><div>${counts.join(' ')}</div>${explanation}`);
+    });
+
+    if (data.tests) {
+      cards.push(card('tests', `${escapeHtml(data.tests.summary.successRate)}%`, `<div>${escapeHtml(data.tests.summary.overallCoverage)}% coverage</div>`));
+    }
+    if (data.merge) {
+      const status = data.merge.ready ? '<span class="ready">ready</span>' : '<span class="not-ready">not ready</span>';
+      cards.push(card('merge', `${escapeHtml(data.merge.score)}/100`, `<div>${status}</div>`));
+    }
+
+    return `<h2>Overview</h2>
+<div class="cards">${cards.join('\n')}</div>`;
+  }
+
+  renderTests (tests) {
+    if (!tests) {
+      return '';
+    }
+
+    const { summary } = tests;
+    const rows = [
+      ['Tests', `${summary.passedTests} passed, ${summary.failedTests} failed, ${summary.skippedTests} skipped of ${summary.totalTests}`],
+      ['Success rate', `${summary.successRate}%`],
+      ['Coverage', `${summary.linesCoverage}% lines, ${summary.functionsCoverage}% functions, ${summary.branchesCoverage}% branches, ${summary.statementsCoverage}% statements`],
+      ['Quality score', `${tests.quality}/100`]
+    ];
+
+    return `<h2>Tests</h2>
+<table>${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${this.renderItems('Recommendations', tests.recommendations, item => item.priority)}`;
+  }
+
+  renderMerge (merge) {
+    if (!merge) {
+      return '';
+    }
+
+    return `<h2>Merge Readiness</h2>
+<p class="${merge.ready ? 'ready' : 'not-ready'}">${escapeHtml(merge.summary ? merge.summary.recommendation : '')}</p>
+${this.renderItems('Blockers', merge.blockers, item => item.severity)}
+${this.renderItems('Warnings', merge.warnings, item => item.severity)}`;
+  }
+
+  renderItems (title, items = [], level) {
+    if (items.length === 0) {
+      return '';
+    }
+
+    const badge = item => SEVERITIES.includes(level(item)) ? `<span class="badge ${level(item)}">${level(item)}</span> ` : '';
+    return `<h3>${title}</h3>
+<ul>${items.map(item => `<li>${badge(item)}${escapeHtml(item.message)}</li>`).join('')}</ul>`;
+  }
+
+  renderFindings (findings) {
+    const values = {
+      severity: SEVERITIES.filter(severity => findings.some(finding => finding.severity === severity)),
+      tool: [...new Set(findings.map(finding => finding.tool))].sort(),
+      rule: [...new Set(findings.map(finding => finding.ruleId))].sort(),
+      file: [...new Set(findings.map(finding => finding.location.file))].sort()
+    };
+    const byAnchor = new Map(findings.map(finding => [finding.anchor, finding]));
+
+    const filters = Object.entries(FILTERS).map(([key, label]) => {
+      const options = values[key].map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`);
+      return `<label>${label}<select data-filter="${key}"><option value="">All</option>${options.join('')}</select></label>`;
+    });
+
+    return `<h2>Findings (<span id="visible-count">${findings.length}</span> of ${findings.length})</h2>
+<div class="filters">${filters.join('\n')}<button id="clear-filters" type="button">Clear filters</button></div>
+${findings.map(finding => this.renderFinding(finding, byAnchor)).join('\n')}`;
+  }
+
+  renderFinding (finding, byAnchor) {
+    const { location } = finding;
+    const attributes = {
+      severity: finding.severity,
+      tool: finding.tool,
+      rule: finding.ruleId,
+      file: location.file
+    };
+    const data = Object.entries(attributes).map(([key, value]) => `data-${key}="${escapeHtml(value)}"`).join(' ');
+
+    const details = [];
+    if (finding.fix && finding.fix.description) {
+      details.push(`<p>💡 ${escapeHtml(finding.fix.description)}</p>`);
+    }
+    if (finding.docsUrl && isWebUrl(finding.docsUrl)) {
+      details.push(`<p><a href="${escapeHtml(finding.docsUrl)}">Rule documentation</a></p>`);
+    }
+    if (finding.related.length > 0) {
+      const links = finding.related.map(anchor => {
+        const related = byAnchor.get(anchor);
+        return `<a class="related" href="#${anchor}">${escapeHtml(`${related.tool}/${related.ruleId}`)} at ${escapeHtml(formatLocation(related.location))}</a>`;
+      });
+      details.push(`<p>Related: ${links.join(', ')}</p>`);
+    }
+
+    const severityClass = SEVERITIES.includes(finding.severity) ? finding.severity : 'info';
+    return `<article class="finding" id="${finding.anchor}" ${data}>
+<header><span class="badge ${severityClass}">${escapeHtml(finding.severity)}</span> <strong>${escapeHtml(`${finding.tool}/${finding.ruleId}`)}</strong>
+<a href="#${finding.anchor}">${escapeHtml(formatLocation(location))}</a></header>
+<p>${escapeHtml(finding.message)}</p>
+${this.renderSnippet(finding)}
+${details.join('\n')}
+</article>`;
+  }
+
+  renderSnippet ({ location, context }) {
+    if (!context) {
+      return location.snippet ? `<pre><code>${escapeHtml(location.snippet)}</code></pre>` : '';
+    }
+
+    const endLine = location.endLine || location.line;
+    const lines = context.lines.map((text, index) => {
+      const number = context.startLine + index;
+      const hit = number >= location.line && number <= endLine;
+      return `<span class="line${hit ? ' hit' : ''}"><span class="number">${number}</span>${escapeHtml(text)}</span>`;
+    });
+    return `<pre><code>${lines.join('')}</code></pre>`;
+  }
+}
+
+// Run dashboard generator
+if (require.main === module) {
+  const dashboard = new QualityDashboard();
+  dashboard.generate().catch(exitWithError);
+}
+
+module.exports = QualityDashboard;
+module.exports.DASHBOARD_REPORT = DASHBOARD_REPORT;
@@ -7,9 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const chalk = require('chalk');
-const marked = require('marked');
+const { discoverFiles, logSkippedFiles } = require('./lib/file-discovery');
+const { exitWithError } = require('./lib/gate');
 
 class AIDocumentationGenerator {
   constructor () {
@@ -687,26 +687,12 @@ Contributors are recognized through:
    * Find all source files
    */
   findSourceFiles () {
-    const files = [];
     if (!fs.existsSync(this.srcDir)) {
-      return files;
+      return [];
     }
 
-    const scanDir = (dir) => {
-      const items = fs.readdirSync(dir);
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-
-        if (stat.isDirectory()) {
-          scanDir(fullPath);
-        } else if (item.endsWith('.js') && !item.endsWith('.test.js')) {
-          files.push(fullPath);
-        }
-      }
-    };
-
-    scanDir(this.srcDir);
+    const { files, skipped } = discoverFiles(this.srcDir, { extensions: ['.js'], exclude: ['**/*.test.js'] });
+    logSkippedFiles(skipped);
     return files;
   }
 }
@@ -714,7 +700,7 @@ Contributors are recognized through:
 // Run the documentation generator
 if (require.main === module) {
   const generator = new AIDocumentationGenerator();
-  generator.generateDocs().catch(console.error);
+  generator.generateDocs().catch(exitWithError);
 }
 
 module.exports = AIDocumentationGenerator;
@@ -8,10 +8,16 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
-const { execSync } = require('child_process');
+const { loadConfig } = require('./lib/config');
+const { getChangedFiles } = require('./lib/diff-scope');
+const { discoverFiles } = require('./lib/file-discovery');
+const { exitWithError } = require('./lib/gate');
 
 class PRTestGenerator {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).tests;
+    this.outputDir = options.outputDir || '.';
+
     this.testResults = {
       generatedTests: [],
       coverage: {},
@@ -46,8 +52,7 @@ class PRTestGenerator {
   getChangedFiles () {
     try {
       // Get changed files from git
-      const output = execSync('git diff --name-only origin/main...HEAD', { encoding: 'utf8' });
-      return output.trim().split('\n').filter(file => file.length > 0);
+      return getChangedFiles(this.config.baseRef).map(file => path.relative(process.cwd(), file));
     } catch (error) {
       console.warn(chalk.yellow('⚠️  Could not get changed files, using all files'));
       return this.findAllJSFiles();
@@ -55,32 +60,7 @@ class PRTestGenerator {
   }
 
   findAllJSFiles () {
-    const files = [];
-    const extensions = ['.js', '.jsx', '.ts', '.tsx'];
-
-    const scanDir = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory() && !['node_modules', '.git', 'coverage', 'dist'].includes(item)) {
-            scanDir(fullPath);
-          } else {
-            const ext = path.extname(item);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
-
-    scanDir('.');
-    return files;
+    return discoverFiles('.', this.config).files;
   }
 
   async generateTestsForFile (filePath) {
@@ -113,7 +93,7 @@ class PRTestGenerator {
 
   isTestableFile (filePath) {
     const ext = path.extname(filePath);
-    return ['.js', '.jsx', '.ts', '.tsx'].includes(ext) &&
+    return this.config.extensions.includes(ext) &&
            !filePath.includes('.test.') &&
            !filePath.includes('.spec.') &&
            !filePath.includes('node_modules') &&
@@ -330,7 +310,7 @@ describe('Export: ${exp.name}', () => {
       coverage: this.estimateCoverage()
     };
 
-    fs.writeFileSync('pr-test-generation-report.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'pr-test-generation-report.json'), JSON.stringify(report, null, 2));
   }
 
   groupTestsByType () {
@@ -422,7 +402,7 @@ const { expect, test, describe } = require('@jest/globals');`;
 // Run PR test generator
 if (require.main === module) {
   const generator = new PRTestGenerator();
-  generator.generateTests().catch(console.error);
+  generator.generateTests().catch(exitWithError);
 }
 
 module.exports = PRTestGenerator;
@@ -7,13 +7,16 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { discoverFiles, logSkippedFiles } = require('./lib/file-discovery');
+const { exitWithError } = require('./lib/gate');
 
 class AITestGenerator {
-  constructor () {
-    this.srcDir = 'src';
-    this.testDir = 'tests';
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).tests;
+    this.srcDir = this.config.srcDir;
+    this.testDir = this.config.testDir;
     this.patterns = {
       functions: /function\s+(\w+)\s*\([^)]*\)\s*{/g,
       classes: /class\s+(\w+)/g,
@@ -59,22 +62,12 @@ class AITestGenerator {
       this.createSampleCode();
     }
 
-    const files = [];
-    const scanDir = (dir) => {
-      const items = fs.readdirSync(dir);
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-
-        if (stat.isDirectory()) {
-          scanDir(fullPath);
-        } else if (item.endsWith('.js') && !item.endsWith('.test.js')) {
-          files.push(fullPath);
-        }
-      }
-    };
-
-    scanDir(this.srcDir);
+    const { files, skipped } = discoverFiles(this.srcDir, {
+      ...this.config,
+      extensions: ['.js'],
+      exclude: [...this.config.exclude, '**/*.test.js']
+    });
+    logSkippedFiles(skipped);
     return files;
   }
 
@@ -289,7 +282,7 @@ ${this.generateClassTests(analysis.classes)}
 // Run the test generator
 if (require.main === module) {
   const generator = new AITestGenerator();
-  generator.generateTests().catch(console.error);
+  generator.generateTests().catch(exitWithError);
 }
 
 module.exports = AITestGenerator;
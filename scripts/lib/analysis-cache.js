@@ -0,0 +1,268 @@
+/**
+ * Analysis Cache
+ * Persists each file's rule engine results keyed by content hash, so repeat
+ * runs only re-parse the files that changed since the last run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { version: parserVersion } = require('@babel/parser/package.json');
+const { SCHEMA_VERSION } = require('./finding');
+const { runInWorkers } = require('./worker-pool');
+
+const DEFAULT_CACHE_DIR = '.sdlc-cache';
+const WORKER_SCRIPT = path.join(__dirname, 'analysis-worker.js');
+
+// Bump when the cached entry format changes
+const CACHE_FORMAT = 2;
+
+// Modules whose code decides what the engine reports
+const ENGINE_SOURCES = ['rule-engine.js', 'detectors.js', 'complexity.js', 'scopes.js', 'suppressions.js'].map(file => path.join(__dirname, file));
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Version of a rule set: changes whenever a rule, the engine or the files defining the rules do
+ * @param {RuleEngine} engine - Engine with its rules registered
+ * @param {string[]} [sources] - Files that define the rules, e.g. the analyzer script
+ */
+function ruleSetVersion (engine, sources = []) {
+  const rules = [...engine.rules.values()].map(rule => JSON.stringify(rule, (key, value) =>
+    typeof value === 'function' ? value.toString() : value));
+  const code = [...ENGINE_SOURCES, ...sources].map(file => fs.readFileSync(file, 'utf8'));
+
+  return hash([CACHE_FORMAT, SCHEMA_VERSION, parserVersion, ...rules, ...code].join('\0')).slice(0, 16);
+}
+
+// Engine matches reference their rule object, which is restored from the engine on load
+const toEntry = (match) => {
+  const { rule, ...data } = match;
+  return data;
+};
+
+/**
+ * Plain-data copy of an analyze result, for the cache file and worker messages.
+ * Anything besides the matches is plain data already.
+ */
+function serializeResult ({ findings, suppressed, ...data }) {
+  return { findings: findings.map(toEntry), suppressed: suppressed.map(toEntry), ...data };
+}
+
+class AnalysisCache {
+  /**
+   * @param {string} tool - Tool name, used as the cache file name
+   * @param {RuleEngine} engine - Engine whose results are cached
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - false runs the engine on every file (--no-cache)
+   * @param {string} [options.cacheDir] - Directory holding the cache files
+   * @param {string[]} [options.sources] - Files that define the rules, see ruleSetVersion
+   * @param {Object<string, Function>} [options.extras] - Plain data computed per file by
+   *   `(content, filePath) => value` and cached with the engine results under the same key
+   */
+  constructor (tool, engine, options = {}) {
+    this.tool = tool;
+    this.engine = engine;
+    this.sources = options.sources || [];
+    this.extras = options.extras || {};
+    this.enabled = options.enabled !== false;
+    this.filePath = path.join(options.cacheDir || DEFAULT_CACHE_DIR, `${tool}.json`);
+    this.entries = null;
+    this.prefetched = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Entries of the cache file, or none when it is missing, unreadable or built from other rules
+   */
+  load () {
+    this.version = ruleSetVersion(this.engine, this.sources);
+    this.entries = {};
+
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (cache.version === this.version && cache.files) {
+        this.entries = cache.files;
+      }
+    } catch (error) {
+      // A missing or corrupt cache only costs a full run
+    }
+  }
+
+  /**
+   * Same result as analyze, served from the cache when the file content is unchanged
+   * @returns {{findings: Object[], suppressed: Object[], unusedSuppressions: Object[], directives: Object[]}}
+   */
+  check (content, filePath) {
+    if (this.enabled && !this.entries) {
+      this.load();
+    }
+
+    const key = path.relative(process.cwd(), filePath);
+    const contentHash = hash(content);
+    const entry = this.enabled && this.entries[key];
+
+    // Entries written by extra() hold no engine results
+    if (entry && entry.hash === contentHash && entry.findings) {
+      this.hits++;
+      return this.restore(entry);
+    }
+
+    this.misses++;
+    const result = this.takePrefetched(key, contentHash) || this.analyze(content, filePath);
+    if (this.enabled) {
+      this.entries[key] = { hash: contentHash, ...serializeResult(result) };
+    }
+    return result;
+  }
+
+  /**
+   * One extra of a file that is read but not analyzed, e.g. an importer of
+   * the reviewed files. Served from the file's entry when the content is
+   * unchanged; otherwise only this extra is computed, without the engine.
+   * @param {string} name - Key of the extra in options.extras
+   */
+  extra (name, content, filePath) {
+    if (this.enabled && !this.entries) {
+      this.load();
+    }
+
+    const key = path.relative(process.cwd(), filePath);
+    const contentHash = hash(content);
+    const entry = this.enabled && this.entries[key] && this.entries[key].hash === contentHash ? this.entries[key] : null;
+    if (entry && name in entry) {
+      return entry[name];
+    }
+
+    const value = this.extras[name](content, filePath);
+    if (this.enabled) {
+      this.entries[key] = { ...(entry || { hash: contentHash }), [name]: value };
+    }
+    return value;
+  }
+
+  /**
+   * Run the engine over a file and compute the extras
+   */
+  analyze (content, filePath) {
+    const result = this.engine.check(content, filePath);
+    for (const [key, compute] of Object.entries(this.extras)) {
+      result[key] = compute(content, filePath);
+    }
+    return result;
+  }
+
+  // The content hash only keys the entry and is left out of the result
+  restore ({ hash: contentHash, findings, suppressed, ...data }) {
+    const withRule = match => ({ ...match, rule: this.engine.rules.get(match.ruleId) });
+    return { findings: findings.map(withRule), suppressed: suppressed.map(withRule), ...data };
+  }
+
+  /**
+   * Result computed by a worker for this exact content; worker errors are rethrown here
+   */
+  takePrefetched (key, contentHash) {
+    const outcome = this.prefetched.get(key);
+    if (!outcome || outcome.hash !== contentHash) {
+      return null;
+    }
+
+    this.prefetched.delete(key);
+    if (outcome.error) {
+      throw new Error(outcome.error);
+    }
+    return this.restore(outcome.value);
+  }
+
+  /**
+   * Run the engine over the files missing from the cache on worker threads, so
+   * the analyzer's own loop picks the results up in file order. A timeout needs
+   * a worker to interrupt, so it runs files on one worker even without concurrency.
+   * @param {string[]} files - Files the analyzer is about to check
+   * @param {Object} options
+   * @param {number} options.concurrency - Worker threads; 1 without a timeout leaves every file to check()
+   * @param {number} [options.timeout] - Milliseconds one file may take before it is given up
+   * @param {string} options.analyzer - Module exporting the analyzer class, loaded by each worker
+   * @param {Object} options.config - The analyzer's config section
+   * @returns {Promise<{files: string[], timedOut: Array<{file: string, reason: string}>}>}
+   *   Files left to analyze, and the ones given up on
+   */
+  async prefetch (files, { concurrency, timeout, analyzer, config }) {
+    if (concurrency <= 1 && !timeout) {
+      return { files, timedOut: [] };
+    }
+    if (this.enabled && !this.entries) {
+      this.load();
+    }
+
+    const tasks = [];
+    for (const filePath of files) {
+      let content;
+      try {
+        content = fs.readFileSync(filePath, 'utf8');
+      } catch (error) {
+        continue; // Reported by the analyzer when it reads the file
+      }
+
+      const key = path.relative(process.cwd(), filePath);
+      const contentHash = hash(content);
+      const entry = this.enabled && this.entries[key];
+      if (!entry || entry.hash !== contentHash || !entry.findings) {
+        tasks.push({ filePath, key, contentHash, content });
+      }
+    }
+
+    const outcomes = await runInWorkers(WORKER_SCRIPT, tasks.map(({ filePath, content }) => ({ filePath, content })), {
+      size: concurrency,
+      timeout,
+      workerData: { analyzer, tool: this.tool, config }
+    });
+
+    const timedOut = [];
+    tasks.forEach(({ filePath, key, contentHash }, index) => {
+      if (outcomes[index].timedOut) {
+        timedOut.push({ file: key, reason: outcomes[index].error });
+      } else {
+        this.prefetched.set(key, { hash: contentHash, ...outcomes[index] });
+      }
+    });
+
+    const skipped = new Set(timedOut.map(({ file }) => file));
+    return { files: files.filter(file => !skipped.has(path.relative(process.cwd(), file))), timedOut };
+  }
+
+  /**
+   * Write the cache back to disk, dropping entries of deleted files
+   */
+  save () {
+    if (!this.enabled || !this.entries) {
+      return;
+    }
+
+    const files = Object.fromEntries(Object.entries(this.entries).filter(([file]) => fs.existsSync(file)));
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ version: this.version, files }));
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Could not write analysis cache ${this.filePath}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Print how many files were served from the cache
+   */
+  logStats () {
+    if (this.enabled && this.hits > 0) {
+      console.log(chalk.gray(`💾 Reused cached results for ${this.hits} of ${this.hits + this.misses} files`));
+    }
+  }
+}
+
+module.exports = {
+  AnalysisCache,
+  DEFAULT_CACHE_DIR,
+  ruleSetVersion,
+  serializeResult
+};
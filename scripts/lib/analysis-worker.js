@@ -0,0 +1,20 @@
+/**
+ * Analysis Worker
+ * Worker thread entry point: builds the analyzer named in workerData and runs
+ * its rule engine, with the cache extras, over the files posted by AnalysisCache.prefetch
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { serializeResult } = require('./analysis-cache');
+
+const { analyzer, tool, config } = workerData;
+const Analyzer = require(analyzer);
+const { cache } = new Analyzer({ config: { [tool]: config }, cache: false });
+
+parentPort.on('message', ({ content, filePath }) => {
+  try {
+    parentPort.postMessage({ value: serializeResult(cache.analyze(content, filePath)) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
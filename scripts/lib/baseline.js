@@ -0,0 +1,143 @@
+/**
+ * Findings Baseline
+ * Records known findings by stable fingerprint so analyzers can report only
+ * new findings, and the ones resolved since the baseline was taken
+ */
+
+const fs = require('fs');
+const { SCHEMA_VERSION, computeFingerprint } = require('./finding');
+
+const DEFAULT_BASELINE = '.sdlc-baseline.json';
+
+class BaselineError extends Error {
+  constructor (filePath, reason) {
+    super(`Could not read baseline ${filePath}: ${reason}`);
+    this.name = 'BaselineError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Read a baseline file written by writeBaseline
+ */
+function readBaseline (filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new BaselineError(filePath, 'file does not exist (create it with --update-baseline)');
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new BaselineError(filePath, `could not parse JSON (${error.message})`);
+  }
+
+  if (!baseline || typeof baseline.tools !== 'object') {
+    throw new BaselineError(filePath, 'missing "tools" section');
+  }
+  return baseline;
+}
+
+/**
+ * Build a baseline from normalized findings, keeping entries of tools that did not run
+ * @param {Object[]} findings - Common-schema findings (with tool and fingerprint)
+ * @param {string[]} tools - Tools whose entries are replaced
+ * @param {Object} [previous] - Existing baseline to update
+ */
+function createBaseline (findings, tools, previous = { tools: {} }) {
+  const baseline = {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    tools: { ...previous.tools }
+  };
+
+  for (const tool of tools) {
+    baseline.tools[tool] = findings
+      .filter(finding => finding.tool === tool)
+      .map(finding => ({
+        fingerprint: finding.fingerprint,
+        ruleId: finding.ruleId,
+        file: finding.location.file,
+        message: finding.message
+      }));
+  }
+
+  return baseline;
+}
+
+function writeBaseline (filePath, baseline) {
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Splits one tool's findings into new and already-known ones
+ *
+ * Each baseline entry matches at most one finding, so a second copy of a
+ * known snippet in the same file is still reported as new.
+ */
+class BaselineMatcher {
+  constructor (tool, baseline = null) {
+    this.enabled = Boolean(baseline);
+    this.entries = this.enabled ? (baseline.tools[tool] || []) : [];
+    this.remaining = new Map();
+    this.scannedFiles = new Set();
+
+    for (const entry of this.entries) {
+      const matches = this.remaining.get(entry.fingerprint) || [];
+      matches.push(entry);
+      this.remaining.set(entry.fingerprint, matches);
+    }
+  }
+
+  /**
+   * Partition the findings of one scanned file
+   * @returns {{fresh: Object[], known: Object[]}}
+   */
+  partition (file, findings) {
+    this.scannedFiles.add(file);
+    if (!this.enabled) {
+      return { fresh: findings, known: [] };
+    }
+
+    const fresh = [];
+    const known = [];
+    for (const finding of findings) {
+      const matches = this.remaining.get(computeFingerprint(finding.ruleId, finding.location));
+      if (matches && matches.length > 0) {
+        matches.pop();
+        known.push(finding);
+      } else {
+        fresh.push(finding);
+      }
+    }
+    return { fresh, known };
+  }
+
+  /**
+   * Baseline entries no longer found, limited to files that were scanned or deleted
+   */
+  resolved () {
+    return [...this.remaining.values()].flat()
+      .filter(entry => this.scannedFiles.has(entry.file) || !fs.existsSync(entry.file));
+  }
+
+  /**
+   * Baseline section of a tool report
+   */
+  summary (newFindings, knownFindings) {
+    if (!this.enabled) {
+      return null;
+    }
+    const resolved = this.resolved();
+    return { newFindings, knownFindings, resolvedFindings: resolved.length, resolved };
+  }
+}
+
+module.exports = {
+  BaselineError,
+  BaselineMatcher,
+  DEFAULT_BASELINE,
+  createBaseline,
+  readBaseline,
+  writeBaseline
+};
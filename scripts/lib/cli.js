@@ -0,0 +1,429 @@
+/**
+ * SDLC Command Line Interface
+ * Single entry point wrapping every analyzer and generator script
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const chalk = require('chalk');
+const { loadConfig, ConfigError } = require('./config');
+const { SEVERITIES } = require('./finding');
+const { EXIT_CODES, evaluateGate, parseFailOn } = require('./gate');
+const { DEFAULT_BASELINE, BaselineError, createBaseline, readBaseline, writeBaseline } = require('./baseline');
+const { DiffScope, getChangedLines } = require('./diff-scope');
+const { RulePackError } = require('./rule-packs');
+const { FORMATTERS } = require('./formatters');
+const { Watcher } = require('./watch');
+const { DEFAULT_HISTORY, HistoryError, appendRun, collapseRuns, createRun, createTestRun, formatTrend, readHistory } = require('./history');
+const { DEFAULT_CACHE_DIR } = require('./analysis-cache');
+const { DiscoveryError } = require('./file-discovery');
+const { REVIEW_PAYLOAD } = require('./pr-review');
+const { DEFAULT_TIMEOUT, resolveConcurrency } = require('./worker-pool');
+const AICodeReviewer = require('../ai-code-review');
+const SecurityVulnerabilityScanner = require('../security-vulnerability-check');
+const PerformanceAnalyzer = require('../performance-analysis');
+const CodeStyleReviewer = require('../code-style-review');
+const AITestGenerator = require('../generate-tests');
+const PRTestGenerator = require('../generate-pr-tests');
+const TestResultsAnalyzer = require('../analyze-test-results');
+const AIDocumentationGenerator = require('../generate-docs');
+const MergeReadinessAssessor = require('../merge-readiness-assessment');
+const ResultsAggregator = require('../aggregate-results');
+const QualityDashboard = require('../generate-dashboard');
+const BadgeGenerator = require('../generate-badges');
+
+const FORMATS = ['text', ...Object.keys(FORMATTERS)];
+
+// Formats that only make sense for a findings document
+const FINDINGS_FORMATS = FORMATS.filter(format => !['text', 'json'].includes(format));
+
+const OPTIONS = {
+  path: { type: 'string', default: '.', description: 'Directory to analyze' },
+  format: { type: 'string', default: 'text', description: `Summary printed to stdout (${FORMATS.join(', ')})` },
+  'output-dir': { type: 'string', default: '.', description: 'Directory that receives the report files' },
+  config: { type: 'string', description: 'Config file to use instead of .sdlcrc discovery' },
+  'fail-on': { type: 'string', description: `Quality gate overriding the config: a severity (${SEVERITIES.join(', ')}), none, score<N or count>N, comma-separated` },
+  baseline: { type: 'string', description: `Only report findings missing from this baseline file (default ${DEFAULT_BASELINE} with --update-baseline)` },
+  'update-baseline': { type: 'boolean', default: false, description: 'Record the current findings as the baseline' },
+  'changed-since': { type: 'string', description: 'Only analyze files changed since this git ref, e.g. origin/main' },
+  'changed-lines': { type: 'boolean', default: false, description: 'With --changed-since, only report findings on changed lines' },
+  'review-comments': { type: 'boolean', default: false, description: `review: with --changed-since, write inline pull request comments for changed lines to <output-dir>/${REVIEW_PAYLOAD}` },
+  concurrency: { type: 'string', default: '1', description: 'Worker threads analyzing files in parallel: a number, or auto for one per CPU' },
+  'file-timeout': { type: 'string', default: String(DEFAULT_TIMEOUT), description: 'Milliseconds one file may take before it is skipped' },
+  'no-cache': { type: 'boolean', default: false, description: `Re-analyze every file instead of reusing results cached in <output-dir>/${DEFAULT_CACHE_DIR}` },
+  'no-history': { type: 'boolean', default: false, description: `Do not append this run's scores to <output-dir>/${DEFAULT_HISTORY}` },
+  runs: { type: 'string', default: '10', description: 'trend: number of most recent commits to show' },
+  pr: { type: 'boolean', default: false, description: 'tests: only generate tests for files changed in the PR' },
+  analyze: { type: 'boolean', default: false, description: 'tests: analyze test results instead of generating tests' },
+  help: { type: 'boolean', short: 'h', default: false, description: 'Show help' }
+};
+
+// Analyzer tools and the script method that runs them
+const ANALYZERS = {
+  review: { Analyzer: AICodeReviewer, run: (analyzer, options) => analyzer.performReview(options.path) },
+  security: { Analyzer: SecurityVulnerabilityScanner, run: (analyzer, options) => analyzer.scan(options.path) },
+  performance: { Analyzer: PerformanceAnalyzer, run: (analyzer, options) => analyzer.analyze(options.path) },
+  style: { Analyzer: CodeStyleReviewer, run: (analyzer, options) => analyzer.review(options.path) }
+};
+
+const COMMANDS = {
+  review: { description: 'AI code review', tools: ['review'] },
+  security: { description: 'Security vulnerability scan', tools: ['security'] },
+  perf: { description: 'Performance analysis', tools: ['performance'] },
+  style: { description: 'Code style review', tools: ['style'] },
+  tests: { description: 'Generate tests (--pr for changed files, --analyze for test results)', run: runTests },
+  docs: { description: 'Generate documentation', run: runDocs },
+  'merge-check': { description: 'Assess merge readiness from the latest reports', run: runMergeCheck },
+  dashboard: { description: 'Build a self-contained HTML dashboard from the latest reports', run: runDashboard },
+  badges: { description: 'Render SVG score badges from the latest reports', run: runBadges },
+  trend: { description: 'Show how scores and finding counts changed across recorded runs', run: runTrend },
+  all: { description: 'Run review, security, perf and style, then aggregate the findings', tools: Object.keys(ANALYZERS), aggregate: true },
+  watch: { description: 'Re-run review, security and style on save, printing new and fixed findings', run: runWatch }
+};
+
+class UsageError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse argv into a command name and normalized options
+ */
+function parseCommandLine (argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { description, ...option }]) => [name, option])),
+      allowPositionals: true
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (rest.length > 0) {
+    throw new UsageError(`Unexpected argument: ${rest[0]}`);
+  }
+  if (command && command !== 'help' && !COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format: ${values.format} (expected one of: ${FORMATS.join(', ')})`);
+  }
+  if (FINDINGS_FORMATS.includes(values.format) && command && COMMANDS[command] && !COMMANDS[command].tools) {
+    throw new UsageError(`--format ${values.format} only applies to the analyzer commands (${Object.keys(COMMANDS).filter(name => COMMANDS[name].tools).join(', ')})`);
+  }
+  // merge-check gates on readiness and the report commands have no findings to gate
+  if (values['fail-on'] !== undefined && command && COMMANDS[command] && !COMMANDS[command].tools) {
+    throw new UsageError(`--fail-on only applies to the analyzer commands (${Object.keys(COMMANDS).filter(name => COMMANDS[name].tools).join(', ')})`);
+  }
+  if (values['changed-lines'] && !values['changed-since']) {
+    throw new UsageError('--changed-lines requires --changed-since <ref>');
+  }
+  if (values['review-comments'] && !values['changed-since']) {
+    throw new UsageError('--review-comments requires --changed-since <ref>');
+  }
+
+  const concurrency = resolveConcurrency(values.concurrency);
+  if (!concurrency) {
+    throw new UsageError(`Invalid --concurrency: ${values.concurrency} (expected a positive integer or auto)`);
+  }
+  const fileTimeout = Number(values['file-timeout']);
+  if (!Number.isInteger(fileTimeout) || fileTimeout <= 0) {
+    throw new UsageError(`Invalid --file-timeout: ${values['file-timeout']} (expected milliseconds)`);
+  }
+
+  const runs = Number(values.runs);
+  if (!Number.isInteger(runs) || runs <= 0) {
+    throw new UsageError(`Invalid --runs: ${values.runs} (expected a positive integer)`);
+  }
+
+  let failOn;
+  if (values['fail-on'] !== undefined) {
+    try {
+      failOn = parseFailOn(values['fail-on']);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  return {
+    command: command === 'help' ? null : command,
+    help: values.help || !command || command === 'help',
+    options: {
+      path: values.path,
+      format: values.format,
+      outputDir: values['output-dir'],
+      configPath: values.config,
+      failOn,
+      baselinePath: values.baseline || (values['update-baseline'] ? DEFAULT_BASELINE : undefined),
+      updateBaseline: values['update-baseline'],
+      changedSince: values['changed-since'],
+      changedLines: values['changed-lines'],
+      reviewComments: values['review-comments'],
+      cache: !values['no-cache'],
+      concurrency,
+      fileTimeout,
+      history: !values['no-history'],
+      runs,
+      pr: values.pr,
+      analyze: values.analyze
+    }
+  };
+}
+
+function helpText () {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length), ...Object.keys(OPTIONS).map(name => name.length + 2));
+  const commands = Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(width)}  ${description}`);
+  const options = Object.entries(OPTIONS).map(([name, { description, short }]) =>
+    `  ${`--${name}`.padEnd(width)}  ${description}${short ? ` (-${short})` : ''}`);
+
+  return [
+    'Usage: sdlc <command> [options]',
+    '',
+    'Commands:',
+    ...commands,
+    '',
+    'Options:',
+    ...options,
+    '',
+    'Exit codes: 0 success, 1 quality gate failed, 2 usage or runtime error'
+  ].join('\n');
+}
+
+/**
+ * Run analyzer tools in sequence and build the normalized findings document
+ */
+async function runAnalyzers (tools, options, { aggregate = false } = {}) {
+  // When recording a new baseline every current finding has to be reported
+  const baseline = options.baselinePath && !options.updateBaseline ? readBaseline(options.baselinePath) : null;
+  const scope = options.changedSince ? DiffScope.since(options.changedSince, { hunks: options.changedLines }) : undefined;
+  // Inline comments are anchored to changed lines even when findings aren't restricted to them
+  const pullRequest = options.reviewComments
+    ? { changedLines: scope.lines || getChangedLines(options.changedSince) }
+    : undefined;
+
+  for (const tool of tools) {
+    const { Analyzer, run } = ANALYZERS[tool];
+    await run(new Analyzer({
+      config: options.config,
+      outputDir: options.outputDir,
+      baseline,
+      scope,
+      pullRequest,
+      cache: options.cache,
+      concurrency: options.concurrency,
+      fileTimeout: options.fileTimeout
+    }), options);
+  }
+
+  const aggregator = new ResultsAggregator({ outputDir: options.outputDir, tools });
+  const document = aggregate ? await aggregator.aggregate() : aggregator.buildDocument();
+
+  if (options.updateBaseline) {
+    const previous = fs.existsSync(options.baselinePath) ? readBaseline(options.baselinePath) : undefined;
+    writeBaseline(options.baselinePath, createBaseline(document.findings, tools, previous));
+    console.log(chalk.green(`📌 Baseline updated: ${options.baselinePath} (${document.findings.length} findings)`));
+  }
+
+  // Baseline and diff-scoped runs only score part of the findings, which would skew the trend
+  if (options.history && !baseline && !scope) {
+    appendRun(historyPath(options), createRun(document));
+  }
+
+  return document;
+}
+
+function historyPath (options) {
+  return path.join(options.outputDir, DEFAULT_HISTORY);
+}
+
+async function runTests (options) {
+  if (options.analyze) {
+    const analyzer = new TestResultsAnalyzer({ outputDir: options.outputDir });
+    await analyzer.analyze();
+    if (options.history) {
+      appendRun(historyPath(options), createTestRun({ summary: analyzer.analysis.summary, quality: analyzer.calculateQualityScore() }));
+    }
+  } else if (options.pr) {
+    await new PRTestGenerator({ config: options.config, outputDir: options.outputDir }).generateTests();
+  } else {
+    await new AITestGenerator({ config: options.config }).generateTests();
+  }
+  return { exitCode: EXIT_CODES.success };
+}
+
+async function runDocs () {
+  await new AIDocumentationGenerator().generateDocs();
+  return { exitCode: EXIT_CODES.success };
+}
+
+async function runMergeCheck (options) {
+  const assessor = new MergeReadinessAssessor({ config: options.config, outputDir: options.outputDir });
+  const assessment = await assessor.assess();
+  const gate = assessor.gateResult();
+
+  return {
+    exitCode: gate.passed ? EXIT_CODES.success : EXIT_CODES.gateFailed,
+    output: assessment,
+    gateLines: gateLines(gate)
+  };
+}
+
+async function runDashboard (options) {
+  const dashboard = await new QualityDashboard({ outputDir: options.outputDir }).generate();
+  return { exitCode: EXIT_CODES.success, output: dashboard };
+}
+
+async function runBadges (options) {
+  const badges = await new BadgeGenerator({ config: options.config, outputDir: options.outputDir }).generate();
+  return { exitCode: EXIT_CODES.success, output: { badges } };
+}
+
+async function runTrend (options) {
+  const runs = readHistory(historyPath(options));
+  return {
+    exitCode: EXIT_CODES.success,
+    output: { runs: collapseRuns(runs).slice(-options.runs) },
+    lines: formatTrend(runs, { limit: options.runs })
+  };
+}
+
+async function runWatch (options) {
+  const watcher = new Watcher(options);
+  console.log(chalk.blue(`👀 Analyzing ${options.path}...`));
+
+  const { files, findings } = await watcher.start();
+  watcher.watch();
+  console.log(chalk.blue(`👀 Watching ${files} files with ${findings} findings, press Ctrl+C to stop`));
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await watcher.close();
+  return { exitCode: EXIT_CODES.success };
+}
+
+/**
+ * Evaluate each tool against the --fail-on gate, or its configured failOn
+ */
+function evaluateTools (document, options) {
+  const failures = [];
+
+  for (const [tool, info] of Object.entries(document.tools)) {
+    const gate = options.failOn || options.config[tool].failOn;
+    const findings = document.findings.filter(finding => finding.tool === tool);
+    failures.push(...evaluateGate(tool, { score: info.score, findings }, gate).failures);
+  }
+
+  return { passed: failures.length === 0, failures };
+}
+
+function gateLines (gate) {
+  return gate.passed ? [] : ['Quality gate failed:', ...gate.failures.map(failure => `  - ${failure}`)];
+}
+
+function summarize (document) {
+  const lines = [];
+  for (const [tool, info] of Object.entries(document.tools)) {
+    const counts = SEVERITIES.filter(severity => info.findingsBySeverity[severity] > 0)
+      .map(severity => `${info.findingsBySeverity[severity]} ${severity}`);
+    const baseline = info.baseline
+      ? `, baseline: ${info.baseline.newFindings} new, ${info.baseline.knownFindings} known, ${info.baseline.resolvedFindings} resolved`
+      : '';
+    lines.push(`${tool}: score ${info.score}/100, ${info.totalFindings} findings${counts.length ? ` (${counts.join(', ')})` : ''}${baseline}`);
+  }
+  return lines;
+}
+
+async function runCommand (name, options) {
+  const command = COMMANDS[name];
+  if (command.run) {
+    return command.run(options);
+  }
+
+  const document = await runAnalyzers(command.tools, options, { aggregate: command.aggregate });
+  const gate = evaluateTools(document, options);
+
+  return {
+    exitCode: gate.passed ? EXIT_CODES.success : EXIT_CODES.gateFailed,
+    output: document,
+    lines: summarize(document),
+    gateLines: gateLines(gate)
+  };
+}
+
+/**
+ * Route analyzer progress logs to stderr so machine-readable formats keep stdout parseable
+ */
+async function withProgressOnStderr (enabled, fn) {
+  const log = console.log;
+  if (enabled) {
+    console.log = console.error;
+  }
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Run the CLI and resolve with the process exit code
+ * @param {string[]} argv - Arguments after the executable, e.g. ['review', '--path', 'src']
+ * @param {Object} [io] - Output streams, defaults to the process streams
+ */
+async function run (argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const startTime = new Date().toISOString();
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    io.stderr.write(`${chalk.red(error.message)}\n\n${helpText()}\n`);
+    return EXIT_CODES.error;
+  }
+
+  if (parsed.help) {
+    io.stdout.write(`${helpText()}\n`);
+    return EXIT_CODES.success;
+  }
+
+  const { options } = parsed;
+  try {
+    options.config = loadConfig({ configPath: options.configPath });
+    fs.mkdirSync(options.outputDir, { recursive: true });
+
+    const result = await withProgressOnStderr(options.format !== 'text', () => runCommand(parsed.command, options));
+
+    const gate = result.gateLines || [];
+    if (options.format !== 'text') {
+      const formatted = FORMATTERS[options.format](result.output || {}, { commandLine: ['sdlc', ...argv].join(' '), startTime });
+      io.stdout.write(`${formatted}\n`);
+      if (gate.length > 0) {
+        io.stderr.write(`${gate.join('\n')}\n`);
+      }
+    } else {
+      const lines = [...(result.lines || []), ...gate];
+      if (lines.length > 0) {
+        io.stdout.write(`\n${lines.join('\n')}\n`);
+      }
+    }
+
+    return result.exitCode;
+  } catch (error) {
+    const known = [ConfigError, BaselineError, RulePackError, HistoryError, DiscoveryError].some(type => error instanceof type);
+    const message = known ? error.message : `Error: ${error.message}`;
+    io.stderr.write(`${chalk.red(message)}\n`);
+    return EXIT_CODES.error;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseCommandLine,
+  run
+};
@@ -0,0 +1,296 @@
+/**
+ * Clone Detection
+ * Finds duplicated code across files by hashing windows of tokens. Exact
+ * copies are type-1 clones; copies that only rename identifiers or change
+ * literals are type-2 clones.
+ */
+
+const { extractScripts, parseSource } = require('./rule-engine');
+
+const DEFAULT_MIN_TOKENS = 50;
+const MAX_SNIPPET_LINES = 5;
+
+// Token types whose text is ignored when looking for type-2 clones
+const NAME_TOKENS = new Set(['name', 'jsxName', 'privateName']);
+const LITERAL_TOKENS = new Set(['num', 'string', 'template', 'regexp', 'bigint', 'decimal', 'jsxText']);
+const SKIPPED_TOKENS = new Set(['CommentLine', 'CommentBlock', 'eof']);
+
+// Polynomial rolling hash; base × modulus stays below Number.MAX_SAFE_INTEGER
+const HASH_BASE = 1000003;
+const HASH_MODULUS = 2147483647;
+
+const tokenType = (token) => typeof token.type === 'string' ? token.type : token.type.label;
+
+function normalize (type, text) {
+  if (NAME_TOKENS.has(type)) {
+    return '$name';
+  }
+  return LITERAL_TOKENS.has(type) ? '$literal' : text;
+}
+
+function isRequire (node) {
+  while (node && node.type === 'MemberExpression') {
+    node = node.object;
+  }
+  return Boolean(node) && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+/**
+ * Top-level statements that only load modules. Every file starts with a block
+ * of them, and with names normalized they all look alike, so they are left
+ * out of clone detection.
+ */
+function isModuleHeader (statement) {
+  if (statement.type === 'ImportDeclaration' || statement.type === 'ExportAllDeclaration') {
+    return true;
+  }
+  return statement.type === 'VariableDeclaration' && statement.declarations.every(declarator => isRequire(declarator.init));
+}
+
+/**
+ * Tokens of one script chunk, without comments and module headers
+ * @returns {Array<{exact: string, normalized: string, line: number, column: number, endLine: number, endColumn: number}>}
+ */
+function tokenize (text, filePath, offset) {
+  const ast = parseSource(text, filePath, offset, { tokens: true });
+  const headers = ast.program.body.filter(isModuleHeader);
+  const inHeader = (token) => headers.some(node => token.start >= node.start && token.end <= node.end);
+
+  return ast.tokens
+    .filter(token => !SKIPPED_TOKENS.has(tokenType(token)) && !inHeader(token))
+    .map(token => {
+      const exact = text.slice(token.start, token.end);
+      return {
+        exact,
+        normalized: normalize(tokenType(token), exact),
+        line: token.loc.start.line,
+        column: token.loc.start.column + 1,
+        endLine: token.loc.end.line,
+        endColumn: token.loc.end.column + 1
+      };
+    });
+}
+
+/**
+ * Tokens of every script chunk of a file as plain data for the analysis
+ * cache. Each token is packed as [exact, normalized or null when the same,
+ * line, column]; its end follows from the text.
+ * @returns {Array<Array>} One list of packed tokens per chunk
+ */
+function tokenizeFile (content, filePath) {
+  return extractScripts(content, filePath).map(({ text, offset }) =>
+    tokenize(text, filePath, offset).map(({ exact, normalized, line, column }) =>
+      [exact, normalized === exact ? null : normalized, line, column]));
+}
+
+function unpackToken ([exact, normalized, line, column]) {
+  const rows = exact.split('\n');
+  return {
+    exact,
+    normalized: normalized === null ? exact : normalized,
+    line,
+    column,
+    endLine: line + rows.length - 1,
+    endColumn: rows.length > 1 ? rows[rows.length - 1].length + 1 : column + exact.length
+  };
+}
+
+/**
+ * Hash of every window of `size` consecutive token ids
+ */
+function windowHashes (ids, size) {
+  if (ids.length < size) {
+    return [];
+  }
+
+  let power = 1;
+  for (let index = 1; index < size; index++) {
+    power = (power * HASH_BASE) % HASH_MODULUS;
+  }
+
+  const hashes = [];
+  let hash = 0;
+  for (let index = 0; index < ids.length; index++) {
+    if (index >= size) {
+      hash = (hash - (ids[index - size] * power) % HASH_MODULUS + HASH_MODULUS) % HASH_MODULUS;
+    }
+    hash = (hash * HASH_BASE + ids[index]) % HASH_MODULUS;
+    if (index >= size - 1) {
+      hashes.push(hash);
+    }
+  }
+  return hashes;
+}
+
+// A clone may not overlap the code it copies
+const fitsBefore = (a, start, length, b, at) => a !== b || start + length <= at;
+
+class CloneDetector {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minTokens=50] - Shortest token sequence reported as a clone
+   * @param {boolean} [options.renamed=true] - Also match copies with renamed identifiers and changed literals (type-2)
+   */
+  constructor (options = {}) {
+    this.minTokens = options.minTokens || DEFAULT_MIN_TOKENS;
+    this.renamed = options.renamed !== false;
+    // file -> its script chunks; adding a file again replaces them
+    this.files = new Map();
+    this.ids = new Map();
+  }
+
+  /**
+   * Add or replace a file; HTML files contribute each inline script separately
+   * @param {string} file - Path reported in clone locations
+   * @param {string} content - File contents
+   * @param {string} [filePath] - Path the file is parsed as
+   * @param {Array} [chunks] - tokenizeFile output, e.g. from the analysis cache
+   */
+  addFile (file, content, filePath = file, chunks = tokenizeFile(content, filePath)) {
+    const key = this.renamed ? 'normalized' : 'exact';
+    const lines = content.split('\n');
+
+    this.files.set(file, chunks.map(packed => {
+      const tokens = packed.map(unpackToken);
+      return { file, lines, tokens, ids: tokens.map(token => this.idOf(token[key])) };
+    }));
+  }
+
+  units () {
+    return [...this.files.values()].flat();
+  }
+
+  idOf (text) {
+    if (!this.ids.has(text)) {
+      this.ids.set(text, this.ids.size + 1);
+    }
+    return this.ids.get(text);
+  }
+
+  /**
+   * Find clone groups across every added file. Each group's first occurrence
+   * is the earliest copy; the duplication percentage counts the lines of the
+   * later copies against all lines that hold tokens.
+   * @returns {{groups: Object[], duplicatedLines: number, totalLines: number, percentage: number}}
+   */
+  detect () {
+    const size = this.minTokens;
+    const units = this.units();
+    const positions = new Map(units.map((unit, position) => [unit, position]));
+    const index = new Map();
+    const groups = new Map();
+
+    for (const unit of units) {
+      const hashes = windowHashes(unit.ids, size);
+      let at = 0;
+
+      while (at < hashes.length) {
+        const candidates = index.get(hashes[at]);
+        const original = candidates && candidates.find(candidate => this.sameTokens(candidate.unit, candidate.start, unit, at, size));
+
+        if (!original) {
+          if (candidates) {
+            candidates.push({ unit, start: at });
+          } else {
+            index.set(hashes[at], [{ unit, start: at }]);
+          }
+          at++;
+          continue;
+        }
+
+        const length = this.extend(original, unit, at);
+        // A copy that directly follows its original, at most a separator apart, is a repeated run like the rows of a table
+        if (original.unit === unit && at - (original.start + length) <= 1) {
+          at += length;
+          continue;
+        }
+
+        const key = `${positions.get(original.unit)}:${original.start}:${length}`;
+        if (!groups.has(key)) {
+          groups.set(key, { original: { ...original, length }, copies: [] });
+        }
+        groups.get(key).copies.push({ unit, start: at, length });
+        at += length;
+      }
+    }
+
+    return this.summarize(units, [...groups.values()]);
+  }
+
+  sameTokens (a, start, b, at, length) {
+    if (!fitsBefore(a, start, length, b, at)) {
+      return false;
+    }
+    for (let offset = 0; offset < length; offset++) {
+      if (a.ids[start + offset] !== b.ids[at + offset]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Grow a match past the minimum window for as long as the tokens agree
+   */
+  extend ({ unit: a, start }, b, at) {
+    let length = this.minTokens;
+    while (at + length < b.ids.length && a.ids[start + length] === b.ids[at + length] &&
+      fitsBefore(a, start, length + 1, b, at)) {
+      length++;
+    }
+    return length;
+  }
+
+  /**
+   * Location of a token range, with the full source lines it spans
+   */
+  locate ({ unit, start, length }) {
+    const first = unit.tokens[start];
+    const last = unit.tokens[start + length - 1];
+    const firstIndex = first.line - 1;
+
+    return {
+      file: unit.file,
+      line: first.line,
+      column: first.column,
+      endLine: last.endLine,
+      endColumn: last.endColumn,
+      snippet: unit.lines.slice(firstIndex, firstIndex + Math.min(last.endLine - first.line + 1, MAX_SNIPPET_LINES)).join('\n')
+    };
+  }
+
+  isExactCopy (original, copy) {
+    for (let offset = 0; offset < original.length; offset++) {
+      if (original.unit.tokens[original.start + offset].exact !== copy.unit.tokens[copy.start + offset].exact) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  summarize (units, matches) {
+    const lineKey = (unit, token) => `${unit.file}:${token.line}`;
+    const allLines = new Set(units.flatMap(unit => unit.tokens.map(token => lineKey(unit, token))));
+    const copiedLines = new Set(matches.flatMap(({ copies }) => copies.flatMap(({ unit, start, length }) =>
+      unit.tokens.slice(start, start + length).map(token => lineKey(unit, token)))));
+
+    const groups = matches.map(({ original, copies }) => ({
+      type: copies.every(copy => this.isExactCopy(original, copy)) ? 1 : 2,
+      tokens: original.length,
+      occurrences: [original, ...copies].map(occurrence => this.locate(occurrence))
+    }));
+
+    return {
+      groups,
+      duplicatedLines: copiedLines.size,
+      totalLines: allLines.size,
+      percentage: allLines.size ? Math.round(copiedLines.size / allLines.size * 1000) / 10 : 0
+    };
+  }
+}
+
+module.exports = {
+  CloneDetector,
+  tokenize,
+  tokenizeFile
+};
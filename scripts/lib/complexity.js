@@ -0,0 +1,177 @@
+/**
+ * Function Complexity
+ * Per-function cyclomatic and cognitive complexity, nesting depth, parameter
+ * count and length, measured on the ESTree the rule engine parses
+ */
+
+const { childNodes, extractScripts, parseSource, walk } = require('./rule-engine');
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+const LOOPS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+// Each adds a path through the function (cyclomatic complexity)
+const BRANCHES = new Set([...LOOPS, 'IfStatement', 'ConditionalExpression', 'CatchClause']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+
+// Each breaks the linear flow and nests what it contains (cognitive complexity)
+const STRUCTURES = new Set([...LOOPS, 'IfStatement', 'ConditionalExpression', 'SwitchStatement', 'CatchClause']);
+
+// Statements that open a nested block (nesting depth)
+const BLOCKS = new Set([...LOOPS, 'IfStatement', 'SwitchStatement', 'TryStatement', 'WithStatement']);
+
+const METRICS = {
+  cyclomatic: 'cyclomatic complexity',
+  cognitive: 'cognitive complexity',
+  nesting: 'nesting depth',
+  params: 'parameter count',
+  lines: 'length in lines'
+};
+
+const measured = new WeakMap();
+
+const isFunction = (node) => FUNCTION_TYPES.includes(node.type);
+
+const isElseIf = (node, parent) => node.type === 'IfStatement' && Boolean(parent) &&
+  parent.type === 'IfStatement' && parent.alternate === node;
+
+function keyName (key) {
+  if (key.type === 'Identifier' || key.type === 'PrivateIdentifier') {
+    return key.name;
+  }
+  return key.type === 'Literal' ? String(key.value) : null;
+}
+
+/**
+ * Name a function is known by: its own, or the variable, property or
+ * assignment target it is bound to. Null for anonymous callbacks.
+ */
+function functionName (node, parent) {
+  if (node.id) {
+    return node.id.name;
+  }
+  if (!parent) {
+    return null;
+  }
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if (['MethodDefinition', 'Property', 'PropertyDefinition'].includes(parent.type)) {
+    return keyName(parent.key);
+  }
+  if (parent.type === 'AssignmentExpression') {
+    return parent.left.type === 'MemberExpression' ? keyName(parent.left.property) : parent.left.name || null;
+  }
+  return null;
+}
+
+/**
+ * Measure a function, or the top-level code of a Program. Nested functions
+ * are measured on their own and don't count toward the enclosing one.
+ *
+ * - cyclomatic: 1 + branches, loops, catch clauses, switch cases and logical operators
+ * - cognitive: SonarSource cognitive complexity; structures cost more the deeper they are nested
+ * - nesting: deepest stack of nested blocks (if, loops, switch, try)
+ * @returns {{cyclomatic: number, cognitive: number, nesting: number, params: number, lines: number}}
+ */
+function measureFunction (root) {
+  if (measured.has(root)) {
+    return measured.get(root);
+  }
+
+  const metrics = {
+    cyclomatic: 1,
+    cognitive: 0,
+    nesting: 0,
+    params: root.params ? root.params.length : 0,
+    lines: root.loc.end.line - root.loc.start.line + 1
+  };
+
+  const visit = (node, parent, nesting, depth) => {
+    if (node !== root && isFunction(node)) {
+      return;
+    }
+
+    const elseIf = isElseIf(node, parent);
+    const logical = LOGICAL_OPERATORS.has(node.operator) && ['LogicalExpression', 'AssignmentExpression'].includes(node.type);
+
+    if (BRANCHES.has(node.type) || (node.type === 'SwitchCase' && node.test) || logical) {
+      metrics.cyclomatic++;
+    }
+
+    // An else-if continues the chain of its parent rather than nesting inside it
+    let blockDepth = depth;
+    if (BLOCKS.has(node.type) && !elseIf) {
+      blockDepth++;
+      metrics.nesting = Math.max(metrics.nesting, blockDepth);
+    }
+
+    let childNesting = nesting;
+    if (STRUCTURES.has(node.type)) {
+      metrics.cognitive += elseIf ? 1 : 1 + nesting;
+      childNesting++;
+    }
+    if (node.type === 'IfStatement' && node.alternate && node.alternate.type !== 'IfStatement') {
+      metrics.cognitive++;
+    }
+    if (['BreakStatement', 'ContinueStatement'].includes(node.type) && node.label) {
+      metrics.cognitive++;
+    }
+    // Every run of the same operator counts once: a && b && c is 1, a && b || c is 2
+    if (node.type === 'LogicalExpression' && !(parent && parent.type === 'LogicalExpression' && parent.operator === node.operator)) {
+      metrics.cognitive++;
+    }
+
+    for (const child of childNodes(node)) {
+      visit(child, node, isElseIf(child, node) ? nesting : childNesting, blockDepth);
+    }
+  };
+
+  visit(root.type === 'Program' ? root : root.body, root, 0, 0);
+  measured.set(root, metrics);
+  return metrics;
+}
+
+/**
+ * Metrics of every function in a file plus its top-level code. Files that
+ * don't parse have no metrics; the rule engine reports the parse error.
+ * @returns {{functions: Object[], program: ?Object}}
+ */
+function measureFile (content, filePath) {
+  const functions = [];
+  let program = null;
+
+  for (const { text, offset } of extractScripts(content, filePath)) {
+    let ast;
+    try {
+      ast = parseSource(text, filePath, offset);
+    } catch (error) {
+      return { functions: [], program: null };
+    }
+
+    const topLevel = measureFunction(ast.program);
+    program = program ? mergeMaxima(program, topLevel) : topLevel;
+
+    const record = (node, parent) => functions.push({
+      name: functionName(node, parent),
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      ...measureFunction(node)
+    });
+    walk(ast.program, Object.fromEntries(FUNCTION_TYPES.map(type => [type, [record]])));
+  }
+
+  return { functions, program };
+}
+
+function mergeMaxima (a, b) {
+  return Object.fromEntries(Object.keys(a).map(key => [key, Math.max(a[key], b[key])]));
+}
+
+module.exports = {
+  FUNCTION_TYPES,
+  METRICS,
+  functionName,
+  measureFile,
+  measureFunction
+};
@@ -0,0 +1,422 @@
+/**
+ * SDLC Configuration Loader
+ * Resolves the shared project config (.sdlcrc) honored by every analyzer script
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cloneDeep, isPlainObject, mergeWith } = require('lodash');
+const { SEVERITIES } = require('./finding');
+
+const CONFIG_FILES = ['.sdlcrc', '.sdlcrc.json', '.sdlcrc.js', 'sdlc.config.js'];
+const PACKAGE_KEY = 'sdlc';
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+const EXCLUDED_DIRS = ['node_modules', '.git', 'coverage', 'dist'];
+
+// Which files an analyzer picks up, see lib/file-discovery.js
+const FILE_SELECTION = {
+  excludeDirs: EXCLUDED_DIRS,
+  include: [],
+  exclude: [],
+  gitignore: true,
+  symlinks: 'skip',
+  maxFileSize: 1024 * 1024
+};
+
+// Scale deductions to findings per referenceLines lines of code, see lib/scoring.js
+const NORMALIZATION = { enabled: true, referenceLines: 1000 };
+
+const DEFAULT_CONFIG = {
+  review: {
+    extensions: SOURCE_EXTENSIONS,
+    ...FILE_SELECTION,
+    includeTests: false,
+    severityWeights: { high: 10, medium: 5, low: 2 },
+    normalization: NORMALIZATION,
+    positiveBonus: { perItem: 2, max: 20 },
+    thresholds: { score: 70, mediumIssues: 5, suggestions: 10, complexity: 10, lowComplexity: 5 },
+    // Per-function limits reported as findings, see lib/complexity.js; 0 turns a check off
+    functionLimits: { cyclomatic: 10, cognitive: 15, nesting: 4, params: 4, lines: 50 },
+    // Clone detection across the reviewed files, see lib/clones.js; weight is points per percent duplicated
+    duplication: { enabled: true, minTokens: 50, renamed: true, weight: 0.5 },
+    // Unreachable code, unused declarations and unused exports, see lib/module-graph.js; names matching ignorePattern are skipped
+    deadCode: { enabled: true, unusedExports: true, unusedVariables: true, ignorePattern: '^_' },
+    failOn: { severity: 'none' },
+    rulePacks: [],
+    // Most inline comments posted in one pull request review, see lib/pr-review.js
+    maxInlineComments: 50,
+    // Model-backed suggestions, see lib/llm-review.js; 'none' keeps the heuristics
+    llm: {
+      provider: 'none',
+      model: '',
+      endpoint: '',
+      apiKeyEnv: '',
+      unit: 'file',
+      contextLines: 3,
+      maxInputTokens: 6000,
+      maxOutputTokens: 1024,
+      maxTotalTokens: 100000,
+      timeout: 60000,
+      temperature: 0,
+      fixtures: '',
+      prompts: {}
+    }
+  },
+  security: {
+    extensions: [...SOURCE_EXTENSIONS, '.html'],
+    ...FILE_SELECTION,
+    severityWeights: { critical: 25, high: 15, medium: 8, low: 3 },
+    normalization: NORMALIZATION,
+    failOn: { severity: 'critical' },
+    rulePacks: []
+  },
+  performance: {
+    extensions: SOURCE_EXTENSIONS,
+    ...FILE_SELECTION,
+    severityWeights: { critical: 15, high: 8, medium: 3 },
+    normalization: NORMALIZATION,
+    optimizationBonus: { perItem: 2, max: 15 },
+    thresholds: { score: 70, domQueries: 20, loops: 10 },
+    failOn: { severity: 'none' },
+    rulePacks: []
+  },
+  style: {
+    extensions: SOURCE_EXTENSIONS,
+    ...FILE_SELECTION,
+    severityWeights: { high: 10, medium: 5, low: 2 },
+    normalization: NORMALIZATION,
+    modernizationBonus: { perPoint: 5, max: 20 },
+    thresholds: { modernization: 0.5, namingViolations: 3 },
+    failOn: { severity: 'none' },
+    rulePacks: []
+  },
+  tests: {
+    srcDir: 'src',
+    testDir: 'tests',
+    baseRef: 'origin/main',
+    extensions: SOURCE_EXTENSIONS,
+    ...FILE_SELECTION
+  },
+  merge: {
+    requiredApprovals: 2,
+    maxTestAgeHours: 24,
+    thresholds: { coverage: 80, styleScore: 70, securityScore: 80, performanceScore: 70, readiness: 80 },
+    blockerWeights: { critical: 30, high: 20, medium: 10, low: 5 },
+    warningWeights: { high: 5, medium: 3, low: 1 }
+  },
+  badges: {
+    dir: 'badges',
+    // Lowest value shown green or yellow, anything below is red. The yellow
+    // marks are the pass thresholds of review, performance and merge; a
+    // security score of 95 or more leaves room for low severity findings only
+    thresholds: {
+      review: { green: 90, yellow: 70 },
+      security: { green: 95, yellow: 80 },
+      performance: { green: 90, yellow: 70 },
+      style: { green: 90, yellow: 70 },
+      coverage: { green: 90, yellow: 80 },
+      merge: { green: 90, yellow: 80 }
+    }
+  }
+};
+
+// Schema helpers - each node describes the expected shape of one config key
+const number = (minimum = 0) => ({ type: 'number', minimum });
+const string = () => ({ type: 'string' });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const regexp = () => ({ type: 'string', regexp: true });
+const boolean = () => ({ type: 'boolean' });
+const list = (items) => ({ type: 'array', items });
+const object = (properties) => ({ type: 'object', properties });
+const weights = (...keys) => object(Object.fromEntries(keys.map(key => [key, number()])));
+
+const fileSelection = {
+  extensions: list(string()),
+  excludeDirs: list(string()),
+  include: list(string()),
+  exclude: list(string()),
+  gitignore: boolean(),
+  symlinks: oneOf('skip', 'follow'),
+  maxFileSize: number()
+};
+
+const normalization = object({ enabled: boolean(), referenceLines: number(1) });
+
+// Quality gate applied when the script exits, see lib/gate.js
+const failOn = object({
+  severity: oneOf('none', ...SEVERITIES),
+  minScore: number(),
+  maxFindings: number()
+});
+
+const TOOL_SCHEMA = {
+  review: object({
+    ...fileSelection,
+    includeTests: boolean(),
+    severityWeights: weights('high', 'medium', 'low'),
+    normalization,
+    positiveBonus: weights('perItem', 'max'),
+    thresholds: weights('score', 'mediumIssues', 'suggestions', 'complexity', 'lowComplexity'),
+    functionLimits: weights('cyclomatic', 'cognitive', 'nesting', 'params', 'lines'),
+    duplication: object({ enabled: boolean(), minTokens: number(10), renamed: boolean(), weight: number() }),
+    deadCode: object({ enabled: boolean(), unusedExports: boolean(), unusedVariables: boolean(), ignorePattern: regexp() }),
+    failOn,
+    rulePacks: list(string()),
+    maxInlineComments: number(1),
+    llm: object({
+      provider: oneOf('none', 'openai', 'anthropic', 'ollama', 'stub'),
+      model: string(),
+      endpoint: string(),
+      apiKeyEnv: string(),
+      unit: oneOf('file', 'hunk'),
+      contextLines: number(),
+      maxInputTokens: number(1),
+      maxOutputTokens: number(1),
+      maxTotalTokens: number(),
+      timeout: number(1),
+      temperature: number(),
+      fixtures: string(),
+      prompts: object({ system: string(), file: string(), hunk: string() })
+    })
+  }),
+  security: object({
+    ...fileSelection,
+    severityWeights: weights('critical', 'high', 'medium', 'low'),
+    normalization,
+    failOn,
+    rulePacks: list(string())
+  }),
+  performance: object({
+    ...fileSelection,
+    severityWeights: weights('critical', 'high', 'medium'),
+    normalization,
+    optimizationBonus: weights('perItem', 'max'),
+    thresholds: weights('score', 'domQueries', 'loops'),
+    failOn,
+    rulePacks: list(string())
+  }),
+  style: object({
+    ...fileSelection,
+    severityWeights: weights('high', 'medium', 'low'),
+    normalization,
+    modernizationBonus: weights('perPoint', 'max'),
+    thresholds: weights('modernization', 'namingViolations'),
+    failOn,
+    rulePacks: list(string())
+  }),
+  tests: object({
+    srcDir: string(),
+    testDir: string(),
+    baseRef: string(),
+    ...fileSelection
+  }),
+  merge: object({
+    requiredApprovals: number(),
+    maxTestAgeHours: number(),
+    thresholds: weights('coverage', 'styleScore', 'securityScore', 'performanceScore', 'readiness'),
+    blockerWeights: weights('critical', 'high', 'medium', 'low'),
+    warningWeights: weights('high', 'medium', 'low')
+  }),
+  badges: object({
+    dir: string(),
+    thresholds: object(Object.fromEntries(['review', 'security', 'performance', 'style', 'coverage', 'merge']
+      .map(badge => [badge, weights('green', 'yellow')])))
+  })
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...TOOL_SCHEMA,
+    env: { type: 'object', values: object(TOOL_SCHEMA) }
+  }
+};
+
+class ConfigError extends Error {
+  constructor (source, errors) {
+    super(`Invalid SDLC configuration in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Describe the type of a config value for error messages
+ */
+function describeType (value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+}
+
+/**
+ * Why a string does not compile as a regular expression, or null when it does
+ */
+function regexpError (source) {
+  try {
+    RegExp(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate a config value against a schema node, collecting readable errors
+ */
+function validate (value, schema, keyPath = '', errors = []) {
+  const label = keyPath || '<root>';
+  const actual = describeType(value);
+
+  if (schema.type === 'object') {
+    if (!isPlainObject(value)) {
+      errors.push(`${label}: expected object, got ${actual}`);
+      return errors;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      const childSchema = schema.values || (schema.properties && schema.properties[key]);
+
+      if (!childSchema) {
+        const known = Object.keys(schema.properties || {}).join(', ');
+        errors.push(`${childPath}: unknown option (expected one of: ${known})`);
+      } else {
+        validate(child, childSchema, childPath, errors);
+      }
+    }
+  } else if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${label}: expected array, got ${actual}`);
+      return errors;
+    }
+
+    value.forEach((item, index) => validate(item, schema.items, `${keyPath}[${index}]`, errors));
+  } else if (actual !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+    errors.push(`${label}: expected ${schema.type}, got ${actual}`);
+  } else if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label}: must be >= ${schema.minimum}, got ${value}`);
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.join(', ')}, got ${value}`);
+  } else if (schema.regexp) {
+    const problem = regexpError(value);
+    if (problem) {
+      errors.push(`${label}: ${problem}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Locate the project config file, falling back to the package.json "sdlc" key
+ */
+function findConfigFile (cwd = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  const packagePath = path.join(cwd, 'package.json');
+  if (fs.existsSync(packagePath)) {
+    let pkg;
+    try {
+      pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(path.relative(cwd, packagePath), [`could not parse JSON (${error.message})`]);
+    }
+    if (pkg[PACKAGE_KEY] !== undefined) {
+      return packagePath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the raw (unvalidated) config object from a config file
+ * @param {string} filePath - Config file to read
+ * @param {string} [source] - Name of the file in error messages
+ */
+function readConfigFile (filePath, source = filePath) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(source, ['file does not exist']);
+  }
+
+  if (resolved.endsWith('.js')) {
+    delete require.cache[resolved];
+    try {
+      return require(resolved);
+    } catch (error) {
+      throw new ConfigError(source, [`could not load module (${error.message})`]);
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(source, [`could not parse JSON (${error.message})`]);
+  }
+
+  return path.basename(resolved) === 'package.json' ? parsed[PACKAGE_KEY] : parsed;
+}
+
+/**
+ * Merge user overrides onto defaults - arrays replace rather than concatenate
+ */
+function mergeConfig (base, ...overrides) {
+  return mergeWith(cloneDeep(base), ...overrides, (baseValue, overrideValue) => {
+    if (Array.isArray(overrideValue)) {
+      return [...overrideValue];
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Load, validate and resolve the SDLC configuration
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to search for a config file
+ * @param {string} [options.configPath] - Explicit config file, skips discovery
+ * @param {string} [options.env] - Environment override to apply (defaults to SDLC_ENV, then NODE_ENV)
+ * @returns {Object} Fully resolved config with one section per tool
+ */
+function loadConfig (options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const configPath = options.configPath ? path.resolve(cwd, options.configPath) : findConfigFile(cwd);
+  const envName = options.env || process.env.SDLC_ENV || process.env.NODE_ENV;
+
+  if (!configPath) {
+    return cloneDeep(DEFAULT_CONFIG);
+  }
+
+  const source = path.relative(cwd, configPath) || configPath;
+  const userConfig = readConfigFile(configPath, source) || {};
+  const errors = validate(userConfig, CONFIG_SCHEMA);
+
+  if (errors.length > 0) {
+    throw new ConfigError(source, errors);
+  }
+
+  const { env = {}, ...toolConfig } = userConfig;
+  return mergeConfig(DEFAULT_CONFIG, toolConfig, (envName && env[envName]) || {});
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ConfigError,
+  findConfigFile,
+  loadConfig,
+  mergeConfig
+};
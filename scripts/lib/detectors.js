@@ -0,0 +1,360 @@
+/**
+ * Rule Detectors
+ * Reusable create(context) factories for the analyzer rule tables
+ */
+
+const { FUNCTION_TYPES, METRICS, functionName, measureFunction } = require('./complexity');
+const { analyzeScopes } = require('./scopes');
+
+/**
+ * Name of a non-computed member property (or identifier)
+ */
+function propertyName (node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  return null;
+}
+
+/**
+ * Check whether a node is `object.property` - a null object matches any receiver
+ */
+function isMember (node, object, property) {
+  if (!node || node.type !== 'MemberExpression') {
+    return false;
+  }
+  if (propertyName(node.property) !== property || (node.computed && node.property.type !== 'Literal')) {
+    return false;
+  }
+  if (object === null) {
+    return true;
+  }
+  return (node.object.type === 'Identifier' && node.object.name === object) ||
+    isMember(node.object, null, object);
+}
+
+/**
+ * Strip optional-chaining wrappers so a?.b() looks like a.b()
+ */
+function unwrap (node) {
+  return node && node.type === 'ChainExpression' ? node.expression : node;
+}
+
+function isCallTo (node, name) {
+  const callee = unwrap(node.callee);
+  return callee.type === 'Identifier' && callee.name === name;
+}
+
+function isMethodCall (node, object, method) {
+  return isMember(unwrap(node.callee), object, method);
+}
+
+function isFunction (node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+/**
+ * Calls to a global function, e.g. eval(...)
+ */
+const call = (name, { includeNew = false } = {}) => (context) => {
+  const check = (node) => {
+    if (isCallTo(node, name)) {
+      context.report({ node });
+    }
+  };
+  return includeNew ? { CallExpression: check, NewExpression: check } : { CallExpression: check };
+};
+
+/**
+ * Calls to a method, e.g. document.write(...) - pass null to match any receiver
+ */
+const methodCall = (object, method) => (context) => ({
+  CallExpression (node) {
+    if (isMethodCall(node, object, method)) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Assignments to a property, e.g. el.innerHTML = ...
+ */
+const assignment = (property, operators = ['=']) => (context) => ({
+  AssignmentExpression (node) {
+    if (operators.includes(node.operator) && isMember(node.left, null, property)) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Reads (not writes) of a member, e.g. location.hash
+ */
+const memberRead = (object, property) => (context) => ({
+  MemberExpression (node, parent) {
+    const isWrite = parent && parent.type === 'AssignmentExpression' && parent.left === node;
+    if (!isWrite && isMember(node, object, property)) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Binary expressions using one of the given operators
+ */
+const binary = (...operators) => (context) => ({
+  BinaryExpression (node) {
+    if (operators.includes(node.operator)) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Any node of the given types
+ */
+const nodeType = (...types) => (context) => Object.fromEntries(types.map(type => [type, (node) => context.report({ node })]));
+
+/**
+ * Declarations of the given kind (var, let, const)
+ */
+const declaration = (kind) => (context) => ({
+  VariableDeclaration (node) {
+    if (node.kind === kind) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Control statements whose body is not a block, e.g. if (x) return;
+ */
+const missingBraces = (...types) => (context) => Object.fromEntries(types.map(type => [type, (node) => {
+  const bodies = type === 'IfStatement' ? [node.consequent, node.alternate] : [node.body];
+  for (const body of bodies) {
+    if (body && body.type !== 'BlockStatement' && body.type !== 'IfStatement') {
+      context.report({ node });
+      return;
+    }
+  }
+}]));
+
+/**
+ * Functions with an empty body - optionally allowing ones that contain a comment
+ */
+const emptyFunction = ({ allowComments = false } = {}) => (context) => {
+  const check = (node) => {
+    if (node.body.type !== 'BlockStatement' || node.body.body.length > 0) {
+      return;
+    }
+    const hasComment = context.sourceCode.comments.some(comment =>
+      comment.start >= node.body.start && comment.end <= node.body.end);
+    if (!allowComments || !hasComment) {
+      context.report({ node });
+    }
+  };
+  return { FunctionDeclaration: check, FunctionExpression: check, ArrowFunctionExpression: check };
+};
+
+/**
+ * Identifiers introduced by declarations that fail a naming test
+ */
+const declaredName = (test, { kinds = ['var', 'let', 'const'] } = {}) => (context) => ({
+  VariableDeclarator (node, parent) {
+    if (kinds.includes(parent.kind) && node.id.type === 'Identifier' && test(node.id.name, node)) {
+      context.report({ node: node.id });
+    }
+  }
+});
+
+/**
+ * Lines whose text matches a pattern (for layout rules that have no AST shape)
+ */
+const linePattern = (pattern) => (context) => ({
+  Program () {
+    const { sourceCode } = context;
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+
+    for (const match of sourceCode.text.matchAll(regex)) {
+      if (sourceCode.comments.some(comment => match.index >= comment.start && match.index < comment.end)) {
+        continue;
+      }
+      context.report({
+        loc: {
+          start: sourceCode.getLocFromIndex(match.index),
+          end: sourceCode.getLocFromIndex(match.index + match[0].length)
+        }
+      });
+    }
+  }
+});
+
+/**
+ * Functions whose metric (see lib/complexity.js) is above a limit
+ */
+const functionMetric = (metric, max) => (context) => {
+  const check = (node, parent) => {
+    const value = measureFunction(node)[metric];
+    if (value > max) {
+      const name = functionName(node, parent);
+      const subject = name ? `Function ${name}` : 'Anonymous function';
+      context.report({ node, message: `${subject} has a ${METRICS[metric]} of ${value} (maximum ${max})` });
+    }
+  };
+  return Object.fromEntries(FUNCTION_TYPES.map(type => [type, check]));
+};
+
+/**
+ * Whether control never continues past a statement: it returns, throws,
+ * breaks or continues on every path
+ */
+function terminates (statement) {
+  switch (statement.type) {
+  case 'ReturnStatement':
+  case 'ThrowStatement':
+  case 'BreakStatement':
+  case 'ContinueStatement':
+    return true;
+  case 'BlockStatement':
+    return statement.body.some(terminates);
+  case 'IfStatement':
+    return Boolean(statement.alternate) && terminates(statement.consequent) && terminates(statement.alternate);
+  case 'TryStatement':
+    return (terminates(statement.block) && (!statement.handler || terminates(statement.handler.body))) ||
+      Boolean(statement.finalizer && terminates(statement.finalizer));
+  default:
+    return false;
+  }
+}
+
+// Hoisted declarations still take effect when placed after a return
+const isHoisted = (statement) => statement.type === 'FunctionDeclaration' || statement.type === 'EmptyStatement' ||
+  (statement.type === 'VariableDeclaration' && statement.kind === 'var' && statement.declarations.every(declarator => !declarator.init));
+
+/**
+ * Statements after a return, throw, break or continue in the same block,
+ * reported as one range per block
+ */
+const unreachable = () => (context) => {
+  const check = (statements) => {
+    const index = statements.findIndex(terminates);
+    const dead = index === -1 ? [] : statements.slice(index + 1).filter(statement => !isHoisted(statement));
+    if (dead.length === 0) {
+      return;
+    }
+
+    const { start } = dead[0].loc;
+    const { end } = dead[dead.length - 1].loc;
+    context.report({ loc: { start: { line: start.line, column: start.column + 1 }, end: { line: end.line, column: end.column + 1 } } });
+  };
+
+  return {
+    Program: (node) => check(node.body),
+    BlockStatement: (node) => check(node.body),
+    StaticBlock: (node) => check(node.body),
+    SwitchCase: (node) => check(node.consequent)
+  };
+};
+
+const BINDING_LABELS = { variable: 'Variable', function: 'Function', class: 'Class', import: 'Import' };
+
+// `const { omitted, ...rest } = value` declares `omitted` only to leave it out of `rest`
+const hasRestSibling = (pattern) => pattern.type === 'ObjectPattern' && pattern.properties.some(property => property.type === 'RestElement');
+
+/**
+ * Whether `id` is an array pattern element that only holds a position, as
+ * `key` does in `const [key, value] = entry` when `value` is used
+ * @param {Object} pattern - Declared pattern
+ * @param {Object} id - Identifier declared somewhere in the pattern
+ * @param {Function} isUsed - Whether a later element declares a used name
+ */
+function holdsPosition (pattern, id, isUsed) {
+  switch (pattern && pattern.type) {
+  case 'ArrayPattern': {
+    const index = pattern.elements.findIndex(element => element && (element === id || (element.type === 'AssignmentPattern' && element.left === id)));
+    if (index !== -1) {
+      return pattern.elements.slice(index + 1).some(element => element && isUsed(element));
+    }
+    return pattern.elements.some(element => holdsPosition(element, id, isUsed));
+  }
+  case 'ObjectPattern':
+    return pattern.properties.some(property => holdsPosition(property.type === 'RestElement' ? property.argument : property.value, id, isUsed));
+  case 'AssignmentPattern':
+    return holdsPosition(pattern.left, id, isUsed);
+  case 'RestElement':
+    return holdsPosition(pattern.argument, id, isUsed);
+  default:
+    return false;
+  }
+}
+
+/**
+ * Declarations that are never referenced, see lib/scopes.js. Parameters,
+ * exports and names matching `ignorePattern` are skipped, and so are inline
+ * HTML scripts, whose top-level names are shared between script blocks.
+ * @param {Object} options
+ * @param {boolean} options.functions - Report functions (function declarations and
+ *   variables initialized with one) rather than the other declarations
+ */
+const unusedDeclaration = ({ functions, ignorePattern = '' }) => {
+  // Compiled once per rule; config validation has already checked the pattern
+  const ignore = ignorePattern ? new RegExp(ignorePattern) : null;
+  return (context) => ({
+    Program (node) {
+      const bindings = /\.html?$/i.test(context.filePath) ? null : analyzeScopes(node);
+
+      const used = (element, declaration) => bindings.some(other => other.declaration === declaration &&
+        (other.references > 0 || other.exported) && other.id.start >= element.start && other.id.end <= element.end);
+
+      for (const binding of bindings || []) {
+        const { kind, declaration } = binding;
+        if (binding.references > 0 || binding.exported || kind === 'parameter' || (ignore && ignore.test(binding.name))) {
+          continue;
+        }
+        // The name of a function or class expression is only visible inside it
+        if ((kind === 'function' && declaration.type !== 'FunctionDeclaration') || (kind === 'class' && declaration.type === 'ClassExpression')) {
+          continue;
+        }
+        if (kind === 'variable' && holdsPosition(declaration.id, binding.id, element => used(element, declaration))) {
+          continue;
+        }
+
+        const isFunctionValue = kind === 'function' ||
+          (kind === 'variable' && declaration.id === binding.id && Boolean(declaration.init) && isFunction(declaration.init));
+        if (isFunctionValue !== functions || (kind === 'variable' && hasRestSibling(declaration.id))) {
+          continue;
+        }
+
+        const label = isFunctionValue ? 'Function' : BINDING_LABELS[kind];
+        context.report({ node: binding.id, message: `${label} ${binding.name} is declared but never used` });
+      }
+    }
+  });
+};
+
+module.exports = {
+  assignment,
+  binary,
+  call,
+  declaration,
+  declaredName,
+  emptyFunction,
+  functionMetric,
+  isCallTo,
+  isMember,
+  isMethodCall,
+  linePattern,
+  memberRead,
+  methodCall,
+  missingBraces,
+  nodeType,
+  unreachable,
+  unusedDeclaration,
+  unwrap
+};
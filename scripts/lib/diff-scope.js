@@ -0,0 +1,138 @@
+/**
+ * Diff Scope
+ * Restricts analysis to the files, and optionally the lines, changed since a
+ * git ref, so pull requests are judged on what they actually touch
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+function git (args, cwd) {
+  return execFileSync('git', ['-c', 'core.quotePath=false', ...args], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+const lines = (output) => output.split('\n').filter(line => line.length > 0);
+
+/**
+ * Top-level directory of the repository containing cwd
+ * @returns {string} Absolute path
+ */
+function getRepositoryRoot ({ cwd = process.cwd() } = {}) {
+  return git(['rev-parse', '--show-toplevel'], cwd).trim();
+}
+
+/**
+ * Files changed since the merge base of a ref and HEAD, including uncommitted
+ * and untracked files; deleted files are left out
+ * @param {string} ref - Branch, tag or commit to compare against, e.g. origin/main
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository
+ * @returns {string[]} Absolute paths
+ */
+function getChangedFiles (ref, { cwd = process.cwd() } = {}) {
+  const root = getRepositoryRoot({ cwd });
+  const base = git(['merge-base', ref, 'HEAD'], cwd).trim();
+
+  const changed = [
+    ...lines(git(['diff', '--name-only', '--diff-filter=d', base], root)),
+    ...lines(git(['ls-files', '--others', '--exclude-standard'], root))
+  ];
+  return [...new Set(changed)].map(file => path.join(root, file));
+}
+
+/**
+ * Added or modified line ranges per file, from a zero-context diff
+ * @returns {Map<string, Array<[number, number]>>} Absolute path -> inclusive line ranges
+ */
+function getChangedLines (ref, { cwd = process.cwd() } = {}) {
+  const root = getRepositoryRoot({ cwd });
+  const base = git(['merge-base', ref, 'HEAD'], cwd).trim();
+  const ranges = new Map();
+  let current = null;
+
+  for (const line of git(['diff', '--no-color', '--no-ext-diff', '-U0', '--diff-filter=d', base], root).split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const file = line.slice(4).replace(/\t$/, '');
+      current = file === '/dev/null' ? null : path.join(root, file.replace(/^b\//, ''));
+      if (current) {
+        ranges.set(current, []);
+      }
+      continue;
+    }
+
+    const hunk = current && line.match(HUNK_HEADER);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      if (count > 0) {
+        ranges.get(current).push([start, start + count - 1]);
+      }
+    }
+  }
+
+  return ranges;
+}
+
+class DiffScope {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.files] - Changed files; omit to include every file
+   * @param {Map<string, Array<[number, number]>>} [options.lines] - Changed lines; omit to include whole files
+   */
+  constructor ({ files = null, lines = null } = {}) {
+    this.files = files && new Set(files.map(file => path.resolve(file)));
+    this.lines = lines;
+  }
+
+  /**
+   * Scope of everything changed since a git ref
+   * @param {string} ref - Git ref to diff against
+   * @param {Object} [options]
+   * @param {boolean} [options.hunks] - Also restrict findings to changed lines
+   */
+  static since (ref, { hunks = false, cwd } = {}) {
+    try {
+      const files = getChangedFiles(ref, { cwd });
+      return new DiffScope({ files, lines: hunks ? getChangedLines(ref, { cwd }) : null });
+    } catch (error) {
+      const reason = (error.stderr && error.stderr.toString().trim()) || error.message;
+      throw new Error(`Could not diff against ${ref}: ${reason}`);
+    }
+  }
+
+  includesFile (filePath) {
+    return !this.files || this.files.has(path.resolve(filePath));
+  }
+
+  /**
+   * Whether a line range touches a changed line; untracked files count as fully changed
+   */
+  includesLines (filePath, line, endLine = line) {
+    if (!this.includesFile(filePath)) {
+      return false;
+    }
+    if (!this.lines) {
+      return true;
+    }
+
+    const ranges = this.lines.get(path.resolve(filePath));
+    return !ranges || ranges.some(([start, end]) => line <= end && endLine >= start);
+  }
+
+  /**
+   * Keep the findings, matches or directives of a file that fall inside the scope
+   */
+  filter (filePath, items) {
+    return items.filter(item =>
+      this.includesLines(filePath, item.line, item.location ? item.location.endLine : item.endLine));
+  }
+}
+
+module.exports = {
+  DiffScope,
+  getChangedFiles,
+  getChangedLines,
+  getRepositoryRoot
+};
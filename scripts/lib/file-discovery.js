@@ -0,0 +1,204 @@
+/**
+ * File Discovery
+ * Finds the source files a script should analyze, honoring .gitignore, include
+ * and exclude globs, the symlink policy and the maximum file size, and reports
+ * every file or directory it had to skip
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const ignore = require('ignore');
+const minimatch = require('minimatch');
+
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+const TEST_FILE_PATTERNS = ['**/*.test.*', '**/*.spec.*'];
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+class DiscoveryError extends Error {
+  constructor (targetPath, reason) {
+    super(`Could not read ${targetPath}: ${reason}`);
+    this.name = 'DiscoveryError';
+    this.targetPath = targetPath;
+  }
+}
+
+function isInside (dir, file) {
+  const relative = path.relative(dir, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Read the .gitignore of a directory, if it has one
+ */
+function readGitignore (dir) {
+  const file = path.join(dir, '.gitignore');
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return { base: dir, rules: ignore().add(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * .gitignore files that apply to a directory: its own and those of its ancestors up to the root
+ */
+function gitignoreChain (root, dir) {
+  const dirs = [];
+  for (let current = dir; isInside(root, current); current = path.dirname(current)) {
+    dirs.unshift(current);
+    if (current === root) {
+      break;
+    }
+  }
+  return dirs.map(readGitignore).filter(Boolean);
+}
+
+function isGitignored (gitignores, file, isDirectory) {
+  return gitignores.some(({ base, rules }) => {
+    const relative = toPosix(path.relative(base, file));
+    return relative !== '' && !relative.startsWith('..') && rules.ignores(isDirectory ? `${relative}/` : relative);
+  });
+}
+
+/**
+ * Discover source files under a directory (or a single file)
+ * @param {string} targetPath - Directory or file to analyze
+ * @param {Object} [options] - A config file-selection section
+ * @param {string[]} [options.extensions] - Extensions to pick up, e.g. ['.js']; omit for every file
+ * @param {string[]} [options.excludeDirs] - Directory names never descended into
+ * @param {string[]} [options.include] - Globs a file must match, relative to the working directory
+ * @param {string[]} [options.exclude] - Globs of files to skip, relative to the working directory
+ * @param {boolean} [options.gitignore=true] - Skip files ignored by .gitignore
+ * @param {string} [options.symlinks='skip'] - 'skip' or 'follow' symbolic links
+ * @param {number} [options.maxFileSize] - Skip files larger than this many bytes
+ * @param {string} [options.cwd] - Directory globs and .gitignore lookups are relative to
+ * @returns {{files: string[], skipped: Array<{file: string, reason: string}>}}
+ * @throws {DiscoveryError} When the target itself is missing or unreadable
+ */
+function discoverFiles (targetPath, options = {}) {
+  const {
+    extensions = null,
+    excludeDirs = [],
+    include = [],
+    exclude = [],
+    gitignore = true,
+    symlinks = 'skip',
+    maxFileSize = DEFAULT_MAX_FILE_SIZE,
+    cwd = process.cwd()
+  } = options;
+
+  const files = [];
+  const skipped = [];
+  const visited = new Set();
+  const target = path.resolve(cwd, targetPath);
+  const root = isInside(cwd, target) ? cwd : target;
+  const skip = (file, reason) => skipped.push({ file: toPosix(path.relative(cwd, file)) || '.', reason });
+  const matches = (file, patterns) => patterns.find(pattern => minimatch(toPosix(path.relative(cwd, file)), pattern, { dot: true }));
+
+  const visitFile = (fullPath, stat, gitignores) => {
+    if (extensions && !extensions.includes(path.extname(fullPath))) {
+      return;
+    }
+    if (include.length > 0 && !matches(fullPath, include)) {
+      return;
+    }
+    if (gitignore && isGitignored(gitignores, fullPath, false)) {
+      return skip(fullPath, 'gitignored');
+    }
+
+    const excludedBy = matches(fullPath, exclude);
+    if (excludedBy) {
+      return skip(fullPath, `excluded by ${excludedBy}`);
+    }
+    if (stat.size > maxFileSize) {
+      return skip(fullPath, `larger than ${maxFileSize} bytes (${stat.size})`);
+    }
+
+    files.push(path.join(targetPath, path.relative(target, fullPath)));
+  };
+
+  const visitDirectory = (dir, inherited) => {
+    const realPath = fs.realpathSync(dir);
+    if (visited.has(realPath)) {
+      return skip(dir, 'already scanned');
+    }
+    visited.add(realPath);
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return skip(dir, `unreadable (${error.code || error.message})`);
+    }
+
+    const own = gitignore && dir !== target ? readGitignore(dir) : null;
+    const gitignores = own ? [...inherited, own] : inherited;
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const fullPath = path.join(dir, entry.name);
+      let stat;
+
+      try {
+        if (entry.isSymbolicLink() && symlinks !== 'follow') {
+          skip(fullPath, 'symbolic link');
+          continue;
+        }
+        stat = fs.statSync(fullPath);
+      } catch (error) {
+        skip(fullPath, `unreadable (${error.code || error.message})`);
+        continue;
+      }
+
+      if (!stat.isDirectory()) {
+        visitFile(fullPath, stat, gitignores);
+      } else if (excludeDirs.includes(entry.name)) {
+        skip(fullPath, 'excluded directory');
+      } else if (gitignore && isGitignored(gitignores, fullPath, true)) {
+        skip(fullPath, 'gitignored');
+      } else {
+        visitDirectory(fullPath, gitignores);
+      }
+    }
+  };
+
+  let stat;
+  try {
+    stat = fs.statSync(target);
+  } catch (error) {
+    throw new DiscoveryError(targetPath, error.code === 'ENOENT' ? 'no such file or directory' : error.code || error.message);
+  }
+
+  const gitignores = gitignore ? gitignoreChain(root, stat.isDirectory() ? target : path.dirname(target)) : [];
+  if (stat.isDirectory()) {
+    visitDirectory(target, gitignores);
+  } else {
+    visitFile(target, stat, gitignores);
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Print a one-line summary of skipped files, grouped by reason
+ */
+function logSkippedFiles (skipped) {
+  if (skipped.length === 0) {
+    return;
+  }
+
+  const reasons = {};
+  for (const { reason } of skipped) {
+    const key = reason.replace(/ \(.*\)$/, '');
+    reasons[key] = (reasons[key] || 0) + 1;
+  }
+  const summary = Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ');
+  console.log(chalk.gray(`⏭️  Skipped ${skipped.length} paths: ${summary}`));
+}
+
+module.exports = {
+  DiscoveryError,
+  TEST_FILE_PATTERNS,
+  discoverFiles,
+  logSkippedFiles
+};
@@ -0,0 +1,129 @@
+/**
+ * Shared Finding Model
+ * Builds the location-aware findings every scanner and report works with, and
+ * converts them to the versioned common schema used by aggregated reports
+ */
+
+const crypto = require('crypto');
+
+const SCHEMA_VERSION = '1.6.0';
+
+// Ordered from most to least severe
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * Build a location from a rule engine match
+ * @param {Object} match - Engine match with line/column range and snippet
+ * @param {string} file - Path of the file, relative to the working directory
+ * @returns {{file: string, line: number, column: number, endLine: number, endColumn: number, snippet: string}}
+ */
+function createLocation (match, file) {
+  return {
+    file,
+    line: match.line,
+    column: match.column,
+    endLine: match.endLine,
+    endColumn: match.endColumn,
+    snippet: match.snippet
+  };
+}
+
+/**
+ * Build a finding from a rule engine match plus tool-specific fields
+ *
+ * `file`, `line` and `column` are kept at the top level so existing report
+ * consumers keep working; the full range lives in `location`.
+ */
+function createFinding (match, { file, ...fields } = {}) {
+  const location = createLocation(match, file);
+
+  return {
+    ruleId: match.ruleId,
+    severity: match.rule.severity,
+    message: match.message,
+    ...fields,
+    file,
+    line: location.line,
+    column: location.column,
+    code: match.code,
+    location,
+    ...(match.fix ? { replacement: match.fix } : {}),
+    ...(match.rule.docsUrl ? { docsUrl: match.rule.docsUrl } : {})
+  };
+}
+
+/**
+ * Format a location as file:line:column for console and markdown output
+ */
+function formatLocation (location) {
+  return [location.file, location.line, location.column].filter(part => part !== undefined).join(':');
+}
+
+/**
+ * Stable fingerprint of a finding: rule + file + whitespace-normalized snippet.
+ * Line numbers are deliberately excluded so unrelated edits don't change it.
+ */
+function computeFingerprint (ruleId, location) {
+  const snippet = (location.snippet || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256')
+    .update([ruleId, location.file, snippet].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function normalizeSeverity (severity) {
+  return SEVERITIES.includes(severity) ? severity : 'info';
+}
+
+/**
+ * Convert a tool finding to the common schema
+ * @param {Object} finding - Finding built with createFinding
+ * @param {string} tool - Tool that produced it (review, security, performance, style)
+ * @returns {{id: string, ruleId: string, tool: string, severity: string, category: string, message: string, location: Object, fingerprint: string, fix: ?Object, docsUrl?: string, suppression?: Object}}
+ */
+function toSchemaFinding (finding, tool) {
+  const { location } = finding;
+  const hasFix = finding.recommendation || finding.autoFixable !== undefined || finding.replacement;
+  const fix = {
+    description: finding.recommendation || null,
+    autoFixable: Boolean(finding.autoFixable || finding.replacement),
+    ...(finding.replacement ? { replacement: finding.replacement } : {})
+  };
+
+  return {
+    id: `${tool}/${finding.ruleId}/${location.file}:${location.line}:${location.column}`,
+    ruleId: finding.ruleId,
+    tool,
+    severity: normalizeSeverity(finding.severity),
+    category: finding.category || tool,
+    message: finding.message,
+    location,
+    fingerprint: computeFingerprint(finding.ruleId, location),
+    fix: hasFix ? fix : null,
+    ...(finding.docsUrl ? { docsUrl: finding.docsUrl } : {}),
+    ...(finding.cwe ? { cwe: finding.cwe } : {}),
+    ...(finding.suppression ? { suppression: finding.suppression } : {})
+  };
+}
+
+/**
+ * Count findings per severity, including zero buckets for every known severity
+ */
+function countBySeverity (findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const finding of findings) {
+    counts[normalizeSeverity(finding.severity)]++;
+  }
+  return counts;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SEVERITIES,
+  computeFingerprint,
+  countBySeverity,
+  createFinding,
+  formatLocation,
+  normalizeSeverity,
+  toSchemaFinding
+};
@@ -0,0 +1,339 @@
+/**
+ * Findings Formatters
+ * Render a normalized findings document in the formats CI systems ingest
+ * natively: SARIF, JUnit XML, Checkstyle XML, Code Climate and GitLab Code Quality
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { normalizeSeverity } = require('./finding');
+const { version: TOOL_VERSION } = require('../../package.json');
+
+const INFORMATION_URI = 'https://github.com/ibetterai/cline-sdlc';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = 'SRCROOT';
+
+const TOOL_NAMES = {
+  review: 'AI Code Reviewer',
+  security: 'AI Security Scanner',
+  performance: 'AI Performance Analyzer',
+  style: 'AI Code Style Reviewer'
+};
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+// CVSS-like scores GitHub code scanning reads to rank security alerts
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0', info: '0.0' };
+const CHECKSTYLE_SEVERITIES = { critical: 'error', high: 'error', medium: 'warning', low: 'info', info: 'info' };
+
+// Code Climate and GitLab Code Quality share one severity scale
+const CODE_CLIMATE_SEVERITIES = { critical: 'blocker', high: 'critical', medium: 'major', low: 'minor', info: 'info' };
+const CODE_CLIMATE_CATEGORIES = { review: 'Bug Risk', security: 'Security', performance: 'Performance', style: 'Style' };
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+// Control characters other than tab and newlines are not allowed in XML 1.0
+const XML_ALLOWED_CONTROLS = ['\t', '\n', '\r'];
+
+function escapeXml (value) {
+  const text = [...String(value)]
+    .filter(char => char.charCodeAt(0) >= 0x20 || XML_ALLOWED_CONTROLS.includes(char))
+    .join('');
+  return text.replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+/**
+ * Tools of a document, in report order, including tools only seen on findings
+ */
+function toolsOf (document, findings) {
+  return [...new Set([...Object.keys(document.tools || {}), ...findings.map(finding => finding.tool)])];
+}
+
+/**
+ * URI of a finding's file; relative paths resolve against the SRCROOT base id
+ */
+function artifactLocation (file) {
+  if (path.isAbsolute(file)) {
+    return { uri: pathToFileURL(file).href };
+  }
+  return { uri: file.split(path.sep).join('/').split('/').map(encodeURIComponent).join('/'), uriBaseId: SRCROOT };
+}
+
+/**
+ * The finding's exact range, plus the whole source lines it spans as context
+ * when the recorded snippet covers all of them
+ */
+function regions (location) {
+  const region = {
+    startLine: location.line,
+    startColumn: location.column,
+    endLine: location.endLine || location.line,
+    endColumn: location.endColumn || location.column
+  };
+
+  const lines = location.snippet ? location.snippet.split('\n') : [];
+  if (lines.length !== region.endLine - region.startLine + 1) {
+    return { region };
+  }
+
+  // Columns are 1-based and the end column is exclusive, as SARIF expects
+  const text = lines.length === 1
+    ? lines[0].slice(region.startColumn - 1, region.endColumn - 1)
+    : [lines[0].slice(region.startColumn - 1), ...lines.slice(1, -1), lines[lines.length - 1].slice(0, region.endColumn - 1)].join('\n');
+
+  return {
+    region: { ...region, snippet: { text } },
+    contextRegion: { startLine: region.startLine, endLine: region.endLine, snippet: { text: location.snippet } }
+  };
+}
+
+/**
+ * Rule descriptor built from the tool's rule table and the first finding of a rule
+ * @param {Object} finding - First finding of the rule
+ * @param {string} [description] - Rule-level description; the rule id when the report has none
+ */
+function sarifRule (finding, description = finding.ruleId) {
+  const severity = normalizeSeverity(finding.severity);
+  const cweNumber = finding.cwe && finding.cwe.replace(/^CWE-/i, '');
+  const cweUri = cweNumber && `https://cwe.mitre.org/data/definitions/${cweNumber}.html`;
+  const recommendation = finding.fix && finding.fix.description;
+
+  const markdown = [
+    `**${description}**`,
+    recommendation,
+    cweUri && `[${finding.cwe}](${cweUri})`,
+    finding.docsUrl && `[Rule documentation](${finding.docsUrl})`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    id: finding.ruleId,
+    shortDescription: { text: description },
+    help: { text: recommendation || description, markdown },
+    ...(finding.docsUrl || cweUri ? { helpUri: finding.docsUrl || cweUri } : {}),
+    defaultConfiguration: { level: SARIF_LEVELS[severity] },
+    properties: {
+      tags: [finding.tool, ...(finding.category && finding.category !== finding.tool ? [finding.category] : []), ...(cweNumber ? [`external/cwe/cwe-${cweNumber}`] : [])],
+      ...(finding.tool === 'security' ? { 'security-severity': SECURITY_SEVERITY[severity] } : {})
+    }
+  };
+}
+
+function sarifResult (finding, ruleIndex, occurrence) {
+  const { location } = finding;
+
+  return {
+    ruleId: finding.ruleId,
+    ruleIndex,
+    level: SARIF_LEVELS[normalizeSeverity(finding.severity)],
+    message: { text: finding.message },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: artifactLocation(location.file),
+        ...regions(location)
+      }
+    }],
+    // Fingerprints leave out line numbers; the occurrence keeps repeated identical snippets apart
+    partialFingerprints: { 'sdlc/v1': `${finding.fingerprint}:${occurrence}` },
+    properties: {
+      severity: finding.severity,
+      ...(finding.fix && finding.fix.description ? { recommendation: finding.fix.description } : {})
+    }
+  };
+}
+
+/**
+ * SARIF 2.1.0 log with one run per tool; suppressed findings are included
+ * with an in-source suppression so code scanning can show them as dismissed
+ * @param {Object} document - Normalized findings document
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory relative finding paths start from
+ * @param {string} [options.commandLine] - Command that produced the findings
+ * @param {string} [options.startTime] - ISO time the analysis started
+ */
+function formatSarif (document, { cwd = process.cwd(), commandLine, startTime } = {}) {
+  const findings = document.findings || [];
+  const suppressed = document.suppressed || [];
+  const root = pathToFileURL(cwd).href.replace(/\/?$/, '/');
+
+  const runs = toolsOf(document, [...findings, ...suppressed]).map(tool => {
+    const ruleTable = (document.tools && document.tools[tool] && document.tools[tool].rules) || {};
+    const rules = [];
+    const ruleIndex = new Map();
+    const occurrences = new Map();
+    const result = (finding) => {
+      if (!ruleIndex.has(finding.ruleId)) {
+        ruleIndex.set(finding.ruleId, rules.length);
+        rules.push(sarifRule(finding, ruleTable[finding.ruleId] && ruleTable[finding.ruleId].description));
+      }
+      const occurrence = (occurrences.get(finding.fingerprint) || 0) + 1;
+      occurrences.set(finding.fingerprint, occurrence);
+      return sarifResult(finding, ruleIndex.get(finding.ruleId), occurrence);
+    };
+
+    const results = [
+      ...findings.filter(finding => finding.tool === tool).map(result),
+      ...suppressed.filter(finding => finding.tool === tool).map(finding => ({
+        ...result(finding),
+        suppressions: [{
+          kind: 'inSource',
+          status: 'accepted',
+          ...(finding.suppression && finding.suppression.reason ? { justification: finding.suppression.reason } : {})
+        }]
+      }))
+    ];
+
+    const invocation = {
+      executionSuccessful: true,
+      ...(commandLine ? { commandLine } : {}),
+      ...(startTime ? { startTimeUtc: startTime } : {}),
+      endTimeUtc: document.timestamp || new Date().toISOString(),
+      workingDirectory: { uri: root },
+      toolExecutionNotifications: (document.warnings || []).map(warning => ({ level: 'warning', message: { text: warning } }))
+    };
+
+    return {
+      tool: {
+        driver: { name: TOOL_NAMES[tool] || tool, version: TOOL_VERSION, semanticVersion: TOOL_VERSION, informationUri: INFORMATION_URI, rules }
+      },
+      invocations: [invocation],
+      originalUriBaseIds: { [SRCROOT]: { uri: root } },
+      columnKind: 'utf16CodeUnits',
+      results
+    };
+  });
+
+  return JSON.stringify({ $schema: SARIF_SCHEMA, version: '2.1.0', runs }, null, 2);
+}
+
+/**
+ * JUnit XML with a test suite per tool and a failed test case per finding, so
+ * Jenkins and GitLab list findings as test failures grouped by file
+ */
+function formatJunit (document) {
+  const findings = document.findings || [];
+
+  let tests = 0;
+  const suites = toolsOf(document, findings).map(tool => {
+    const own = findings.filter(finding => finding.tool === tool);
+    const cases = own.map(finding => {
+      const { location } = finding;
+      const details = [`${location.file}:${location.line}:${location.column}`, location.snippet].filter(Boolean).join('\n');
+      return `    <testcase classname="${escapeXml(`${tool}.${location.file}`)}" name="${escapeXml(`${finding.ruleId} at ${location.line}:${location.column}`)}">
+      <failure message="${escapeXml(finding.message)}" type="${escapeXml(finding.severity)}">${escapeXml(details)}</failure>
+    </testcase>`;
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase classname="${escapeXml(tool)}" name="no findings"/>`);
+    }
+    tests += cases.length;
+
+    return `  <testsuite name="${escapeXml(tool)}" tests="${cases.length}" failures="${own.length}" errors="0">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="sdlc" tests="${tests}" failures="${findings.length}" errors="0">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Checkstyle XML, one <file> per file with an <error> per finding
+ */
+function formatCheckstyle (document) {
+  const byFile = new Map();
+  for (const finding of document.findings || []) {
+    const errors = byFile.get(finding.location.file) || [];
+    errors.push(finding);
+    byFile.set(finding.location.file, errors);
+  }
+
+  const files = [...byFile].map(([file, findings]) => {
+    const errors = findings.map(finding => `    <error line="${finding.location.line}" column="${finding.location.column}" severity="${CHECKSTYLE_SEVERITIES[normalizeSeverity(finding.severity)]}" message="${escapeXml(finding.message)}" source="${escapeXml(`sdlc.${finding.tool}.${finding.ruleId}`)}"/>`);
+    return `  <file name="${escapeXml(file)}">
+${errors.join('\n')}
+  </file>`;
+  });
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">', ...files, '</checkstyle>'].join('\n');
+}
+
+/**
+ * Fingerprints unique within one report. Finding fingerprints leave out the
+ * tool and the line, so the same rule id in two tools, or one snippet repeated
+ * in a file, would collide; the tool and an occurrence count keep them apart.
+ */
+function uniqueFingerprints () {
+  const occurrences = new Map();
+  return (finding) => {
+    const key = `${finding.tool}:${finding.fingerprint}`;
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+    return `${key}:${occurrence}`;
+  };
+}
+
+/**
+ * Code Climate issues (https://github.com/codeclimate/platform/blob/master/spec/analyzers/SPEC.md)
+ * as a JSON array
+ */
+function formatCodeClimate (document) {
+  const fingerprint = uniqueFingerprints();
+  const issues = (document.findings || []).map(finding => ({
+    type: 'issue',
+    check_name: `${finding.tool}/${finding.ruleId}`,
+    description: finding.message,
+    ...(finding.fix && finding.fix.description ? { content: { body: finding.fix.description } } : {}),
+    categories: [CODE_CLIMATE_CATEGORIES[finding.tool] || 'Bug Risk'],
+    location: {
+      path: finding.location.file,
+      positions: {
+        begin: { line: finding.location.line, column: finding.location.column },
+        end: { line: finding.location.endLine || finding.location.line, column: finding.location.endColumn || finding.location.column }
+      }
+    },
+    severity: CODE_CLIMATE_SEVERITIES[normalizeSeverity(finding.severity)],
+    fingerprint: fingerprint(finding)
+  }));
+
+  return JSON.stringify(issues, null, 2);
+}
+
+/**
+ * GitLab Code Quality report, the subset of Code Climate that merge request
+ * widgets read
+ */
+function formatGitlab (document) {
+  const fingerprint = uniqueFingerprints();
+  const issues = (document.findings || []).map(finding => ({
+    description: `${finding.message} (${finding.tool}/${finding.ruleId})`,
+    check_name: `${finding.tool}/${finding.ruleId}`,
+    fingerprint: fingerprint(finding),
+    severity: CODE_CLIMATE_SEVERITIES[normalizeSeverity(finding.severity)],
+    location: { path: finding.location.file, lines: { begin: finding.location.line } }
+  }));
+
+  return JSON.stringify(issues, null, 2);
+}
+
+// Formats that render a findings document; json renders any command output
+const FORMATTERS = {
+  json: output => JSON.stringify(output, null, 2),
+  sarif: formatSarif,
+  junit: formatJunit,
+  checkstyle: formatCheckstyle,
+  codeclimate: formatCodeClimate,
+  gitlab: formatGitlab
+};
+
+module.exports = {
+  FORMATTERS,
+  escapeXml,
+  formatCheckstyle,
+  formatCodeClimate,
+  formatGitlab,
+  formatJunit,
+  formatSarif
+};
@@ -0,0 +1,111 @@
+/**
+ * Quality Gate
+ * Decides whether an analyzer run should fail the build, by severity, score or
+ * finding count, and sets the process exit code for the script entry points
+ */
+
+const chalk = require('chalk');
+const { SEVERITIES, countBySeverity, normalizeSeverity } = require('./finding');
+
+const EXIT_CODES = {
+  success: 0,
+  gateFailed: 1,
+  error: 2
+};
+
+const CONDITION_PATTERN = /^(score|count)\s*([<>])\s*(\d+)$/;
+
+/**
+ * Parse a --fail-on spec into a gate
+ *
+ * Accepts a comma-separated list of conditions: a severity (`high` fails on
+ * high or critical findings), `none`, `score<N` or `count>N`.
+ * @param {string} spec - e.g. 'high', 'score<70', 'critical,count>20'
+ * @returns {{severity?: string, minScore?: number, maxFindings?: number}}
+ */
+function parseFailOn (spec) {
+  const gate = {};
+
+  for (const condition of String(spec).split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = condition.match(CONDITION_PATTERN);
+
+    if (condition === 'none' || SEVERITIES.includes(condition)) {
+      gate.severity = condition;
+    } else if (match && match[1] === 'score' && match[2] === '<') {
+      gate.minScore = Number(match[3]);
+    } else if (match && match[1] === 'count' && match[2] === '>') {
+      gate.maxFindings = Number(match[3]);
+    } else {
+      throw new Error(`Invalid --fail-on condition "${condition}" (expected a severity (${SEVERITIES.join(', ')}), none, score<N or count>N)`);
+    }
+  }
+
+  return gate;
+}
+
+/**
+ * Evaluate a gate against one tool's results
+ * @param {string} tool - Tool name used in failure messages
+ * @param {{score?: number, findings: Object[]}} results - Tool score and findings
+ * @param {Object} [gate] - Gate from config or parseFailOn
+ * @returns {{passed: boolean, failures: string[]}}
+ */
+function evaluateGate (tool, results, gate = {}) {
+  const findings = results.findings || [];
+  const failures = [];
+
+  if (gate.severity && gate.severity !== 'none') {
+    const limit = SEVERITIES.indexOf(gate.severity);
+    const failing = findings.filter(finding => SEVERITIES.indexOf(normalizeSeverity(finding.severity)) <= limit);
+
+    if (failing.length > 0) {
+      const counts = countBySeverity(failing);
+      const breakdown = SEVERITIES.filter(severity => counts[severity] > 0)
+        .map(severity => `${counts[severity]} ${severity}`)
+        .join(', ');
+      failures.push(`${tool}: ${failing.length} findings at or above "${gate.severity}" (${breakdown})`);
+    }
+  }
+
+  if (gate.minScore !== undefined && typeof results.score === 'number' && results.score < gate.minScore) {
+    failures.push(`${tool}: score ${results.score}/100 is below the minimum of ${gate.minScore}`);
+  }
+
+  if (gate.maxFindings !== undefined && findings.length > gate.maxFindings) {
+    failures.push(`${tool}: ${findings.length} findings exceed the maximum of ${gate.maxFindings}`);
+  }
+
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * Print a gate result and set the exit code of a script entry point
+ */
+function exitWithGate (result) {
+  if (result.passed) {
+    process.exitCode = EXIT_CODES.success;
+    return;
+  }
+
+  console.error(chalk.red('🚫 Quality gate failed:'));
+  for (const failure of result.failures) {
+    console.error(chalk.red(`  - ${failure}`));
+  }
+  process.exitCode = EXIT_CODES.gateFailed;
+}
+
+/**
+ * Report an unexpected error from a script entry point and exit non-zero
+ */
+function exitWithError (error) {
+  console.error(chalk.red(error && error.message ? error.message : error));
+  process.exitCode = EXIT_CODES.error;
+}
+
+module.exports = {
+  EXIT_CODES,
+  evaluateGate,
+  exitWithError,
+  exitWithGate,
+  parseFailOn
+};
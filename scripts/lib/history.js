@@ -0,0 +1,200 @@
+/**
+ * Score History
+ * Appends a summary of every full analysis run to a JSON lines file keyed by
+ * commit, and renders how scores and finding counts moved over time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { countBySeverity } = require('./finding');
+
+const DEFAULT_HISTORY = '.sdlc-history.jsonl';
+const HISTORY_VERSION = 1;
+const DEFAULT_TREND_RUNS = 10;
+const TREND_DIRECTORIES = 10;
+
+class HistoryError extends Error {
+  constructor (filePath, reason) {
+    super(`Could not read history ${filePath}: ${reason}`);
+    this.name = 'HistoryError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Commit the working tree is at, or nulls outside a git repository
+ * @returns {{commit: ?string, branch: ?string, dirty: boolean}}
+ */
+function currentCommit ({ cwd = process.cwd() } = {}) {
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+  try {
+    const branch = git(['rev-parse', '--abbrev-ref', 'HEAD']);
+    return {
+      commit: git(['rev-parse', 'HEAD']),
+      branch: branch === 'HEAD' ? null : branch,
+      dirty: git(['status', '--porcelain', '--untracked-files=no']).length > 0
+    };
+  } catch (error) {
+    return { commit: null, branch: null, dirty: false };
+  }
+}
+
+/**
+ * Summarize an aggregated findings document as one history entry
+ * @param {Object} document - Document built by ResultsAggregator
+ * @param {Object} [options]
+ * @param {Object} [options.revision] - Commit info, defaults to currentCommit()
+ */
+function createRun (document, { revision = currentCommit() } = {}) {
+  const tools = {};
+
+  for (const [tool, info] of Object.entries(document.tools)) {
+    const findings = document.findings.filter(finding => finding.tool === tool);
+    const directories = {};
+    for (const finding of findings) {
+      const directory = path.dirname(finding.location.file).split(path.sep).join('/');
+      directories[directory] = (directories[directory] || 0) + 1;
+    }
+
+    tools[tool] = { score: info.score, findings: findings.length, bySeverity: countBySeverity(findings), directories };
+  }
+
+  return { version: HISTORY_VERSION, ...revision, timestamp: new Date().toISOString(), tools };
+}
+
+/**
+ * History entry for a test results analysis
+ * @param {Object} report - Report written by TestResultsAnalyzer
+ */
+function createTestRun (report, { revision = currentCommit() } = {}) {
+  return {
+    version: HISTORY_VERSION,
+    ...revision,
+    timestamp: new Date().toISOString(),
+    tools: {
+      tests: {
+        score: report.quality,
+        findings: report.summary.failedTests || 0,
+        successRate: report.summary.successRate,
+        coverage: report.summary.overallCoverage
+      }
+    }
+  };
+}
+
+function appendRun (filePath, run) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(run)}\n`);
+}
+
+/**
+ * Read every entry of a history file; a missing file is an empty history
+ */
+function readHistory (filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8').split('\n').flatMap((line, index) => {
+    if (!line.trim()) {
+      return [];
+    }
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new HistoryError(filePath, `line ${index + 1} is not valid JSON (${error.message})`);
+    }
+  });
+}
+
+/**
+ * One entry per commit, in the order commits were first seen. Separate runs of
+ * single tools on the same commit are merged, the latest result of each tool winning.
+ * Runs outside a git repository are kept as they are.
+ */
+function collapseRuns (runs) {
+  const byCommit = new Map();
+
+  runs.forEach((run, index) => {
+    const key = run.commit || `run-${index}`;
+    const previous = byCommit.get(key);
+    byCommit.set(key, previous
+      ? { ...previous, ...run, tools: { ...previous.tools, ...run.tools } }
+      : run);
+  });
+
+  return [...byCommit.values()];
+}
+
+/**
+ * Render score, finding count and per-directory trends as text table lines
+ * @param {Object[]} runs - Entries from readHistory
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of most recent commits to show
+ */
+function formatTrend (runs, { limit = DEFAULT_TREND_RUNS } = {}) {
+  const shown = collapseRuns(runs).slice(-limit);
+  if (shown.length === 0) {
+    return ['No history recorded yet: run an analyzer command to start one'];
+  }
+
+  const tools = [...new Set(shown.flatMap(run => Object.keys(run.tools)))];
+  const label = run => `${run.commit ? run.commit.slice(0, 7) : 'no-git '}${run.dirty ? '*' : ' '} ${run.timestamp.slice(0, 10)}`;
+
+  const table = (title, columns, value) => {
+    const widths = columns.map(column => Math.max(column.length, 5));
+    const row = (first, cells) => [first.padEnd(19), ...cells.map((cell, i) => String(cell).padStart(widths[i]))].join('  ').trimEnd();
+    const values = shown.map(run => columns.map(column => value(run, column)));
+    const change = columns.map((column, i) => {
+      const known = values.map(cells => cells[i]).filter(cell => typeof cell === 'number');
+      const delta = known.length > 1 ? known[known.length - 1] - known[0] : 0;
+      return delta > 0 ? `+${delta}` : String(delta);
+    });
+
+    return [
+      title,
+      row('commit', columns),
+      ...shown.map((run, index) => row(label(run), values[index].map(cell => cell === undefined ? '-' : cell))),
+      row('change', change),
+      ''
+    ];
+  };
+
+  const latest = shown[shown.length - 1];
+  const directoryCounts = {};
+  for (const info of Object.values(latest.tools)) {
+    for (const [directory, count] of Object.entries(info.directories || {})) {
+      directoryCounts[directory] = (directoryCounts[directory] || 0) + count;
+    }
+  }
+  const directories = Object.keys(directoryCounts)
+    .sort((a, b) => directoryCounts[b] - directoryCounts[a] || a.localeCompare(b))
+    .slice(0, TREND_DIRECTORIES);
+
+  const directoryFindings = (run, directory) => {
+    const counts = Object.values(run.tools).map(info => info.directories && info.directories[directory]).filter(count => count !== undefined);
+    return Object.values(run.tools).some(info => info.directories) ? counts.reduce((sum, count) => sum + count, 0) : undefined;
+  };
+
+  return [
+    `Trend over the last ${shown.length} ${shown.length === 1 ? 'commit' : 'commits'} (* uncommitted changes)`,
+    '',
+    ...table('Scores', tools, (run, tool) => run.tools[tool] && run.tools[tool].score),
+    ...table('Findings', tools, (run, tool) => run.tools[tool] && run.tools[tool].findings),
+    ...(directories.length > 0 ? table('Findings by directory', directories, directoryFindings) : [])
+  ].slice(0, -1);
+}
+
+module.exports = {
+  DEFAULT_HISTORY,
+  HistoryError,
+  appendRun,
+  collapseRuns,
+  createRun,
+  createTestRun,
+  currentCommit,
+  formatTrend,
+  readHistory
+};
@@ -0,0 +1,273 @@
+/**
+ * LLM Providers
+ * One `complete()` interface over OpenAI-compatible, Anthropic-style and
+ * Ollama-style chat endpoints, plus a deterministic stub for tests and offline runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Used when llm.endpoint or llm.apiKeyEnv are left empty
+const DEFAULTS = {
+  openai: { endpoint: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+  anthropic: { endpoint: 'https://api.anthropic.com', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+  ollama: { endpoint: 'http://localhost:11434', apiKeyEnv: '' }
+};
+
+class ProviderError extends Error {
+  constructor (provider, reason) {
+    super(`LLM provider ${provider}: ${reason}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+  }
+}
+
+/**
+ * @typedef {Object} CompletionRequest
+ * @property {string} system - System prompt
+ * @property {string} prompt - User prompt
+ * @property {number} maxTokens - Most tokens the response may use
+ * @property {{file: string, startLine?: number}} [meta] - What is being reviewed; only the stub reads it
+ *
+ * @typedef {Object} Completion
+ * @property {string} text - Raw response text
+ * @property {?{input: number, output: number}} usage - Tokens reported by the provider
+ */
+
+class HttpProvider {
+  /**
+   * @param {Object} config - The review.llm config section
+   * @param {Object} [env] - Environment holding the API key
+   */
+  constructor (config, env = process.env) {
+    const defaults = DEFAULTS[this.name];
+    this.model = config.model;
+    this.endpoint = (config.endpoint || defaults.endpoint).replace(/\/+$/, '');
+    this.timeout = config.timeout;
+    this.temperature = config.temperature;
+
+    const keyVariable = config.apiKeyEnv || defaults.apiKeyEnv;
+    this.apiKey = keyVariable ? env[keyVariable] : undefined;
+
+    if (!this.model) {
+      throw new ProviderError(this.name, 'llm.model is required');
+    }
+    if (keyVariable && !this.apiKey) {
+      throw new ProviderError(this.name, `the ${keyVariable} environment variable is not set`);
+    }
+  }
+
+  /**
+   * @param {CompletionRequest} request
+   * @returns {Promise<Completion>}
+   */
+  async complete (request) {
+    const { url, headers, body } = this.buildRequest(request);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `no response within ${this.timeout}ms` : error.message;
+      throw new ProviderError(this.name, `request to ${url} failed (${reason})`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new ProviderError(this.name, `HTTP ${response.status} from ${url}: ${text.slice(0, 200)}`);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      throw new ProviderError(this.name, `response is not JSON (${error.message})`);
+    }
+    return this.parseResponse(payload);
+  }
+}
+
+/**
+ * OpenAI chat completions and compatible servers (vLLM, LM Studio, Azure-style proxies)
+ */
+class OpenAIProvider extends HttpProvider {
+  get name () {
+    return 'openai';
+  }
+
+  buildRequest ({ system, prompt, maxTokens }) {
+    return {
+      url: `${this.endpoint}/chat/completions`,
+      headers: this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+      body: {
+        model: this.model,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature: this.temperature,
+        response_format: { type: 'json_object' }
+      }
+    };
+  }
+
+  parseResponse (payload) {
+    const choice = payload.choices && payload.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new ProviderError(this.name, 'response has no choices[0].message.content');
+    }
+
+    const { usage } = payload;
+    return {
+      text: choice.message.content,
+      usage: usage ? { input: usage.prompt_tokens || 0, output: usage.completion_tokens || 0 } : null
+    };
+  }
+}
+
+/**
+ * Anthropic-style messages API
+ */
+class AnthropicProvider extends HttpProvider {
+  get name () {
+    return 'anthropic';
+  }
+
+  buildRequest ({ system, prompt, maxTokens }) {
+    return {
+      url: `${this.endpoint}/v1/messages`,
+      headers: { 'x-api-key': this.apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+      body: {
+        model: this.model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature: this.temperature
+      }
+    };
+  }
+
+  parseResponse (payload) {
+    if (!Array.isArray(payload.content)) {
+      throw new ProviderError(this.name, 'response has no content blocks');
+    }
+
+    const { usage } = payload;
+    return {
+      text: payload.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: usage ? { input: usage.input_tokens || 0, output: usage.output_tokens || 0 } : null
+    };
+  }
+}
+
+/**
+ * Ollama-style local chat endpoint; needs no API key
+ */
+class OllamaProvider extends HttpProvider {
+  get name () {
+    return 'ollama';
+  }
+
+  buildRequest ({ system, prompt, maxTokens }) {
+    return {
+      url: `${this.endpoint}/api/chat`,
+      headers: {},
+      body: {
+        model: this.model,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+        stream: false,
+        format: 'json',
+        options: { temperature: this.temperature, num_predict: maxTokens }
+      }
+    };
+  }
+
+  parseResponse (payload) {
+    if (!payload.message || typeof payload.message.content !== 'string') {
+      throw new ProviderError(this.name, 'response has no message.content');
+    }
+
+    return {
+      text: payload.message.content,
+      usage: payload.prompt_eval_count !== undefined
+        ? { input: payload.prompt_eval_count, output: payload.eval_count || 0 }
+        : null
+    };
+  }
+}
+
+/**
+ * Deterministic provider answering from a fixtures file instead of a model.
+ *
+ * Fixtures map `<file>:<startLine>` (hunk reviews), `<file>` or `*` to a
+ * response: objects are returned as JSON, strings verbatim. Without a match
+ * it answers with no comments. Every request is kept in `calls`.
+ */
+class StubProvider {
+  constructor (config, env, { cwd = process.cwd() } = {}) {
+    this.calls = [];
+    this.fixtures = {};
+
+    if (config.fixtures) {
+      const fixturesPath = path.resolve(cwd, config.fixtures);
+      try {
+        this.fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      } catch (error) {
+        throw new ProviderError(this.name, `could not read fixtures ${config.fixtures} (${error.message})`);
+      }
+    }
+  }
+
+  get name () {
+    return 'stub';
+  }
+
+  async complete (request) {
+    this.calls.push(request);
+
+    const { file, startLine } = request.meta || {};
+    const keys = [`${file}:${startLine}`, file, '*'];
+    const key = keys.find(candidate => Object.prototype.hasOwnProperty.call(this.fixtures, candidate));
+    const response = key === undefined ? { comments: [] } : this.fixtures[key];
+
+    return { text: typeof response === 'string' ? response : JSON.stringify(response), usage: null };
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  stub: StubProvider
+};
+
+/**
+ * Provider for the review.llm config, or null when none is configured
+ * @param {Object} config - The review.llm config section
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment holding API keys
+ * @param {string} [options.cwd] - Directory stub fixtures are resolved from
+ * @throws {ProviderError} When the provider is misconfigured
+ */
+function createProvider (config, { env = process.env, cwd } = {}) {
+  if (!config || config.provider === 'none') {
+    return null;
+  }
+
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new ProviderError(config.provider, `unknown provider (expected one of: none, ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(config, env, { cwd });
+}
+
+module.exports = {
+  ProviderError,
+  StubProvider,
+  createProvider
+};
@@ -0,0 +1,347 @@
+/**
+ * LLM Review
+ * Asks the configured model to review a whole file or each changed hunk,
+ * keeps prompts inside a token budget, and validates the comments it returns
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { SEVERITIES } = require('./finding');
+const { ProviderError, createProvider } = require('./llm-providers');
+
+// Rough characters per token for code and English; only used for budgeting
+const CHARS_PER_TOKEN = 4;
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.html': 'html'
+};
+
+// {{name}} placeholders are filled by renderTemplate; override any of these with llm.prompts
+const PROMPT_TEMPLATES = {
+  system: `You are a senior engineer reviewing code. Report real problems only: bugs, security holes, performance traps and code that is hard to maintain. Skip formatting and naming nits a linter would catch.
+
+Answer with JSON only, in exactly this shape:
+{"comments": [{"line": 12, "endLine": 14, "severity": "high", "message": "What is wrong and why", "suggestion": "How to fix it"}]}
+
+"line" is the first line the comment is about, using the line numbers shown in the code. "endLine" and "suggestion" are optional. "severity" is one of ${SEVERITIES.join(', ')}. Answer {"comments": []} when there is nothing to report.`,
+  file: `Review {{file}}.
+
+\`\`\`{{language}}
+{{code}}
+\`\`\``,
+  hunk: `Review the change to {{file}} at lines {{startLine}}-{{endLine}}. Lines marked "+" were added or modified; the others are unchanged context. Comment on the changed lines only.
+
+\`\`\`{{language}}
+{{code}}
+\`\`\``
+};
+
+const isLineNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 1;
+const isString = value => typeof value === 'string';
+
+// Fields of a model comment; properties not listed here are ignored
+const COMMENT_FIELDS = {
+  line: { required: true, valid: isLineNumber, expected: 'a line number >= 1' },
+  endLine: { required: false, valid: isLineNumber, expected: 'a line number >= 1' },
+  severity: { required: true, valid: value => SEVERITIES.includes(value), expected: `one of ${SEVERITIES.join(', ')}` },
+  message: { required: true, valid: isString, expected: 'a string' },
+  suggestion: { required: false, valid: isString, expected: 'a string' }
+};
+
+/**
+ * @param {string} text
+ * @returns {number} Approximate token count
+ */
+function estimateTokens (text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Fill {{name}} placeholders; unknown names are left as they are
+ */
+function renderTemplate (template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder);
+}
+
+/**
+ * Number lines as `  12 | code`, or `  12 + | code` for changed lines of a hunk
+ * @param {string[]} lines - Whole file
+ * @param {number} first - First line to show, 1-based
+ * @param {number} last - Last line to show, inclusive
+ * @param {?[number, number]} changed - Changed range to mark, for hunk reviews
+ */
+function numberLines (lines, first, last, changed = null) {
+  const width = String(last).length;
+  const numbered = [];
+
+  for (let line = first; line <= last; line++) {
+    const marker = changed ? (line >= changed[0] && line <= changed[1] ? ' +' : '  ') : '';
+    numbered.push(`${String(line).padStart(width)}${marker} | ${lines[line - 1]}`);
+  }
+  return numbered;
+}
+
+/**
+ * Check the shape of a parsed answer. Models add keys of their own, so only
+ * the known fields are checked and anything else is left alone.
+ * @returns {string[]} Readable errors
+ */
+function checkResponse (response) {
+  if (!response || typeof response !== 'object' || !Array.isArray(response.comments)) {
+    return ['expected an object with a "comments" array'];
+  }
+
+  const errors = [];
+  response.comments.forEach((comment, index) => {
+    if (!comment || typeof comment !== 'object' || Array.isArray(comment)) {
+      errors.push(`comments[${index}]: expected object`);
+      return;
+    }
+    for (const [key, field] of Object.entries(COMMENT_FIELDS)) {
+      const value = comment[key];
+      if (value === undefined || value === null) {
+        if (field.required) {
+          errors.push(`comments[${index}].${key}: required`);
+        }
+      } else if (!field.valid(value)) {
+        errors.push(`comments[${index}].${key}: must be ${field.expected}, got ${value}`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parse and validate a model answer. Code fences and prose around the JSON
+ * object are tolerated; comments outside the reviewed lines are dropped since
+ * they can't be anchored.
+ * @param {string} text - Raw response
+ * @param {[number, number]} range - Lines that were shown to the model
+ * @returns {Object[]} Comments
+ * @throws {Error} When the answer isn't the expected JSON
+ */
+function parseComments (text, [first, last]) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('response contains no JSON object');
+  }
+
+  let response;
+  try {
+    response = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`response is not valid JSON (${error.message})`);
+  }
+
+  const errors = checkResponse(response);
+  if (errors.length > 0) {
+    throw new Error(`response does not match the expected shape: ${errors.slice(0, 3).join('; ')}`);
+  }
+
+  return response.comments
+    .filter(comment => comment.line >= first && comment.line <= last)
+    .map(({ line, endLine, severity, message, suggestion }) => ({
+      line: Math.floor(line),
+      endLine: Math.min(Math.max(Math.floor(endLine || line), Math.floor(line)), last),
+      severity,
+      message,
+      ...(suggestion ? { suggestion } : {})
+    }));
+}
+
+/**
+ * Tokens left for one run, so large reviews can't run up an unbounded bill
+ */
+class TokenBudget {
+  constructor (limit) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  fits (tokens) {
+    return this.used + tokens <= this.limit;
+  }
+
+  spend (tokens) {
+    this.used += tokens;
+  }
+}
+
+class LLMReviewer {
+  /**
+   * @param {Object} config - The review.llm config section
+   * @param {Object} [options]
+   * @param {?Object} [options.provider] - Provider to use instead of the configured one; null disables it
+   * @param {Object} [options.env] - Environment holding API keys
+   */
+  constructor (config, options = {}) {
+    this.config = config;
+    this.templates = { ...PROMPT_TEMPLATES, ...config.prompts };
+    this.budget = new TokenBudget(config.maxTotalTokens);
+    this.stats = { requests: 0, failures: 0, skipped: 0 };
+    this.budgetExhausted = false;
+
+    if (options.provider !== undefined) {
+      this.provider = options.provider;
+      return;
+    }
+
+    try {
+      this.provider = createProvider(config, { env: options.env });
+    } catch (error) {
+      if (!(error instanceof ProviderError)) {
+        throw error;
+      }
+      console.warn(chalk.yellow(`⚠️  ${error.message}; falling back to heuristic suggestions`));
+      this.provider = null;
+    }
+  }
+
+  get enabled () {
+    return Boolean(this.provider);
+  }
+
+  /**
+   * Review one file, one request for the whole file or one per changed hunk
+   * when llm.unit is "hunk" and the diff scope knows the changed lines
+   * @param {string} filePath
+   * @param {string} content
+   * @param {import('./diff-scope').DiffScope} [scope]
+   * @returns {Promise<?Object[]>} Comments with their file, or null when the
+   *   caller should fall back to heuristics
+   */
+  async reviewFile (filePath, content, scope) {
+    const file = path.relative(process.cwd(), filePath);
+    const lines = content.split('\n');
+    const hunks = this.config.unit === 'hunk' && scope && scope.lines
+      ? scope.lines.get(path.resolve(filePath))
+      : null;
+
+    const requests = hunks
+      ? hunks.map(range => this.hunkRequest(file, lines, range))
+      : [this.fileRequest(file, lines)];
+
+    const comments = [];
+    for (const request of requests) {
+      const result = await this.send(request);
+      if (!result) {
+        return null;
+      }
+      comments.push(...result.map(comment => ({ file, ...comment })));
+    }
+    return comments;
+  }
+
+  fileRequest (file, lines) {
+    return this.buildRequest('file', { file, language: languageOf(file) }, lines, [1, lines.length], null);
+  }
+
+  hunkRequest (file, lines, [start, end]) {
+    const { contextLines } = this.config;
+    const shown = [Math.max(1, start - contextLines), Math.min(lines.length, end + contextLines)];
+
+    return this.buildRequest('hunk', { file, language: languageOf(file), startLine: start, endLine: end }, lines, shown, [start, end]);
+  }
+
+  /**
+   * Render a prompt, leaving out trailing lines that don't fit llm.maxInputTokens
+   */
+  buildRequest (kind, values, lines, [first, last], changed) {
+    const system = this.templates.system;
+    const template = this.templates[kind];
+    const overhead = estimateTokens(system) + estimateTokens(renderTemplate(template, { ...values, code: '' }));
+    let available = this.config.maxInputTokens - overhead;
+
+    const numbered = numberLines(lines, first, last, changed);
+    const kept = [];
+    for (const line of numbered) {
+      const cost = estimateTokens(line) + 1;
+      if (cost > available) {
+        break;
+      }
+      kept.push(line);
+      available -= cost;
+    }
+
+    const shownLast = first + kept.length - 1;
+    if (kept.length < numbered.length) {
+      kept.push(`... ${numbered.length - kept.length} more lines not shown`);
+    }
+
+    const prompt = renderTemplate(template, { ...values, code: kept.join('\n') });
+    return {
+      system,
+      prompt,
+      meta: { file: values.file, startLine: values.startLine },
+      range: [first, shownLast],
+      inputTokens: estimateTokens(system) + estimateTokens(prompt)
+    };
+  }
+
+  /**
+   * @returns {Promise<?Object[]>} Validated comments, or null on failure or an exhausted budget
+   */
+  async send ({ system, prompt, meta, range, inputTokens }) {
+    const { maxOutputTokens } = this.config;
+
+    if (range[1] < range[0]) {
+      this.stats.skipped++;
+      console.warn(chalk.yellow(`⚠️  llm.maxInputTokens leaves no room for the code of ${meta.file}; using heuristic suggestions`));
+      return null;
+    }
+
+    if (!this.budget.fits(inputTokens + maxOutputTokens)) {
+      this.stats.skipped++;
+      if (!this.budgetExhausted) {
+        this.budgetExhausted = true;
+        console.warn(chalk.yellow(`⚠️  LLM token budget of ${this.budget.limit} reached; remaining files get heuristic suggestions`));
+      }
+      return null;
+    }
+
+    try {
+      const completion = await this.provider.complete({ system, prompt, maxTokens: maxOutputTokens, meta });
+      const { usage } = completion;
+      this.budget.spend(usage ? usage.input + usage.output : inputTokens + estimateTokens(completion.text));
+      this.stats.requests++;
+
+      return parseComments(completion.text, range);
+    } catch (error) {
+      this.stats.failures++;
+      console.warn(chalk.yellow(`⚠️  LLM review of ${meta.file} failed (${error.message}); using heuristic suggestions`));
+      return null;
+    }
+  }
+
+  /**
+   * Provider and usage figures for the review report
+   */
+  summary () {
+    return {
+      provider: this.provider ? this.provider.name : 'none',
+      model: this.provider ? this.config.model || null : null,
+      unit: this.config.unit,
+      ...this.stats,
+      tokens: this.budget.used
+    };
+  }
+}
+
+function languageOf (file) {
+  const extension = path.extname(file);
+  return LANGUAGES[extension] || extension.slice(1);
+}
+
+module.exports = {
+  LLMReviewer,
+  TokenBudget,
+  numberLines,
+  parseComments,
+  renderTemplate
+};
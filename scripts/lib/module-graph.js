@@ -0,0 +1,274 @@
+/**
+ * Module Graph
+ * Links the files of a project through require() and import, and reports the
+ * named exports no other file imports. Only relative specifiers are followed;
+ * whenever an import can't be narrowed to specific names (a namespace passed
+ * around, `export *`, dynamic import), every export of its target counts as used.
+ */
+
+const path = require('path');
+const { extractScripts, parseSource, walk } = require('./rule-engine');
+
+const DEFAULT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// Stands for every export of a module
+const ALL = '*';
+
+const isRequire = (node) => Boolean(node) && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+  node.callee.name === 'require' && node.arguments.length === 1 && typeof stringValue(node.arguments[0]) === 'string';
+
+const isModuleExports = (node) => node.type === 'MemberExpression' && !node.computed &&
+  node.object.type === 'Identifier' && node.object.name === 'module' && node.property.name === 'exports';
+
+function stringValue (node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+function keyName (key, computed) {
+  if (!computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  return stringValue(key);
+}
+
+/**
+ * Name assigned through `exports.name` or `module.exports.name`
+ */
+function exportsProperty (node) {
+  if (node.type !== 'MemberExpression') {
+    return null;
+  }
+  const target = node.object;
+  if ((target.type === 'Identifier' && target.name === 'exports') || isModuleExports(target)) {
+    return keyName(node.property, node.computed);
+  }
+  return null;
+}
+
+const location = (node) => ({
+  line: node.loc.start.line,
+  column: node.loc.start.column + 1,
+  endLine: node.loc.end.line,
+  endColumn: node.loc.end.column + 1
+});
+
+function collect (program, summary) {
+  const addExport = (name, node) => {
+    if (name && !summary.exports.some(entry => entry.name === name)) {
+      summary.exports.push({ name, ...location(node) });
+    }
+  };
+  const addImport = (specifier, names) => {
+    if (specifier.startsWith('.')) {
+      summary.imports.push({ specifier, names: names === ALL ? ALL : [...names] });
+    }
+  };
+  // Names read from a namespace binding, or ALL when the binding is used any other way
+  const usedNames = (scopeNode, name) => {
+    const names = new Set();
+    walk(scopeNode, {
+      Identifier: [(node, parent) => {
+        if (node.name !== name || !parent || (parent.type === 'VariableDeclarator' && parent.id === node) || parent.type === 'ImportNamespaceSpecifier' ||
+          parent.type === 'ImportDefaultSpecifier' || (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) ||
+          (parent.type === 'Property' && parent.key === node && !parent.computed && !parent.shorthand)) {
+          return;
+        }
+        const member = parent.type === 'MemberExpression' && parent.object === node ? keyName(parent.property, parent.computed) : null;
+        names.add(member || ALL);
+      }]
+    });
+    return names.has(ALL) ? ALL : names;
+  };
+
+  walk(program, {
+    AssignmentExpression: [(node) => {
+      if (isModuleExports(node.left)) {
+        if (node.right.type === 'ObjectExpression') {
+          for (const property of node.right.properties) {
+            if (property.type === 'Property') {
+              addExport(keyName(property.key, property.computed), property.key);
+            }
+          }
+        } else {
+          addExport('default', node.left);
+        }
+      }
+      addExport(exportsProperty(node.left), node.left);
+    }],
+    ExportNamedDeclaration: [(node) => {
+      if (node.source) {
+        addImport(node.source.value, new Set(node.specifiers.map(specifier => specifier.local.name || specifier.local.value)));
+      }
+      for (const specifier of node.specifiers) {
+        addExport(specifier.exported.name || specifier.exported.value, specifier.exported);
+      }
+      const { declaration } = node;
+      if (declaration && declaration.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === 'Identifier') {
+            addExport(declarator.id.name, declarator.id);
+          }
+        }
+      } else if (declaration && declaration.id) {
+        addExport(declaration.id.name, declaration.id);
+      }
+    }],
+    ExportDefaultDeclaration: [(node) => addExport('default', node)],
+    ExportAllDeclaration: [(node) => addImport(node.source.value, ALL)],
+    ImportExpression: [(node) => addImport(stringValue(node.source) || '', ALL)],
+    ImportDeclaration: [(node) => {
+      const names = new Set();
+      for (const specifier of node.specifiers) {
+        if (specifier.type === 'ImportNamespaceSpecifier') {
+          addImport(node.source.value, usedNames(program, specifier.local.name));
+        } else {
+          names.add(specifier.type === 'ImportDefaultSpecifier' ? 'default' : (specifier.imported.name || specifier.imported.value));
+        }
+      }
+      if (names.size > 0 || node.specifiers.length === 0) {
+        addImport(node.source.value, names);
+      }
+    }],
+    CallExpression: [(node, parent) => {
+      if (node.callee.type === 'Import') {
+        addImport(stringValue(node.arguments[0]) || '', ALL);
+      }
+      if (!isRequire(node)) {
+        return;
+      }
+      const specifier = stringValue(node.arguments[0]);
+      if (parent && parent.type === 'MemberExpression' && parent.object === node) {
+        addImport(specifier, new Set([keyName(parent.property, parent.computed) || ALL]));
+      } else if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern' &&
+        parent.id.properties.every(property => property.type === 'Property')) {
+        addImport(specifier, new Set(parent.id.properties.map(property => keyName(property.key, property.computed))));
+      } else if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        addImport(specifier, usedNames(program, parent.id.name));
+      } else {
+        addImport(specifier, ALL);
+      }
+    }]
+  });
+}
+
+/**
+ * Exports and relative imports of a file as plain data, so the analysis cache
+ * can keep it. Import names are '*' when every export may be used.
+ * @returns {?{exports: Object[], imports: Array<{specifier: string, names: string[]|string}>}}
+ *   Null when the file doesn't parse
+ */
+function scanModule (content, filePath) {
+  const summary = { exports: [], imports: [] };
+  try {
+    for (const { text, offset } of extractScripts(content, filePath)) {
+      collect(parseSource(text, filePath, offset).program, summary);
+    }
+  } catch (error) {
+    // Files that don't parse are left out; the rule engine reports the parse error
+    return null;
+  }
+  return summary;
+}
+
+class ModuleGraph {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.extensions] - Extensions tried when a specifier leaves them out
+   */
+  constructor (options = {}) {
+    this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+    // absolute path -> module; adding a file again replaces it
+    this.modules = new Map();
+  }
+
+  /**
+   * Add or replace a file
+   * @param {string} file - Path reported in findings
+   * @param {string} content - File contents
+   * @param {string} filePath - Path used to resolve relative specifiers
+   * @param {Object} [options]
+   * @param {boolean} [options.report=true] - Report this file's unused exports; false only
+   *   counts its imports, e.g. for tests and files outside the reviewed path
+   * @param {Object} [summary] - scanModule output, e.g. from the analysis cache
+   */
+  addFile (file, content, filePath, { report = true } = {}, summary = scanModule(content, filePath)) {
+    const absolute = path.resolve(filePath);
+    if (!summary) {
+      this.modules.delete(absolute);
+      return;
+    }
+
+    this.modules.set(absolute, {
+      file,
+      report,
+      lines: content.split('\n'),
+      exports: new Map(summary.exports.map(({ name, ...range }) => [name, range])),
+      imports: summary.imports.map(({ specifier, names }) => ({
+        target: path.resolve(path.dirname(absolute), specifier),
+        names: names === ALL ? ALL : new Set(names)
+      }))
+    });
+  }
+
+  /**
+   * The module a specifier resolves to: the path itself, with an extension or as a directory index
+   */
+  resolve (target) {
+    const candidates = [target, ...this.extensions.map(ext => target + ext), ...this.extensions.map(ext => path.join(target, `index${ext}`))];
+    return candidates.find(candidate => this.modules.has(candidate)) || null;
+  }
+
+  /**
+   * Named exports of imported modules that no other file imports. Modules
+   * nothing imports are entry points or public API and are never reported,
+   * and a default export counts as used by every importer of its module.
+   * @returns {Array<{file: string, name: string, line: number, column: number, endLine: number, endColumn: number, snippet: string}>}
+   */
+  unusedExports () {
+    const used = new Map();
+    const imports = [...this.modules].flatMap(([from, module]) => module.imports.map(entry => ({ from, ...entry })));
+    for (const { from, target, names } of imports) {
+      const resolved = this.resolve(target);
+      if (!resolved || resolved === from) {
+        continue;
+      }
+      if (!used.has(resolved)) {
+        used.set(resolved, new Set(['default']));
+      }
+      // A default import of a CommonJS object export reads its properties
+      const module = this.modules.get(resolved);
+      const all = names === ALL || (names.has('default') && !module.exports.has('default'));
+      for (const name of all ? [ALL] : names) {
+        used.get(resolved).add(name);
+      }
+    }
+
+    const unused = [];
+    for (const [absolute, { file, report, exports, lines }] of this.modules) {
+      const names = used.get(absolute);
+      if (!report || !names || names.has(ALL)) {
+        continue;
+      }
+      for (const [name, range] of exports) {
+        if (!names.has(name)) {
+          unused.push({ file, name, ...range, snippet: lines[range.line - 1] });
+        }
+      }
+    }
+    return unused;
+  }
+}
+
+module.exports = {
+  ModuleGraph,
+  scanModule
+};
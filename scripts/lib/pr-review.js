@@ -0,0 +1,175 @@
+/**
+ * Pull Request Review Payload
+ * Anchors findings to the lines a pull request changed and builds the body of
+ * a single GitHub "create a review" request, one inline comment per finding
+ */
+
+const path = require('path');
+const { SEVERITIES } = require('./finding');
+
+const REVIEW_PAYLOAD = 'ai-review-payload.json';
+const DEFAULT_MAX_COMMENTS = 50;
+
+const SEVERITY_ICONS = { critical: '🔴', high: '🟠', medium: '🟡', low: '🔵', info: '⚪' };
+
+/**
+ * Lines of the changed range a comment can sit on. GitHub only accepts
+ * comments inside a diff hunk, so a finding that starts before the change is
+ * narrowed to the part that overlaps it.
+ * @param {Array<[number, number]>} ranges - Changed line ranges of the file
+ * @returns {?{startLine: number, line: number, exact: boolean}}
+ */
+function anchorLines (ranges, line, endLine = line) {
+  const range = ranges.find(([start, end]) => line <= end && endLine >= start);
+  if (!range) {
+    return null;
+  }
+
+  const startLine = Math.max(line, range[0]);
+  const lastLine = Math.min(endLine, range[1]);
+  return { startLine, line: lastLine, exact: startLine === line && lastLine === endLine };
+}
+
+/**
+ * The commented lines with the fix applied, for a ```suggestion block. The
+ * snippet holds the full source lines of the finding; the replacement
+ * carries its own range, which has to fall within those lines.
+ * @returns {?string}
+ */
+function suggestedChange (finding) {
+  const replacement = finding.fix && finding.fix.replacement;
+  const { location } = finding;
+  if (!replacement || typeof replacement.text !== 'string' || typeof location.snippet !== 'string') {
+    return null;
+  }
+
+  const lines = location.snippet.split('\n');
+  const first = replacement.line - location.line;
+  const last = replacement.endLine - location.line;
+  if (lines.length !== location.endLine - location.line + 1 || first < 0 || last < first || last >= lines.length) {
+    return null;
+  }
+  return [
+    ...lines.slice(0, first),
+    lines[first].slice(0, replacement.column - 1) + replacement.text + lines[last].slice(replacement.endColumn - 1),
+    ...lines.slice(last + 1)
+  ].join('\n');
+}
+
+/**
+ * Markdown body of an inline comment for a common-schema finding
+ */
+function findingBody (finding, { exact }) {
+  const parts = [`${SEVERITY_ICONS[finding.severity] || ''} **${finding.severity}** ${finding.message} (\`${finding.tool}/${finding.ruleId}\`)`.trim()];
+
+  if (finding.fix && finding.fix.description) {
+    parts.push(finding.fix.description);
+  }
+
+  const change = exact ? suggestedChange(finding) : null;
+  if (change !== null) {
+    parts.push(`\`\`\`suggestion\n${change}\n\`\`\``);
+  }
+
+  if (finding.docsUrl) {
+    parts.push(`[Rule documentation](${finding.docsUrl})`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Markdown body of an inline comment from the LLM reviewer
+ */
+function modelCommentBody (comment) {
+  const parts = [`${SEVERITY_ICONS[comment.severity] || ''} **${comment.severity}** ${comment.message} (\`model review\`)`.trim()];
+  if (comment.suggestion) {
+    parts.push(comment.suggestion);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Build a GitHub pull request review from findings and model comments.
+ * Anything outside the changed lines is dropped; when there are more than
+ * maxComments, the most severe are kept.
+ * @param {Object} options
+ * @param {Object[]} [options.findings] - Common-schema findings
+ * @param {Object[]} [options.comments] - LLM reviewer comments ({file, line, endLine, severity, message, suggestion?})
+ * @param {Map<string, Array<[number, number]>>} options.changedLines - Absolute path -> changed line ranges
+ * @param {string} options.root - Repository root that comment paths are relative to
+ * @param {?string} [options.commitId] - Commit the comments refer to
+ * @param {string} [options.summary] - First paragraph of the review body
+ * @param {number} [options.maxComments]
+ * @returns {{payload: Object, stats: {anchored: number, outsideDiff: number, omitted: number}}}
+ */
+function buildPullRequestReview ({ findings = [], comments = [], changedLines, root, commitId = null, summary = '', maxComments = DEFAULT_MAX_COMMENTS }) {
+  const candidates = [
+    ...findings.map(finding => ({ ...finding.location, severity: finding.severity, body: anchor => findingBody(finding, anchor) })),
+    ...comments.map(comment => ({ ...comment, body: () => modelCommentBody(comment) }))
+  ];
+
+  const anchored = [];
+  const seen = new Set();
+  let outsideDiff = 0;
+  for (const candidate of candidates) {
+    const absolute = path.resolve(candidate.file);
+    const ranges = changedLines.get(absolute);
+    const anchor = ranges && anchorLines(ranges, candidate.line, candidate.endLine || candidate.line);
+    if (!anchor) {
+      outsideDiff++;
+      continue;
+    }
+
+    const comment = {
+      path: path.relative(root, absolute).split(path.sep).join('/'),
+      ...(anchor.startLine < anchor.line ? { start_line: anchor.startLine, start_side: 'RIGHT' } : {}),
+      line: anchor.line,
+      side: 'RIGHT',
+      body: candidate.body(anchor)
+    };
+
+    const key = `${comment.path}:${comment.line}:${comment.body}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      anchored.push({ severity: candidate.severity, comment });
+    }
+  }
+
+  const rank = severity => SEVERITIES.indexOf(severity) === -1 ? SEVERITIES.length : SEVERITIES.indexOf(severity);
+  const kept = [...anchored]
+    .sort((a, b) => rank(a.severity) - rank(b.severity))
+    .slice(0, maxComments)
+    .map(item => item.comment)
+    .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+
+  const stats = {
+    anchored: kept.length,
+    outsideDiff,
+    omitted: anchored.length - kept.length
+  };
+
+  const notes = [];
+  if (stats.omitted > 0) {
+    notes.push(`${stats.omitted} more comments on changed lines were left out; the ${maxComments} most severe are shown.`);
+  }
+  if (stats.outsideDiff > 0) {
+    notes.push(`${stats.outsideDiff} findings outside the changed lines are listed in the full report only.`);
+  }
+
+  return {
+    payload: {
+      ...(commitId ? { commit_id: commitId } : {}),
+      event: 'COMMENT',
+      body: [summary, ...notes].filter(Boolean).join('\n\n'),
+      comments: kept
+    },
+    stats
+  };
+}
+
+module.exports = {
+  REVIEW_PAYLOAD,
+  anchorLines,
+  buildPullRequestReview,
+  suggestedChange
+};
@@ -0,0 +1,272 @@
+/**
+ * AST Rule Engine
+ * Parses source files into ESTree and runs registered rule visitors over them
+ */
+
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { applySuppressions, parseDirectives } = require('./suppressions');
+
+const PARSER_PLUGINS = {
+  '.ts': ['typescript'],
+  '.tsx': ['typescript', 'jsx'],
+  '.mts': ['typescript'],
+  '.cts': ['typescript']
+};
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const MAX_SNIPPET_LINES = 5;
+const SCRIPT_BLOCK = /(<script\b[^>]*>)([\s\S]*?)<\/script>/gi;
+
+// Keys that hold metadata rather than child nodes
+const SKIPPED_KEYS = new Set(['loc', 'range', 'start', 'end', 'extra', 'comments', 'tokens', 'errors']);
+
+/**
+ * Compute the 1-based line and column of an offset in a string
+ */
+function locationAt (text, index) {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length;
+  return { line, column: index - before.lastIndexOf('\n') };
+}
+
+/**
+ * Parse a chunk of JavaScript/TypeScript into an ESTree program; with
+ * tokens: true the result also lists its tokens and comments in `tokens`
+ */
+function parseSource (text, filePath, offset = { line: 1, column: 1 }, { tokens = false } = {}) {
+  return parse(text, {
+    sourceType: 'unambiguous',
+    plugins: [...(PARSER_PLUGINS[path.extname(filePath)] || ['jsx']), 'estree'],
+    errorRecovery: true,
+    attachComment: false,
+    tokens,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    startLine: offset.line,
+    startColumn: offset.column - 1
+  });
+}
+
+/**
+ * Split a file into parseable script chunks - HTML contributes its inline <script> blocks
+ */
+function extractScripts (content, filePath) {
+  if (!HTML_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return [{ text: content, offset: { line: 1, column: 1 } }];
+  }
+
+  const chunks = [];
+  for (const match of content.matchAll(SCRIPT_BLOCK)) {
+    const [, openTag, text] = match;
+    if (/\btype\s*=\s*["']?(?!text\/javascript|module)[\w/+-]+/i.test(openTag)) {
+      continue;
+    }
+    chunks.push({ text, offset: locationAt(content, match.index + openTag.length) });
+  }
+  return chunks;
+}
+
+/**
+ * Wraps the parsed program with text helpers for rules
+ */
+class SourceCode {
+  constructor (text, ast, offset) {
+    this.text = text;
+    this.ast = ast;
+    this.offset = offset;
+    this.lines = text.split('\n');
+    this.comments = ast.comments || [];
+  }
+
+  getText (node) {
+    return this.text.slice(node.start, node.end);
+  }
+
+  /**
+   * Source lines spanning a document line range, capped to keep reports small
+   */
+  getLines (startLine, endLine) {
+    const first = startLine - this.offset.line;
+    const last = Math.min(endLine, startLine + MAX_SNIPPET_LINES - 1) - this.offset.line;
+    return this.lines.slice(first, last + 1).join('\n');
+  }
+
+  getLocFromIndex (index) {
+    const { line, column } = locationAt(this.text, index);
+    return {
+      line: line + this.offset.line - 1,
+      column: line === 1 ? column + this.offset.column - 1 : column
+    };
+  }
+}
+
+/**
+ * Direct child nodes of an ESTree node, in source key order
+ */
+function * childNodes (node) {
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) {
+      continue;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') {
+          yield child;
+        }
+      }
+    } else if (value && typeof value.type === 'string') {
+      yield value;
+    }
+  }
+}
+
+/**
+ * Walk an ESTree node depth-first, calling enter/exit visitors by node type
+ */
+function walk (node, visitors, parent = null) {
+  if (visitors[node.type]) {
+    for (const visit of visitors[node.type]) {
+      visit(node, parent);
+    }
+  }
+
+  for (const child of childNodes(node)) {
+    walk(child, visitors, node);
+  }
+
+  const exit = visitors[`${node.type}:exit`];
+  if (exit) {
+    for (const visit of exit) {
+      visit(node, parent);
+    }
+  }
+}
+
+class RuleEngine {
+  constructor () {
+    this.rules = new Map();
+  }
+
+  /**
+   * Register a rule: { id, create(context) => visitors, fix?(node, sourceCode) => text, ...metadata }
+   */
+  register (rule) {
+    if (!rule.id || typeof rule.create !== 'function') {
+      throw new Error(`Invalid rule ${rule.id || '<anonymous>'}: rules need an id and a create(context) function`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Duplicate rule id: ${rule.id}`);
+    }
+
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  registerAll (rules, defaults = {}) {
+    for (const rule of rules) {
+      this.register({ ...defaults, ...rule });
+    }
+    return this;
+  }
+
+  /**
+   * Rule table of a report: id -> description, from a rule's description or
+   * its default message. Rules reported outside the engine can be added.
+   */
+  describe (extraRules = []) {
+    return Object.fromEntries([...this.rules.values(), ...extraRules]
+      .map(rule => [rule.id, { description: rule.description || rule.message || rule.id }]));
+  }
+
+  /**
+   * Run every registered rule over a file and return active findings sorted by position
+   */
+  run (content, filePath) {
+    return this.check(content, filePath).findings;
+  }
+
+  /**
+   * Run every registered rule over a file, honoring sdlc-disable comments. The
+   * file's directives are returned too, for findings made outside the engine.
+   * @returns {{findings: Object[], suppressed: Object[], unusedSuppressions: Object[], directives: Object[]}}
+   */
+  check (content, filePath) {
+    const result = { findings: [], suppressed: [], unusedSuppressions: [], directives: [] };
+
+    for (const { text, offset } of extractScripts(content, filePath)) {
+      let ast;
+      try {
+        ast = parseSource(text, filePath, offset);
+      } catch (error) {
+        const where = error.loc ? ` (${error.loc.line}:${error.loc.column + 1})` : '';
+        throw new Error(`Could not parse ${filePath}${where}: ${error.message}`);
+      }
+
+      const sourceCode = new SourceCode(text, ast, offset);
+      const findings = [];
+      const visitors = {};
+
+      for (const rule of this.rules.values()) {
+        const context = this.createContext(rule, filePath, sourceCode, findings);
+        for (const [type, visit] of Object.entries(rule.create(context) || {})) {
+          (visitors[type] = visitors[type] || []).push(visit);
+        }
+      }
+
+      walk(ast.program, visitors);
+
+      const directives = parseDirectives(sourceCode.comments);
+      const { findings: active, suppressed, unused } = applySuppressions(findings, directives, new Set(this.rules.keys()));
+      result.findings.push(...active);
+      result.directives.push(...directives);
+      result.suppressed.push(...suppressed);
+      result.unusedSuppressions.push(...unused);
+    }
+
+    for (const list of Object.values(result)) {
+      list.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+    return result;
+  }
+
+  createContext (rule, filePath, sourceCode, findings) {
+    return {
+      id: rule.id,
+      filePath,
+      sourceCode,
+      report ({ node, loc, message }) {
+        const start = loc ? loc.start : { line: node.loc.start.line, column: node.loc.start.column + 1 };
+        const end = loc ? loc.end : { line: node.loc.end.line, column: node.loc.end.column + 1 };
+        const text = node ? sourceCode.getText(node) : sourceCode.lines[start.line - sourceCode.offset.line] || '';
+        // Rules may offer replacement text for the reported node
+        const replacement = node && rule.fix ? rule.fix(node, sourceCode) : null;
+
+        findings.push({
+          ruleId: rule.id,
+          rule,
+          message: message || rule.message,
+          line: start.line,
+          column: start.column,
+          endLine: end.line,
+          endColumn: end.column,
+          code: text.split('\n')[0].trim(),
+          snippet: sourceCode.getLines(start.line, end.line),
+          ...(typeof replacement === 'string'
+            ? { fix: { line: start.line, column: start.column, endLine: end.line, endColumn: end.column, text: replacement } }
+            : {})
+        });
+      }
+    };
+  }
+}
+
+module.exports = {
+  RuleEngine,
+  childNodes,
+  extractScripts,
+  parseSource,
+  walk
+};
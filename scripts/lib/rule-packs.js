@@ -0,0 +1,120 @@
+/**
+ * Rule Packs
+ * Loads custom rules from npm packages or local modules listed in a tool's
+ * `rulePacks` config and registers them next to the built-in rules
+ */
+
+const { SEVERITIES } = require('./finding');
+
+class RulePackError extends Error {
+  constructor (pack, errors) {
+    super(`Could not load rule pack ${pack}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'RulePackError';
+    this.pack = pack;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check one exported rule, collecting readable errors
+ */
+function validateRule (rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    return [`rule #${index + 1}: expected an object`];
+  }
+
+  const label = typeof rule.id === 'string' && rule.id ? `rule "${rule.id}"` : `rule #${index + 1}`;
+  const errors = [];
+
+  if (typeof rule.id !== 'string' || !rule.id) {
+    errors.push(`${label}: missing "id"`);
+  }
+  if (typeof rule.create !== 'function') {
+    errors.push(`${label}: "create" must be a function returning AST visitors`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`${label}: "severity" must be one of ${SEVERITIES.join(', ')}, got ${rule.severity}`);
+  }
+  if (rule.message !== undefined && typeof rule.message !== 'string') {
+    errors.push(`${label}: "message" must be a string`);
+  }
+  if (rule.description !== undefined && typeof rule.description !== 'string') {
+    errors.push(`${label}: "description" must be a string`);
+  }
+  if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+    errors.push(`${label}: "fix" must be a function returning replacement text`);
+  }
+  if (rule.docsUrl !== undefined && typeof rule.docsUrl !== 'string') {
+    errors.push(`${label}: "docsUrl" must be a string`);
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate a rule pack
+ * @param {string} spec - Package name, or a path relative to the working directory
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory packs are resolved from
+ * @returns {{name: string, file: string, rules: Object[]}}
+ */
+function loadRulePack (spec, { cwd = process.cwd() } = {}) {
+  let file;
+  try {
+    file = require.resolve(spec, { paths: [cwd] });
+  } catch (error) {
+    throw new RulePackError(spec, ['module not found (install the package or check the path)']);
+  }
+
+  let pack;
+  try {
+    pack = require(file);
+  } catch (error) {
+    throw new RulePackError(spec, [`module threw while loading: ${error.message}`]);
+  }
+
+  const rules = Array.isArray(pack) ? pack : pack && pack.rules;
+  if (!Array.isArray(rules)) {
+    throw new RulePackError(spec, ['must export an array of rules, or an object with a "rules" array']);
+  }
+
+  const errors = rules.flatMap(validateRule);
+  if (errors.length > 0) {
+    throw new RulePackError(spec, errors);
+  }
+
+  const name = (pack.name && typeof pack.name === 'string') ? pack.name : spec;
+  return { name, file, rules: rules.map(rule => ({ ...rule, pack: name })) };
+}
+
+/**
+ * Register the rule packs of a tool config on its engine
+ * @param {RuleEngine} engine - Engine that already holds the built-in rules
+ * @param {string[]} [specs] - The tool's `rulePacks` config
+ * @returns {string[]} Files the packs were loaded from
+ */
+function registerRulePacks (engine, specs = [], options = {}) {
+  const files = [];
+
+  for (const spec of specs) {
+    const pack = loadRulePack(spec, options);
+
+    for (const rule of pack.rules) {
+      const existing = engine.rules.get(rule.id);
+      if (existing) {
+        const owner = existing.pack ? `rule pack ${existing.pack}` : 'a built-in rule';
+        throw new RulePackError(spec, [`rule "${rule.id}": id is already used by ${owner}`]);
+      }
+      engine.register(rule);
+    }
+    files.push(pack.file);
+  }
+
+  return files;
+}
+
+module.exports = {
+  RulePackError,
+  loadRulePack,
+  registerRulePacks
+};
@@ -0,0 +1,216 @@
+/**
+ * Scope Analysis
+ * Resolves identifier references to the declarations they bind to, so rules
+ * can tell which variables and functions are never used. Deliberately
+ * conservative: writes count as uses, and a file using eval or `with` is not
+ * analyzed at all, since either can reach any name.
+ */
+
+const { childNodes } = require('./rule-engine');
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// Nodes whose let, const and class declarations are not visible outside them
+const BLOCK_SCOPES = new Set(['BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement', 'StaticBlock']);
+
+const EXPORTS = new Set(['ExportNamedDeclaration', 'ExportDefaultDeclaration']);
+
+const analyzed = new WeakMap();
+
+const isFunction = (node) => FUNCTION_TYPES.has(node.type);
+
+/**
+ * Identifiers a binding pattern declares, e.g. a, b and c in `{ a, b: [b], ...c }`
+ */
+function patternIdentifiers (pattern) {
+  if (!pattern) {
+    return [];
+  }
+  switch (pattern.type) {
+  case 'Identifier':
+    return [pattern];
+  case 'ObjectPattern':
+    return pattern.properties.flatMap(property => patternIdentifiers(property.type === 'RestElement' ? property.argument : property.value));
+  case 'ArrayPattern':
+    return pattern.elements.flatMap(patternIdentifiers);
+  case 'AssignmentPattern':
+    return patternIdentifiers(pattern.left);
+  case 'RestElement':
+    return patternIdentifiers(pattern.argument);
+  default:
+    return [];
+  }
+}
+
+/**
+ * Whether an identifier only names a property, label or export rather than
+ * referring to a binding
+ */
+function isNameOnly (node, parent) {
+  switch (parent.type) {
+  case 'MemberExpression':
+    return parent.property === node && !parent.computed;
+  case 'Property':
+    return parent.key === node && !parent.computed;
+  case 'MethodDefinition':
+  case 'PropertyDefinition':
+    return parent.key === node && !parent.computed;
+  case 'LabeledStatement':
+  case 'BreakStatement':
+  case 'ContinueStatement':
+    return true;
+  case 'ExportSpecifier':
+    return parent.exported === node;
+  case 'ImportSpecifier':
+  case 'MetaProperty':
+    return true;
+  default:
+    return false;
+  }
+}
+
+/**
+ * Nearest enclosing scope: the innermost function or program, or for
+ * block-scoped declarations the innermost block. A function body shares
+ * the scope of its parameters.
+ */
+function scopeOf (ancestors, blockScoped) {
+  for (let index = ancestors.length - 1; index >= 0; index--) {
+    const node = ancestors[index];
+    if (isFunction(node) || node.type === 'Program') {
+      return node;
+    }
+    if (blockScoped && (BLOCK_SCOPES.has(node.type) || node.type === 'CatchClause') &&
+      !(node.type === 'BlockStatement' && isFunction(ancestors[index - 1]))) {
+      return node;
+    }
+  }
+  return ancestors[0];
+}
+
+/**
+ * Visit every node with its ancestors, outermost first
+ */
+function visitWithAncestors (node, callback, ancestors = []) {
+  callback(node, ancestors);
+  ancestors.push(node);
+  for (const child of childNodes(node)) {
+    visitWithAncestors(child, callback, ancestors);
+  }
+  ancestors.pop();
+}
+
+/**
+ * Declarations of a program and how often each is referenced
+ * @param {Object} program - ESTree Program
+ * @returns {?Array<{name: string, kind: string, id: Object, declaration: Object, exported: boolean, references: number}>}
+ *   Null when the program uses eval or `with`
+ */
+function analyzeScopes (program) {
+  if (analyzed.has(program)) {
+    return analyzed.get(program);
+  }
+
+  const scopes = new Map();
+  const declared = new Set();
+  const bindings = [];
+  let dynamic = false;
+
+  const declare = (scope, id, kind, declaration, exported = false) => {
+    const binding = { name: id.name, kind, id, declaration, exported, references: 0 };
+    if (!scopes.has(scope)) {
+      scopes.set(scope, new Map());
+    }
+    scopes.get(scope).set(id.name, binding);
+    declared.add(id);
+    bindings.push(binding);
+  };
+
+  visitWithAncestors(program, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    const exported = Boolean(parent) && EXPORTS.has(parent.type);
+
+    if (node.type === 'WithStatement' || (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval')) {
+      dynamic = true;
+    }
+    if (node.type === 'VariableDeclaration') {
+      const scope = scopeOf(ancestors, node.kind !== 'var');
+      for (const declarator of node.declarations) {
+        for (const id of patternIdentifiers(declarator.id)) {
+          declare(scope, id, 'variable', declarator, exported);
+        }
+      }
+    }
+    if (isFunction(node)) {
+      if (node.id && node.type === 'FunctionDeclaration') {
+        declare(scopeOf(ancestors, true), node.id, 'function', node, exported);
+      } else if (node.id) {
+        declare(node, node.id, 'function', node);
+      }
+      for (const id of node.params.flatMap(patternIdentifiers)) {
+        declare(node, id, 'parameter', node);
+      }
+    }
+    if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.id) {
+      declare(node.type === 'ClassDeclaration' ? scopeOf(ancestors, true) : node, node.id, 'class', node, exported);
+    }
+    if (node.type === 'CatchClause') {
+      for (const id of patternIdentifiers(node.param)) {
+        declare(node, id, 'parameter', node);
+      }
+    }
+    if (['ImportSpecifier', 'ImportDefaultSpecifier', 'ImportNamespaceSpecifier'].includes(node.type)) {
+      declare(program, node.local, 'import', parent);
+    }
+  });
+
+  if (dynamic) {
+    analyzed.set(program, null);
+    return null;
+  }
+
+  const resolve = (name, ancestors) => {
+    for (let index = ancestors.length - 1; index >= 0; index--) {
+      const scope = scopes.get(ancestors[index]);
+      if (scope && scope.has(name)) {
+        return scope.get(name);
+      }
+    }
+    return null;
+  };
+
+  visitWithAncestors(program, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    let name = null;
+
+    if (node.type === 'Identifier' && !declared.has(node) && !(parent && isNameOnly(node, parent))) {
+      name = node.name;
+    }
+    // <Form /> and <ui.Form /> refer to bindings; lowercase tags are HTML elements
+    if (node.type === 'JSXIdentifier' && parent && ((parent.type === 'JSXMemberExpression' && parent.object === node) ||
+      (/^[A-Z]/.test(node.name) && ['JSXOpeningElement', 'JSXClosingElement'].includes(parent.type)))) {
+      name = node.name;
+    }
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+      const react = resolve('React', ancestors);
+      if (react) {
+        react.references++;
+      }
+    }
+
+    if (name) {
+      // Declarations are visible inside the node that declares them, e.g. a named function expression
+      const binding = resolve(name, [...ancestors, node]);
+      if (binding) {
+        binding.references++;
+      }
+    }
+  });
+
+  analyzed.set(program, bindings);
+  return bindings;
+}
+
+module.exports = {
+  analyzeScopes
+};
@@ -0,0 +1,124 @@
+/**
+ * Shared Scoring Model
+ * Turns findings into a 0-100 score the same way for every analyzer, and
+ * records a breakdown of each deduction and bonus so reports can explain it
+ */
+
+const { SEVERITIES } = require('./finding');
+
+const MAX_SCORE = 100;
+
+/**
+ * Lines that hold code or comments; blank lines don't count toward code size
+ * @param {string} content
+ * @returns {number}
+ */
+function countCodeLines (content) {
+  return content.split('\n').filter(line => line.trim()).length;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Points deducted for one group of findings, per severity
+ * @param {{label: string, items: Object[], weights: Object<string, number>}} group
+ */
+function deductionsFor ({ label, items, weights }) {
+  return SEVERITIES
+    .map(severity => {
+      const count = items.filter(item => item.severity === severity).length;
+      const weight = weights[severity] || 0;
+      return { label, severity, count, weight, points: count * weight };
+    })
+    .filter(deduction => deduction.count > 0);
+}
+
+/**
+ * Scale factor applied to deductions, so they measure findings per
+ * `referenceLines` lines of code rather than the raw count. Code bases smaller
+ * than the reference size are scored on raw counts.
+ */
+function normalizationFor (linesOfCode, normalization) {
+  if (!normalization || !normalization.enabled || typeof linesOfCode !== 'number') {
+    return null;
+  }
+
+  const { referenceLines } = normalization;
+  return { linesOfCode, referenceLines, factor: Math.min(1, referenceLines / Math.max(linesOfCode, 1)) };
+}
+
+/**
+ * Score findings and explain the result
+ * @param {Object} options
+ * @param {Array<{label: string, items: Object[], weights: Object<string, number>}>} options.deductions -
+ *   Findings to deduct, with the points each severity costs
+ * @param {Array<{label: string, percentage: number, weight: number}>} [options.rates] - Deductions per percent
+ *   of the code, e.g. duplicated lines. They already scale with code size, so they are not normalized.
+ * @param {{label: string, count: number, perItem: number, max: number}} [options.bonus] - Capped bonus points
+ * @param {number} [options.linesOfCode] - Size of the analyzed code
+ * @param {{enabled: boolean, referenceLines: number}} [options.normalization]
+ * @returns {{score: number, breakdown: Object}}
+ */
+function calculateScore ({ deductions = [], rates = [], bonus, linesOfCode, normalization } = {}) {
+  const rows = deductions.flatMap(deductionsFor);
+  const penalty = rows.reduce((sum, row) => sum + row.points, 0);
+  const scaled = normalizationFor(linesOfCode, normalization);
+  const adjustedPenalty = round(scaled ? penalty * scaled.factor : penalty);
+  const rateRows = rates
+    .map(rate => ({ ...rate, points: round(rate.percentage * rate.weight) }))
+    .filter(rate => rate.points > 0);
+  const ratePenalty = rateRows.reduce((sum, rate) => sum + rate.points, 0);
+  const bonusPoints = bonus ? Math.min(bonus.count * bonus.perItem, bonus.max) : 0;
+  const score = Math.max(0, Math.min(MAX_SCORE, Math.round(MAX_SCORE - adjustedPenalty - ratePenalty + bonusPoints)));
+
+  return {
+    score,
+    breakdown: {
+      base: MAX_SCORE,
+      deductions: rows,
+      penalty,
+      normalization: scaled && { ...scaled, factor: Math.round(scaled.factor * 1000) / 1000 },
+      adjustedPenalty,
+      rates: rateRows,
+      bonus: bonus ? { ...bonus, points: bonusPoints } : null,
+      score
+    }
+  };
+}
+
+/**
+ * Human-readable lines describing how a score was computed
+ * @param {Object} breakdown - As returned by calculateScore
+ * @returns {string[]}
+ */
+function explainScore (breakdown) {
+  const lines = [`Start from ${breakdown.base}`];
+
+  for (const row of breakdown.deductions) {
+    lines.push(`-${row.points}: ${row.count} ${row.severity} ${row.label} × ${row.weight}`);
+  }
+
+  const { normalization } = breakdown;
+  if (normalization && normalization.factor < 1) {
+    lines.push(`Deductions of ${breakdown.penalty} scaled to ${breakdown.adjustedPenalty} ` +
+      `for ${normalization.linesOfCode} lines of code (per ${normalization.referenceLines} lines, ×${normalization.factor})`);
+  }
+
+  for (const rate of breakdown.rates || []) {
+    lines.push(`-${rate.points}: ${rate.percentage}% ${rate.label} × ${rate.weight}`);
+  }
+
+  if (breakdown.bonus && breakdown.bonus.points > 0) {
+    const { label, count, perItem, max, points } = breakdown.bonus;
+    lines.push(`+${points}: ${count} ${label} × ${perItem}${count * perItem > max ? ` (capped at ${max})` : ''}`);
+  }
+
+  lines.push(`Score: ${breakdown.score}/${breakdown.base}`);
+  return lines;
+}
+
+module.exports = {
+  calculateScore,
+  countCodeLines,
+  explainScore
+};
@@ -0,0 +1,155 @@
+/**
+ * Inline Suppressions
+ * Parses sdlc-disable comments and splits rule engine matches into active and
+ * suppressed findings, flagging directives that suppressed nothing
+ *
+ *   // sdlc-disable-next-line no-inner-html -- sanitized by DOMPurify
+ *   eval(code); // sdlc-disable-line no-eval -- trusted build-time input
+ *   // sdlc-disable insecure-random -- seeds a demo animation only
+ *   ...
+ *   // sdlc-enable insecure-random
+ *
+ * A `sdlc-disable` without a matching `sdlc-enable` runs to the end of the
+ * file, so one at the top disables rules for the whole file. Omitting the rule
+ * ids applies a directive to every rule.
+ */
+
+const chalk = require('chalk');
+const { formatLocation } = require('./finding');
+
+const DIRECTIVE_PATTERN = /^\s*(sdlc-disable-next-line|sdlc-disable-line|sdlc-disable|sdlc-enable)(?=\s|$)([\s\S]*)$/;
+const ALL_RULES = '*';
+
+/**
+ * Extract directives from parsed comments
+ * @param {Object[]} comments - ESTree comments with loc
+ * @returns {Object[]} Directives: { kind, ruleIds (null for all rules), reason, line, column, endLine }
+ */
+function parseDirectives (comments) {
+  const directives = [];
+
+  for (const comment of comments) {
+    const match = comment.value.match(DIRECTIVE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [rules, ...reason] = match[2].split(/\s--\s|\s--$/);
+    const ruleIds = rules.split(/[\s,]+/).filter(Boolean);
+
+    directives.push({
+      kind: match[1],
+      ruleIds: ruleIds.length > 0 ? ruleIds : null,
+      reason: reason.join(' -- ').trim() || null,
+      line: comment.loc.start.line,
+      column: comment.loc.start.column + 1,
+      endLine: comment.loc.end.line
+    });
+  }
+
+  return directives;
+}
+
+const before = (a, b) => a.line < b.line || (a.line === b.line && a.column <= b.column);
+
+/**
+ * Turn directives into suppression ranges, one per rule id
+ */
+function buildRanges (directives) {
+  const ranges = [];
+  const open = new Map();
+
+  for (const directive of directives) {
+    const ruleIds = directive.ruleIds || [ALL_RULES];
+
+    if (directive.kind === 'sdlc-disable-next-line' || directive.kind === 'sdlc-disable-line') {
+      const line = directive.kind === 'sdlc-disable-line' ? directive.line : directive.endLine + 1;
+      for (const ruleId of ruleIds) {
+        ranges.push({ directive, ruleId, start: { line, column: 0 }, end: { line, column: Infinity } });
+      }
+    } else if (directive.kind === 'sdlc-disable') {
+      for (const ruleId of ruleIds) {
+        if (!open.has(ruleId)) {
+          const range = { directive, ruleId, start: { line: directive.line, column: directive.column }, end: null };
+          open.set(ruleId, range);
+          ranges.push(range);
+        }
+      }
+    } else {
+      for (const ruleId of directive.ruleIds || [...open.keys()]) {
+        if (open.has(ruleId)) {
+          open.get(ruleId).end = { line: directive.line, column: directive.column };
+          open.delete(ruleId);
+        }
+      }
+    }
+  }
+
+  return ranges;
+}
+
+function covers (range, match) {
+  return (range.ruleId === ALL_RULES || range.ruleId === match.ruleId) &&
+    before(range.start, match) &&
+    (!range.end || before(match, range.end));
+}
+
+/**
+ * Split matches into active and suppressed findings
+ * @param {Object[]} matches - Rule engine matches for one source chunk
+ * @param {Object[]} directives - Directives from parseDirectives
+ * @param {Set<string>} knownRuleIds - Rules registered in the engine; directives
+ *   naming other rules belong to another scanner and are never flagged as unused
+ * @returns {{findings: Object[], suppressed: Object[], unused: Object[]}}
+ */
+function applySuppressions (matches, directives, knownRuleIds) {
+  const ranges = buildRanges(directives);
+  const used = new Set();
+  const findings = [];
+  const suppressed = [];
+
+  for (const match of matches) {
+    const range = ranges.find(candidate => covers(candidate, match));
+    if (!range) {
+      findings.push(match);
+      continue;
+    }
+
+    used.add(range);
+    suppressed.push({
+      ...match,
+      suppression: { kind: range.directive.kind, reason: range.directive.reason, line: range.directive.line }
+    });
+  }
+
+  const unused = ranges
+    .filter(range => !used.has(range) && range.ruleId !== ALL_RULES && knownRuleIds.has(range.ruleId))
+    .map(({ directive, ruleId }) => ({
+      ruleId,
+      kind: directive.kind,
+      reason: directive.reason,
+      line: directive.line,
+      column: directive.column,
+      message: `Unused ${directive.kind} directive: no ${ruleId} finding to suppress`
+    }));
+
+  return { findings, suppressed, unused };
+}
+
+/**
+ * Print the suppression summary at the end of a scan
+ */
+function logSuppressions (suppressed, unusedSuppressions) {
+  if (suppressed.length > 0) {
+    console.log(chalk.gray(`🔕 ${suppressed.length} findings suppressed inline`));
+  }
+  for (const directive of unusedSuppressions) {
+    console.log(chalk.yellow(`⚠️  ${formatLocation(directive)} ${directive.message}`));
+  }
+}
+
+module.exports = {
+  applySuppressions,
+  logSuppressions,
+  parseDirectives
+};
@@ -0,0 +1,223 @@
+/**
+ * Watch Mode
+ * Keeps the review, style and security analyzers loaded and re-checks files
+ * as they are saved, printing only the findings that appeared or went away
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { formatLocation, toSchemaFinding } = require('./finding');
+const AICodeReviewer = require('../ai-code-review');
+const SecurityVulnerabilityScanner = require('../security-vulnerability-check');
+const CodeStyleReviewer = require('../code-style-review');
+
+const DEBOUNCE_MS = 100;
+
+// Per-file entry points of each watched analyzer, and where it collects findings
+const WATCHED_TOOLS = {
+  review: {
+    Analyzer: AICodeReviewer,
+    find: (analyzer, target) => analyzer.findFilesToReview(target),
+    analyze: (analyzer, file) => analyzer.analyzeFile(file),
+    results: analyzer => analyzer.reviewResults,
+    findings: 'issues'
+  },
+  security: {
+    Analyzer: SecurityVulnerabilityScanner,
+    find: (analyzer, target) => analyzer.findFilesToScan(target),
+    analyze: (analyzer, file) => analyzer.scanFile(file),
+    results: analyzer => analyzer.results,
+    findings: 'vulnerabilities'
+  },
+  style: {
+    Analyzer: CodeStyleReviewer,
+    find: (analyzer, target) => analyzer.findFilesToReview(target),
+    analyze: (analyzer, file) => analyzer.reviewFile(file),
+    results: analyzer => analyzer.results,
+    findings: 'violations'
+  }
+};
+
+/**
+ * Findings of `current` missing from `other`, matched one-to-one by fingerprint
+ */
+function unmatched (current, other) {
+  const remaining = new Map();
+  for (const finding of other) {
+    remaining.set(finding.fingerprint, (remaining.get(finding.fingerprint) || 0) + 1);
+  }
+
+  return current.filter(finding => {
+    const count = remaining.get(finding.fingerprint) || 0;
+    remaining.set(finding.fingerprint, count - 1);
+    return count === 0;
+  });
+}
+
+/**
+ * Run fn with analyzer progress logs silenced; warnings still get through
+ */
+async function quietly (fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+class Watcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Resolved SDLC config
+   * @param {string} [options.path='.'] - Directory to watch
+   * @param {string} [options.outputDir='.'] - Directory holding the analysis cache
+   * @param {boolean} [options.cache=true] - Reuse and update the analysis cache
+   */
+  constructor (options) {
+    this.targetPath = options.path || '.';
+    // Watch mode only diffs findings, so model suggestions would cost a request per save for nothing
+    this.analyzers = Object.fromEntries(Object.entries(WATCHED_TOOLS).map(([tool, { Analyzer }]) =>
+      [tool, new Analyzer({ config: options.config, outputDir: options.outputDir, cache: options.cache, llm: false })]));
+
+    // file -> tool -> common-schema findings from the last check
+    this.findings = new Map();
+    this.watchers = [];
+    this.timers = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Analyze the whole tree once so later saves can be compared against it
+   * @returns {Promise<{files: number, findings: number}>}
+   */
+  async start () {
+    const files = new Set();
+    for (const [tool, spec] of Object.entries(WATCHED_TOOLS)) {
+      spec.find(this.analyzers[tool], this.targetPath).forEach(file => files.add(file));
+    }
+
+    let total = 0;
+    for (const file of [...files].sort()) {
+      const byTool = await this.analyze(file);
+      total += Object.values(byTool).flat().length;
+      this.findings.set(file, byTool);
+    }
+
+    return { files: files.size, findings: total };
+  }
+
+  /**
+   * Findings of every watched tool for one file
+   * @returns {Promise<Object<string, Object[]>>} tool -> common-schema findings
+   */
+  async analyze (file) {
+    const byTool = {};
+
+    for (const [tool, spec] of Object.entries(WATCHED_TOOLS)) {
+      const analyzer = this.analyzers[tool];
+      if (!fs.existsSync(file) || spec.find(analyzer, file).length === 0) {
+        continue;
+      }
+
+      const results = spec.results(analyzer);
+      await quietly(() => spec.analyze(analyzer, file));
+      byTool[tool] = results[spec.findings].map(finding => toSchemaFinding(finding, tool));
+
+      // Watch sessions are long; only the last check of each file is kept
+      for (const value of Object.values(results)) {
+        if (Array.isArray(value)) {
+          value.length = 0;
+        }
+      }
+    }
+
+    return byTool;
+  }
+
+  /**
+   * Re-analyze a file and compare with its previous findings
+   * @returns {Promise<{file: string, added: Object[], fixed: Object[], total: number}>}
+   */
+  async check (file) {
+    const previous = this.findings.get(file) || {};
+    const current = await this.analyze(file);
+    const tools = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    const delta = { file: path.relative(process.cwd(), file), added: [], fixed: [], total: 0 };
+
+    for (const tool of tools) {
+      delta.added.push(...unmatched(current[tool] || [], previous[tool] || []));
+      delta.fixed.push(...unmatched(previous[tool] || [], current[tool] || []));
+      delta.total += (current[tool] || []).length;
+    }
+
+    if (Object.keys(current).length > 0) {
+      this.findings.set(file, current);
+    } else {
+      this.findings.delete(file);
+    }
+    return delta;
+  }
+
+  /**
+   * Watch the directories of the analyzed files; new directories need a restart
+   */
+  watch () {
+    const dirs = new Set([this.targetPath, ...[...this.findings.keys()].map(file => path.dirname(file))]);
+
+    for (const dir of dirs) {
+      this.watchers.push(fs.watch(dir, (event, filename) => {
+        if (filename) {
+          this.schedule(path.join(dir, filename.toString()));
+        }
+      }));
+    }
+  }
+
+  /**
+   * Editors write files in several steps, so wait for them to settle
+   */
+  schedule (file) {
+    clearTimeout(this.timers.get(file));
+    this.timers.set(file, setTimeout(() => {
+      this.timers.delete(file);
+      this.queue = this.queue
+        .then(() => this.report(file))
+        .catch(error => console.warn(chalk.yellow(`⚠️  Could not check ${file}: ${error.message}`)));
+    }, DEBOUNCE_MS));
+  }
+
+  async report (file) {
+    const known = this.findings.has(file);
+    const delta = await this.check(file);
+    if (!known && delta.total === 0 && delta.fixed.length === 0) {
+      return;
+    }
+
+    if (delta.added.length === 0 && delta.fixed.length === 0) {
+      console.log(chalk.gray(`🔁 ${delta.file}: no new or fixed findings (${delta.total} total)`));
+      return;
+    }
+
+    console.log(chalk.blue(`🔁 ${delta.file}: ${delta.added.length} new, ${delta.fixed.length} fixed (${delta.total} total)`));
+    const line = finding => `${finding.severity.padEnd(8)} ${finding.tool}/${finding.ruleId}  ${formatLocation(finding.location)}  ${finding.message}`;
+    delta.added.forEach(finding => console.log(chalk.red(`  + ${line(finding)}`)));
+    delta.fixed.forEach(finding => console.log(chalk.green(`  - ${line(finding)}`)));
+  }
+
+  /**
+   * Stop watching and persist the analysis cache
+   */
+  async close () {
+    this.watchers.forEach(watcher => watcher.close());
+    this.timers.forEach(timer => clearTimeout(timer));
+    await this.queue;
+    Object.values(this.analyzers).forEach(analyzer => analyzer.cache.save());
+  }
+}
+
+module.exports = {
+  Watcher
+};
@@ -0,0 +1,123 @@
+/**
+ * Worker Pool
+ * Runs tasks on a fixed number of worker threads, returning outcomes in task
+ * order and replacing any worker that exceeds the per-task timeout
+ */
+
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Number of workers for a --concurrency value: a positive integer, or auto for one per CPU
+ * @returns {number|null} null when the value is invalid
+ */
+function resolveConcurrency (value) {
+  if (value === 'auto') {
+    return os.cpus().length;
+  }
+
+  const concurrency = Number(value);
+  return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : null;
+}
+
+/**
+ * Post each task to a worker script and collect the replies
+ *
+ * Workers receive one task per message and must reply with `{ value }` or
+ * `{ error }`. A worker still busy after `timeout` milliseconds is terminated,
+ * its task settles as `{ error, timedOut: true }` and a fresh worker takes over.
+ * A worker that crashes or exits mid-task settles that task with `{ error }`.
+ *
+ * @param {string} script - Worker module path
+ * @param {Array} tasks - Structured-cloneable task payloads
+ * @param {Object} [options]
+ * @param {number} [options.size=1] - Number of worker threads
+ * @param {number} [options.timeout] - Milliseconds a single task may take
+ * @param {*} [options.workerData] - Passed to every worker on startup
+ * @returns {Promise<Array<{value: *}|{error: string, timedOut?: boolean}>>} One outcome per task, in task order
+ */
+function runInWorkers (script, tasks, { size = 1, timeout = DEFAULT_TIMEOUT, workerData } = {}) {
+  const outcomes = new Array(tasks.length);
+  let next = 0;
+  let settled = 0;
+
+  return new Promise(resolve => {
+    if (tasks.length === 0) {
+      resolve(outcomes);
+      return;
+    }
+
+    const spawn = () => {
+      const worker = new Worker(script, { workerData });
+      let current = null;
+      let timer = null;
+
+      const settle = (outcome) => {
+        clearTimeout(timer);
+        outcomes[current] = outcome;
+        current = null;
+        settled++;
+        if (settled === tasks.length) {
+          resolve(outcomes);
+        }
+      };
+
+      const replace = () => {
+        worker.removeAllListeners();
+        worker.terminate();
+        if (next < tasks.length) {
+          spawn();
+        }
+      };
+
+      const dispatch = () => {
+        if (next >= tasks.length) {
+          worker.terminate();
+          return;
+        }
+
+        current = next++;
+        timer = setTimeout(() => {
+          settle({ error: `timed out after ${timeout}ms`, timedOut: true });
+          replace();
+        }, timeout);
+        worker.postMessage(tasks[current]);
+      };
+
+      worker.on('message', (outcome) => {
+        settle(outcome);
+        dispatch();
+      });
+      worker.on('error', (error) => {
+        if (current !== null) {
+          settle({ error: error.message });
+        }
+        replace();
+      });
+      // A worker that exits on its own, e.g. through process.exit, takes its task with it
+      worker.on('exit', (code) => {
+        if (current !== null) {
+          settle({ error: `worker exited with code ${code}` });
+        }
+        worker.removeAllListeners();
+        if (next < tasks.length) {
+          spawn();
+        }
+      });
+
+      dispatch();
+    };
+
+    for (let i = 0; i < Math.min(size, tasks.length); i++) {
+      spawn();
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  resolveConcurrency,
+  runInWorkers
+};
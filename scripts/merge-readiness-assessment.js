@@ -6,13 +6,22 @@
  */
 
 const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const ResultsAggregator = require('./aggregate-results');
+const { exitWithError, exitWithGate } = require('./lib/gate');
+const { calculateScore } = require('./lib/scoring');
 
 class MergeReadinessAssessor {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).merge;
+    this.outputDir = options.outputDir || '.';
+
     this.assessment = {
       ready: false,
       score: 0,
+      scoreBreakdown: null,
       blockers: [],
       warnings: [],
       checks: {}
@@ -50,13 +59,14 @@ class MergeReadinessAssessor {
 
   async checkTestResults () {
     const testResults = this.readTestResults();
+    const { thresholds, maxTestAgeHours } = this.config;
 
     const checks = {
       allTestsPassing: testResults.successRate === 100,
-      sufficientCoverage: testResults.coverage >= 80,
+      sufficientCoverage: testResults.coverage >= thresholds.coverage,
       noSkippedTests: testResults.skippedTests === 0,
       recentTests: testResults.lastRun &&
-                  (Date.now() - new Date(testResults.lastRun).getTime()) < 24 * 60 * 60 * 1000
+                  (Date.now() - new Date(testResults.lastRun).getTime()) < maxTestAgeHours * 60 * 60 * 1000
     };
 
     if (!checks.allTestsPassing) {
@@ -92,7 +102,7 @@ class MergeReadinessAssessor {
     const checks = {
       noCriticalIssues: codeQuality.criticalIssues === 0,
       noHighIssues: codeQuality.highIssues === 0,
-      acceptableStyleScore: codeQuality.styleScore >= 70,
+      acceptableStyleScore: codeQuality.styleScore >= this.config.thresholds.styleScore,
       noLintErrors: codeQuality.lintErrors === 0
     };
 
@@ -129,7 +139,7 @@ class MergeReadinessAssessor {
     const checks = {
       noCriticalVulns: security.criticalVulnerabilities === 0,
       noHighVulns: security.highVulnerabilities === 0,
-      securityScore: security.securityScore >= 80,
+      securityScore: security.securityScore >= this.config.thresholds.securityScore,
       dependenciesSecure: security.dependencyIssues === 0
     };
 
@@ -165,7 +175,7 @@ class MergeReadinessAssessor {
 
     const checks = {
       noCriticalPerfIssues: performance.criticalIssues === 0,
-      performanceScore: performance.performanceScore >= 70,
+      performanceScore: performance.performanceScore >= this.config.thresholds.performanceScore,
       noRegressions: performance.regressions === 0
     };
 
@@ -264,8 +274,9 @@ class MergeReadinessAssessor {
 
   readTestResults () {
     try {
-      if (fs.existsSync('test-analysis-report.json')) {
-        const report = JSON.parse(fs.readFileSync('test-analysis-report.json', 'utf8'));
+      const reportPath = path.join(this.outputDir, 'test-analysis-report.json');
+      if (fs.existsSync(reportPath)) {
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
         return {
           successRate: report.summary?.successRate || 0,
           coverage: report.summary?.overallCoverage || 0,
@@ -287,19 +298,29 @@ class MergeReadinessAssessor {
     };
   }
 
+  /**
+   * Normalized per-tool results, read once from the analyzer reports
+   */
+  readAggregatedResults () {
+    if (!this.aggregatedResults) {
+      this.aggregatedResults = new ResultsAggregator({ outputDir: this.outputDir }).buildDocument();
+    }
+    return this.aggregatedResults;
+  }
+
+  readToolResults (tool) {
+    return this.readAggregatedResults().tools[tool] || null;
+  }
+
   readCodeQualityResults () {
-    try {
-      if (fs.existsSync('code-style-review-results.json')) {
-        const report = JSON.parse(fs.readFileSync('code-style-review-results.json', 'utf8'));
-        return {
-          criticalIssues: report.violationsBySeverity?.high?.length || 0,
-          highIssues: report.violationsBySeverity?.medium?.length || 0,
-          styleScore: report.score || 0,
-          lintErrors: 0 // Assuming lint fixes have been applied
-        };
-      }
-    } catch (error) {
-      // Use defaults if file can't be read
+    const style = this.readToolResults('style');
+    if (style) {
+      return {
+        criticalIssues: style.findingsBySeverity.critical,
+        highIssues: style.findingsBySeverity.high,
+        styleScore: style.score || 0,
+        lintErrors: 0 // Assuming lint fixes have been applied
+      };
     }
 
     return {
@@ -311,18 +332,14 @@ class MergeReadinessAssessor {
   }
 
   readSecurityResults () {
-    try {
-      if (fs.existsSync('security-scan-results.json')) {
-        const report = JSON.parse(fs.readFileSync('security-scan-results.json', 'utf8'));
-        return {
-          criticalVulnerabilities: report.vulnerabilitiesBySeverity?.critical?.length || 0,
-          highVulnerabilities: report.vulnerabilitiesBySeverity?.high?.length || 0,
-          securityScore: report.score || 0,
-          dependencyIssues: 0 // Assuming dependency issues are handled separately
-        };
-      }
-    } catch (error) {
-      // Use defaults if file can't be read
+    const security = this.readToolResults('security');
+    if (security) {
+      return {
+        criticalVulnerabilities: security.findingsBySeverity.critical,
+        highVulnerabilities: security.findingsBySeverity.high,
+        securityScore: security.score || 0,
+        dependencyIssues: 0 // Assuming dependency issues are handled separately
+      };
     }
 
     return {
@@ -334,17 +351,13 @@ class MergeReadinessAssessor {
   }
 
   readPerformanceResults () {
-    try {
-      if (fs.existsSync('performance-analysis-results.json')) {
-        const report = JSON.parse(fs.readFileSync('performance-analysis-results.json', 'utf8'));
-        return {
-          criticalIssues: report.issuesBySeverity?.critical?.length || 0,
-          performanceScore: report.score || 0,
-          regressions: 0 // Would need baseline comparison
-        };
-      }
-    } catch (error) {
-      // Use defaults if file can't be read
+    const performance = this.readToolResults('performance');
+    if (performance) {
+      return {
+        criticalIssues: performance.findingsBySeverity.critical,
+        performanceScore: performance.score || 0,
+        regressions: 0 // Would need baseline comparison
+      };
     }
 
     return {
@@ -371,7 +384,7 @@ class MergeReadinessAssessor {
     return {
       hasRequiredApprovals: false, // Assume not approved
       currentApprovals: 0,
-      requiredApprovals: 2,
+      requiredApprovals: this.config.requiredApprovals,
       requestedChanges: 0,
       unresolvedDiscussions: 0,
       ciStatus: 'passed' // Assume CI passed for testing
@@ -379,43 +392,28 @@ class MergeReadinessAssessor {
   }
 
   calculateReadiness () {
-    let score = 100;
-
-    // Subtract points for blockers
-    for (const blocker of this.assessment.blockers) {
-      switch (blocker.severity) {
-      case 'critical':
-        score -= 30;
-        break;
-      case 'high':
-        score -= 20;
-        break;
-      case 'medium':
-        score -= 10;
-        break;
-      case 'low':
-        score -= 5;
-        break;
-      }
-    }
+    const { blockerWeights, warningWeights, thresholds } = this.config;
+    const { score, breakdown } = calculateScore({
+      deductions: [
+        { label: 'blockers', items: this.assessment.blockers, weights: blockerWeights },
+        { label: 'warnings', items: this.assessment.warnings, weights: warningWeights }
+      ]
+    });
+
+    this.assessment.score = score;
+    this.assessment.scoreBreakdown = breakdown;
+    this.assessment.ready = this.assessment.blockers.length === 0 && this.assessment.score >= thresholds.readiness;
+  }
 
-    // Subtract points for warnings
-    for (const warning of this.assessment.warnings) {
-      switch (warning.severity) {
-      case 'high':
-        score -= 5;
-        break;
-      case 'medium':
-        score -= 3;
-        break;
-      case 'low':
-        score -= 1;
-        break;
-      }
+  /**
+   * Merge readiness as a quality gate result, listing what blocks the merge
+   */
+  gateResult () {
+    const failures = this.assessment.blockers.map(blocker => `merge: ${blocker.message} (${blocker.severity})`);
+    if (!this.assessment.ready && this.assessment.score < this.config.thresholds.readiness) {
+      failures.push(`merge: readiness score ${this.assessment.score}/100 is below the minimum of ${this.config.thresholds.readiness}`);
     }
-
-    this.assessment.score = Math.max(0, score);
-    this.assessment.ready = this.assessment.blockers.length === 0 && this.assessment.score >= 80;
+    return { passed: this.assessment.ready, failures };
   }
 
   generateReport () {
@@ -423,6 +421,7 @@ class MergeReadinessAssessor {
       timestamp: new Date().toISOString(),
       ready: this.assessment.ready,
       score: this.assessment.score,
+      scoreBreakdown: this.assessment.scoreBreakdown,
       blockers: this.assessment.blockers,
       warnings: this.assessment.warnings,
       checks: this.assessment.checks,
@@ -434,7 +433,7 @@ class MergeReadinessAssessor {
       }
     };
 
-    fs.writeFileSync('merge-readiness-results.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'merge-readiness-results.json'), JSON.stringify(report, null, 2));
   }
 
   getRecommendation () {
@@ -453,7 +452,9 @@ class MergeReadinessAssessor {
 // Run merge readiness assessor
 if (require.main === module) {
   const assessor = new MergeReadinessAssessor();
-  assessor.assess().catch(console.error);
+  assessor.assess()
+    .then(() => exitWithGate(assessor.gateResult()))
+    .catch(exitWithError);
 }
 
 module.exports = MergeReadinessAssessor;
@@ -8,12 +8,143 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { RuleEngine, walk } = require('./lib/rule-engine');
+const { registerRulePacks } = require('./lib/rule-packs');
+const detect = require('./lib/detectors');
+const { SCHEMA_VERSION, createFinding, toSchemaFinding } = require('./lib/finding');
+const { calculateScore, countCodeLines } = require('./lib/scoring');
+const { logSuppressions } = require('./lib/suppressions');
+const { BaselineMatcher } = require('./lib/baseline');
+const { DiffScope } = require('./lib/diff-scope');
+const { AnalysisCache, DEFAULT_CACHE_DIR } = require('./lib/analysis-cache');
+const { discoverFiles, logSkippedFiles } = require('./lib/file-discovery');
+const { evaluateGate, exitWithError, exitWithGate } = require('./lib/gate');
+
+// Comparisons a loop condition can re-read a length with, e.g. i < arr.length
+const LOOP_COMPARISONS = ['<', '<=', '>', '>=', '!==', '!='];
+
+// Array methods that change the length of the array they are called on
+const LENGTH_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice'];
+
+/**
+ * Whether a loop's body or update step changes the length of `object`: a
+ * mutating method call on it, or an assignment to it or to its length
+ */
+function changesLength (loop, object, sourceCode) {
+  const target = sourceCode.getText(object);
+  const isTarget = (node) => sourceCode.getText(node) === target;
+  const writesTarget = (node) => isTarget(node) || (detect.isMember(node, null, 'length') && isTarget(node.object));
+
+  let changed = false;
+  const visitors = {
+    CallExpression: [(node) => {
+      const callee = detect.unwrap(node.callee);
+      changed = changed || (LENGTH_MUTATORS.some(method => detect.isMember(callee, null, method)) && isTarget(callee.object));
+    }],
+    AssignmentExpression: [(node) => { changed = changed || writesTarget(node.left); }],
+    UpdateExpression: [(node) => { changed = changed || writesTarget(node.argument); }]
+  };
+  for (const part of [loop.body, loop.update].filter(Boolean)) {
+    walk(part, visitors);
+  }
+  return changed;
+}
+
+/**
+ * Loop conditions that re-read .length on every iteration (i < arr.length),
+ * unless the loop changes that length so it can't be hoisted
+ */
+const uncachedLoopLength = (context) => {
+  const check = (loop) => {
+    const { test } = loop;
+    if (!test || test.type !== 'BinaryExpression' || !LOOP_COMPARISONS.includes(test.operator)) {
+      return;
+    }
+
+    const length = [test.left, test.right].find(side => detect.isMember(side, null, 'length'));
+    if (length && !changesLength(loop, length.object, context.sourceCode)) {
+      context.report({ node: test });
+    }
+  };
+  return { ForStatement: check, WhileStatement: check, DoWhileStatement: check };
+};
+
+/**
+ * setTimeout(fn) / setTimeout(fn, 0) used to defer work
+ */
+const zeroTimeout = (context) => ({
+  CallExpression (node) {
+    const delay = node.arguments[1];
+    if (detect.isCallTo(node, 'setTimeout') && node.arguments.length > 0 &&
+        (!delay || (delay.type === 'Literal' && Number(delay.value) === 0))) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * new Date().getTime() instead of Date.now()
+ */
+const dateGetTime = (context) => ({
+  CallExpression (node) {
+    const callee = detect.unwrap(node.callee);
+    if (detect.isMember(callee, null, 'getTime') && callee.object.type === 'NewExpression' &&
+        callee.object.callee.type === 'Identifier' && callee.object.callee.name === 'Date' &&
+        callee.object.arguments.length === 0) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Writes to element.style.property
+ */
+const inlineStyle = (context) => ({
+  AssignmentExpression (node) {
+    if (node.left.type === 'MemberExpression' && detect.isMember(node.left.object, null, 'style')) {
+      context.report({ node });
+    }
+  }
+});
+
+/**
+ * Math.floor(Math.random() * n)
+ */
+const randomInteger = (context) => ({
+  CallExpression (node) {
+    if (!detect.isMethodCall(node, 'Math', 'floor') || node.arguments.length === 0) {
+      return;
+    }
+
+    let usesRandom = false;
+    walk(node.arguments[0], {
+      CallExpression: [(inner) => { usesRandom = usesRandom || detect.isMethodCall(inner, 'Math', 'random'); }]
+    });
+    if (usesRandom) {
+      context.report({ node });
+    }
+  }
+});
 
 class PerformanceAnalyzer {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).performance;
+    this.outputDir = options.outputDir || '.';
+    this.baseline = new BaselineMatcher('performance', options.baseline);
+    this.scope = options.scope || new DiffScope();
+    this.concurrency = options.concurrency || 1;
+    this.fileTimeout = options.fileTimeout;
+
     this.results = {
       score: 0,
+      scoreBreakdown: null,
+      linesOfCode: 0,
       issues: [],
+      baselined: [],
+      suppressed: [],
+      unusedSuppressions: [],
+      skippedFiles: [],
       optimizations: [],
       metrics: [],
       summary: {}
@@ -21,39 +152,62 @@ class PerformanceAnalyzer {
 
     this.performancePatterns = {
       critical: [
-        { pattern: /for\s*\(\s*.*\s*in\s*.*\s*\)/, message: 'for...in loop on arrays - use for...of or Array methods' },
-        { pattern: /\.length\s*===\s*\d+/, message: 'Length comparison in loop condition - cache length first' },
-        { pattern: /innerHTML\s*\+=/, message: 'innerHTML concatenation - use DOM methods or fragments' },
-        { pattern: /document\.write\s*\(/, message: 'document.write() - blocks page rendering' }
+        { id: 'no-for-in', create: detect.nodeType('ForInStatement'), message: 'for...in loop on arrays - use for...of or Array methods' },
+        { id: 'uncached-loop-length', create: uncachedLoopLength, message: 'Length comparison in loop condition - cache length first' },
+        { id: 'inner-html-concat', create: detect.assignment('innerHTML', ['+=']), message: 'innerHTML concatenation - use DOM methods or fragments' },
+        { id: 'no-document-write', create: detect.methodCall('document', 'write'), message: 'document.write() - blocks page rendering' }
       ],
       high: [
-        { pattern: /setTimeout\s*\(\s*["']0["']/, message: 'setTimeout(0) - use requestAnimationFrame instead' },
-        { pattern: /setInterval\s*\(/, message: 'setInterval detected - ensure proper cleanup' },
-        { pattern: /\.\s*getElementById\s*\(/, message: 'Repeated DOM queries - cache references' },
-        { pattern: /new\s+Date\(\)\.getTime\(\)/, message: 'Date.now() is more efficient than new Date().getTime()' }
+        { id: 'zero-timeout', create: zeroTimeout, message: 'setTimeout(0) - use requestAnimationFrame instead' },
+        { id: 'no-set-interval', create: detect.call('setInterval'), message: 'setInterval detected - ensure proper cleanup' },
+        { id: 'dom-query', create: detect.methodCall(null, 'getElementById'), message: 'Repeated DOM queries - cache references' },
+        { id: 'date-get-time', create: dateGetTime, message: 'Date.now() is more efficient than new Date().getTime()' }
       ],
       medium: [
-        { pattern: /console\.log\s*\(/, message: 'console.log in production - remove or use conditional logging' },
-        { pattern: /\.\s*style\s*\./, message: 'Direct style manipulation - use CSS classes' },
-        { pattern: /Math\.floor\(Math\.random\(\)/, message: 'Math.random() for integers - use bitwise operations for better performance' }
+        { id: 'no-console-log', create: detect.methodCall('console', 'log'), message: 'console.log in production - remove or use conditional logging' },
+        { id: 'inline-style', create: inlineStyle, message: 'Direct style manipulation - use CSS classes' },
+        { id: 'random-integer', create: randomInteger, message: 'Math.random() for integers - use bitwise operations for better performance' }
       ]
     };
+
+    this.engine = new RuleEngine();
+    for (const [severity, rules] of Object.entries(this.performancePatterns)) {
+      this.engine.registerAll(rules, { severity });
+    }
+    const packFiles = registerRulePacks(this.engine, this.config.rulePacks);
+
+    this.cache = new AnalysisCache('performance', this.engine, {
+      enabled: options.cache,
+      cacheDir: path.join(this.outputDir, DEFAULT_CACHE_DIR),
+      sources: [__filename, ...packFiles]
+    });
   }
 
   async analyze (targetPath = '.') {
     console.log(chalk.blue('🚀 AI Performance Analysis Starting...'));
 
     try {
-      const files = this.findFiles(targetPath);
+      const candidates = this.findFiles(targetPath).filter(file => this.scope.includesFile(file));
+      const { files, timedOut } = await this.cache.prefetch(candidates, {
+        concurrency: this.concurrency,
+        timeout: this.fileTimeout,
+        analyzer: __filename,
+        config: this.config
+      });
+      this.results.skippedFiles.push(...timedOut);
 
       for (const file of files) {
         await this.analyzeFile(file);
       }
+      this.cache.save();
 
       this.calculateScore();
       this.generateReport();
 
       console.log(chalk.green('✅ Performance Analysis Complete!'));
+      logSuppressions(this.results.suppressed, this.results.unusedSuppressions);
+      logSkippedFiles(this.results.skippedFiles);
+      this.cache.logStats();
       return this.results;
     } catch (error) {
       console.error(chalk.red('❌ Error during performance analysis:'), error.message);
@@ -62,31 +216,9 @@ class PerformanceAnalyzer {
   }
 
   findFiles (targetPath) {
-    const files = [];
-    const extensions = ['.js', '.jsx', '.ts', '.tsx'];
-
-    const scanDir = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory() && !['node_modules', '.git', 'coverage', 'dist'].includes(item)) {
-            scanDir(fullPath);
-          } else {
-            const ext = path.extname(item);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
+    const { files, skipped } = discoverFiles(targetPath, this.config);
 
-    scanDir(targetPath);
+    this.results.skippedFiles = skipped;
     return files;
   }
 
@@ -105,37 +237,29 @@ class PerformanceAnalyzer {
       };
 
       // Check for performance issues
-      this.checkPerformancePatterns(content, fileAnalysis);
+      this.checkPerformancePatterns(content, filePath, fileAnalysis);
 
       this.results.issues.push(...fileAnalysis.issues);
       this.results.optimizations.push(...fileAnalysis.optimizations);
       this.results.metrics.push(fileAnalysis.metrics);
+      this.results.linesOfCode += countCodeLines(content);
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Could not analyze ${filePath}: ${error.message}`));
     }
   }
 
-  checkPerformancePatterns (content, fileAnalysis) {
-    const lines = content.split('\n');
+  checkPerformancePatterns (content, filePath, fileAnalysis) {
+    const { findings, suppressed, unusedSuppressions } = this.cache.check(content, filePath);
 
-    for (const [severity, patterns] of Object.entries(this.performancePatterns)) {
-      for (const { pattern, message } of patterns) {
-        const matches = content.match(new RegExp(pattern, 'g'));
-        if (matches) {
-          for (const match of matches) {
-            const index = content.indexOf(match);
-            const lineNumber = content.substring(0, index).split('\n').length;
-
-            fileAnalysis.issues.push({
-              severity,
-              message,
-              line: lineNumber,
-              code: match.trim()
-            });
-          }
-        }
-      }
+    const { fresh, known } = this.baseline.partition(fileAnalysis.file, findings.map(match =>
+      createFinding(match, { file: fileAnalysis.file })));
+    fileAnalysis.issues.push(...this.scope.filter(filePath, fresh));
+    this.results.baselined.push(...this.scope.filter(filePath, known));
+
+    for (const match of this.scope.filter(filePath, suppressed)) {
+      this.results.suppressed.push(createFinding(match, { file: fileAnalysis.file, suppression: match.suppression }));
     }
+    this.results.unusedSuppressions.push(...this.scope.filter(filePath, unusedSuppressions).map(directive => ({ file: fileAnalysis.file, ...directive })));
 
     // Generate optimization suggestions
     this.generateOptimizations(content, fileAnalysis);
@@ -194,48 +318,46 @@ class PerformanceAnalyzer {
   }
 
   calculateScore () {
-    let score = 100;
-
-    // Deduct points for performance issues
-    for (const issue of this.results.issues) {
-      switch (issue.severity) {
-      case 'critical':
-        score -= 15;
-        break;
-      case 'high':
-        score -= 8;
-        break;
-      case 'medium':
-        score -= 3;
-        break;
-      }
-    }
-
-    // Bonus points for optimizations
-    score += Math.min(this.results.optimizations.length * 2, 15);
-
-    this.results.score = Math.max(0, Math.min(100, score));
+    const { severityWeights, optimizationBonus, normalization } = this.config;
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'issues', items: this.results.issues, weights: severityWeights }],
+      bonus: { label: 'optimizations', count: this.results.optimizations.length, ...optimizationBonus },
+      linesOfCode: this.results.linesOfCode,
+      normalization
+    });
+
+    this.results.score = score;
+    this.results.scoreBreakdown = breakdown;
   }
 
   generateReport () {
     const report = {
+      schemaVersion: SCHEMA_VERSION,
+      tool: 'performance',
       timestamp: new Date().toISOString(),
       score: this.results.score,
+      scoreBreakdown: this.results.scoreBreakdown,
       totalIssues: this.results.issues.length,
       totalOptimizations: this.results.optimizations.length,
       issuesBySeverity: this.groupIssuesBySeverity(),
       metrics: this.calculateOverallMetrics(),
-      recommendations: this.generateRecommendations()
+      recommendations: this.generateRecommendations(),
+      rules: this.engine.describe(),
+      findings: this.results.issues.map(issue => toSchemaFinding(issue, 'performance')),
+      suppressed: this.results.suppressed.map(issue => toSchemaFinding(issue, 'performance')),
+      unusedSuppressions: this.results.unusedSuppressions,
+      baseline: this.baseline.summary(this.results.issues.length, this.results.baselined.length),
+      skippedFiles: this.results.skippedFiles
     };
 
-    fs.writeFileSync('performance-analysis-results.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'performance-analysis-results.json'), JSON.stringify(report, null, 2));
   }
 
   groupIssuesBySeverity () {
     const grouped = { critical: [], high: [], medium: [] };
 
     for (const issue of this.results.issues) {
-      grouped[issue.severity].push(issue);
+      (grouped[issue.severity] = grouped[issue.severity] || []).push(issue);
     }
 
     return grouped;
@@ -258,20 +380,21 @@ class PerformanceAnalyzer {
 
   generateRecommendations () {
     const recommendations = [];
+    const { thresholds } = this.config;
 
     if (this.results.issues.filter(i => i.severity === 'critical').length > 0) {
       recommendations.push('🚨 Address critical performance issues immediately - they impact user experience');
     }
 
-    if (this.results.metrics.reduce((sum, m) => sum + m.domQueries, 0) > 20) {
+    if (this.results.metrics.reduce((sum, m) => sum + m.domQueries, 0) > thresholds.domQueries) {
       recommendations.push('🔍 High DOM query count - consider caching references');
     }
 
-    if (this.results.metrics.reduce((sum, m) => sum + m.loops, 0) > 10) {
+    if (this.results.metrics.reduce((sum, m) => sum + m.loops, 0) > thresholds.loops) {
       recommendations.push('⚡ Optimize loops - consider using built-in methods or reducing iterations');
     }
 
-    if (this.results.score < 70) {
+    if (this.results.score < thresholds.score) {
       recommendations.push('📈 Overall performance score low - focus on critical and high-priority issues');
     }
 
@@ -283,7 +406,9 @@ class PerformanceAnalyzer {
 if (require.main === module) {
   const analyzer = new PerformanceAnalyzer();
   const targetPath = process.argv[2] || '.';
-  analyzer.analyze(targetPath).catch(console.error);
+  analyzer.analyze(targetPath)
+    .then(results => exitWithGate(evaluateGate('performance', { score: results.score, findings: results.issues }, analyzer.config.failOn)))
+    .catch(exitWithError);
 }
 
 module.exports = PerformanceAnalyzer;
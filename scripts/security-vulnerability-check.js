@@ -8,12 +8,54 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { loadConfig } = require('./lib/config');
+const { RuleEngine } = require('./lib/rule-engine');
+const { registerRulePacks } = require('./lib/rule-packs');
+const detect = require('./lib/detectors');
+const { SCHEMA_VERSION, createFinding, toSchemaFinding } = require('./lib/finding');
+const { calculateScore, countCodeLines } = require('./lib/scoring');
+const { logSuppressions } = require('./lib/suppressions');
+const { formatSarif } = require('./lib/formatters');
+const { BaselineMatcher } = require('./lib/baseline');
+const { DiffScope } = require('./lib/diff-scope');
+const { AnalysisCache, DEFAULT_CACHE_DIR } = require('./lib/analysis-cache');
+const { discoverFiles, logSkippedFiles } = require('./lib/file-discovery');
+const { evaluateGate, exitWithError, exitWithGate } = require('./lib/gate');
+
+/**
+ * setTimeout/setInterval called with a string of code instead of a function
+ */
+const stringTimer = (context) => ({
+  CallExpression (node) {
+    const [handler] = node.arguments;
+    const isTimer = detect.isCallTo(node, 'setTimeout') || detect.isCallTo(node, 'setInterval');
+    const isString = handler && ((handler.type === 'Literal' && typeof handler.value === 'string') ||
+      handler.type === 'TemplateLiteral');
+
+    if (isTimer && isString) {
+      context.report({ node });
+    }
+  }
+});
 
 class SecurityVulnerabilityScanner {
-  constructor () {
+  constructor (options = {}) {
+    this.config = (options.config || loadConfig()).security;
+    this.outputDir = options.outputDir || '.';
+    this.baseline = new BaselineMatcher('security', options.baseline);
+    this.scope = options.scope || new DiffScope();
+    this.concurrency = options.concurrency || 1;
+    this.fileTimeout = options.fileTimeout;
+
     this.results = {
       score: 0,
+      scoreBreakdown: null,
+      linesOfCode: 0,
       vulnerabilities: [],
+      baselined: [],
+      suppressed: [],
+      unusedSuppressions: [],
+      skippedFiles: [],
       recommendations: [],
       summary: {}
     };
@@ -21,39 +63,45 @@ class SecurityVulnerabilityScanner {
     this.securityPatterns = {
       critical: [
         {
-          pattern: /eval\s*\(/,
+          id: 'no-eval',
+          create: detect.call('eval'),
           message: 'Use of eval() allows arbitrary code execution',
           cwe: 'CWE-94',
           recommendation: 'Replace eval() with safer alternatives like JSON.parse() for JSON data'
         },
         {
-          pattern: /Function\s*\(/,
+          id: 'no-new-function',
+          create: detect.call('Function', { includeNew: true }),
           message: 'Function constructor allows arbitrary code execution',
           cwe: 'CWE-94',
           recommendation: 'Avoid Function constructor, use regular function declarations'
         },
         {
-          pattern: /setTimeout\s*\(\s*["'][^"']*["']/,
-          message: 'setTimeout with string argument allows code execution',
+          id: 'no-string-timer',
+          create: stringTimer,
+          message: 'setTimeout/setInterval with string argument allows code execution',
           cwe: 'CWE-94',
           recommendation: 'Use function references instead of string arguments'
         }
       ],
       high: [
         {
-          pattern: /innerHTML\s*=/,
+          id: 'no-inner-html',
+          create: detect.assignment('innerHTML', ['=', '+=']),
           message: 'innerHTML assignment vulnerable to XSS attacks',
           cwe: 'CWE-79',
           recommendation: 'Use textContent or sanitize HTML before assignment'
         },
         {
-          pattern: /document\.write\s*\(/,
+          id: 'no-document-write',
+          create: detect.methodCall('document', 'write'),
           message: 'document.write() vulnerable to XSS attacks',
           cwe: 'CWE-79',
           recommendation: 'Use DOM manipulation methods instead of document.write'
         },
         {
-          pattern: /outerHTML\s*=/,
+          id: 'no-outer-html',
+          create: detect.assignment('outerHTML', ['=', '+=']),
           message: 'outerHTML assignment vulnerable to XSS attacks',
           cwe: 'CWE-79',
           recommendation: 'Use DOM manipulation methods or sanitize HTML'
@@ -61,19 +109,22 @@ class SecurityVulnerabilityScanner {
       ],
       medium: [
         {
-          pattern: /Math\.random\(\)/,
+          id: 'insecure-random',
+          create: detect.methodCall('Math', 'random'),
           message: 'Math.random() is not cryptographically secure',
           cwe: 'CWE-338',
           recommendation: 'Use crypto.getRandomValues() for security-sensitive randomness'
         },
         {
-          pattern: /atob\s*\(/,
+          id: 'unvalidated-base64',
+          create: detect.call('atob'),
           message: 'Base64 decoding without validation',
           cwe: 'CWE-1287',
           recommendation: 'Validate and sanitize decoded base64 content'
         },
         {
-          pattern: /location\.hash\s*[^=]/,
+          id: 'unvalidated-location-hash',
+          create: detect.memberRead('location', 'hash'),
           message: 'Direct use of location.hash without validation',
           cwe: 'CWE-80',
           recommendation: 'Validate and sanitize URL fragments before use'
@@ -81,42 +132,69 @@ class SecurityVulnerabilityScanner {
       ],
       low: [
         {
-          pattern: /console\.log\s*\(/,
+          id: 'no-console-log',
+          create: detect.methodCall('console', 'log'),
           message: 'Console logs may expose sensitive information',
           cwe: 'CWE-200',
           recommendation: 'Remove console logs or use conditional logging for production'
         },
         {
-          pattern: /localStorage\.setItem/,
+          id: 'insecure-local-storage',
+          create: detect.methodCall('localStorage', 'setItem'),
           message: 'localStorage stores data without encryption',
           cwe: 'CWE-922',
           recommendation: 'Use secure storage for sensitive data or encrypt before storage'
         },
         {
-          pattern: /sessionStorage\.setItem/,
+          id: 'insecure-session-storage',
+          create: detect.methodCall('sessionStorage', 'setItem'),
           message: 'sessionStorage stores data without encryption',
           cwe: 'CWE-922',
           recommendation: 'Use secure storage for sensitive data or encrypt before storage'
         }
       ]
     };
+
+    this.engine = new RuleEngine();
+    for (const [severity, rules] of Object.entries(this.securityPatterns)) {
+      this.engine.registerAll(rules, { severity });
+    }
+    const packFiles = registerRulePacks(this.engine, this.config.rulePacks);
+
+    this.cache = new AnalysisCache('security', this.engine, {
+      enabled: options.cache,
+      cacheDir: path.join(this.outputDir, DEFAULT_CACHE_DIR),
+      sources: [__filename, ...packFiles]
+    });
   }
 
   async scan (targetPath = '.') {
     console.log(chalk.blue('🔒 AI Security Vulnerability Scan Starting...'));
+    this.startTime = new Date().toISOString();
 
     try {
-      const files = this.findFilesToScan(targetPath);
+      const candidates = this.findFilesToScan(targetPath).filter(file => this.scope.includesFile(file));
+      const { files, timedOut } = await this.cache.prefetch(candidates, {
+        concurrency: this.concurrency,
+        timeout: this.fileTimeout,
+        analyzer: __filename,
+        config: this.config
+      });
+      this.results.skippedFiles.push(...timedOut);
 
       for (const file of files) {
         await this.scanFile(file);
       }
+      this.cache.save();
 
       this.calculateScore();
       this.generateReport();
 
       console.log(chalk.green('✅ Security Scan Complete!'));
       console.log(chalk.blue(`🛡️ Security Score: ${this.results.score}/100`));
+      logSuppressions(this.results.suppressed, this.results.unusedSuppressions);
+      logSkippedFiles(this.results.skippedFiles);
+      this.cache.logStats();
 
       return this.results;
     } catch (error) {
@@ -126,31 +204,9 @@ class SecurityVulnerabilityScanner {
   }
 
   findFilesToScan (targetPath) {
-    const files = [];
-    const extensions = ['.js', '.jsx', '.ts', '.tsx', '.html'];
-
-    const scanDir = (dir) => {
-      try {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const stat = fs.statSync(fullPath);
-
-          if (stat.isDirectory() && !['node_modules', '.git', 'coverage', 'dist'].includes(item)) {
-            scanDir(fullPath);
-          } else {
-            const ext = path.extname(item);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        // Skip directories we can't read
-      }
-    };
+    const { files, skipped } = discoverFiles(targetPath, this.config);
 
-    scanDir(targetPath);
+    this.results.skippedFiles = skipped;
     return files;
   }
 
@@ -168,97 +224,77 @@ class SecurityVulnerabilityScanner {
       };
 
       // Scan for security vulnerabilities
-      this.checkSecurityPatterns(content, fileAnalysis);
+      this.checkSecurityPatterns(content, filePath, fileAnalysis);
 
       this.results.vulnerabilities.push(...fileAnalysis.vulnerabilities);
+      this.results.linesOfCode += countCodeLines(content);
     } catch (error) {
       console.warn(chalk.yellow(`⚠️  Could not scan ${filePath}: ${error.message}`));
     }
   }
 
-  checkSecurityPatterns (content, fileAnalysis) {
-    const lines = content.split('\n');
-
-    for (const [severity, patterns] of Object.entries(this.securityPatterns)) {
-      for (const { pattern, message, cwe, recommendation } of patterns) {
-        const matches = content.match(new RegExp(pattern, 'g'));
-        if (matches) {
-          for (const match of matches) {
-            const index = content.indexOf(match);
-            const lineNumber = content.substring(0, index).split('\n').length;
-
-            fileAnalysis.vulnerabilities.push({
-              severity,
-              message,
-              cwe,
-              recommendation,
-              line: lineNumber,
-              code: match.trim(),
-              file: fileAnalysis.file
-            });
-          }
-        }
-      }
+  checkSecurityPatterns (content, filePath, fileAnalysis) {
+    const { findings, suppressed, unusedSuppressions } = this.cache.check(content, filePath);
+
+    const { fresh, known } = this.baseline.partition(fileAnalysis.file, findings.map(match => {
+      const { cwe, recommendation } = match.rule;
+
+      return createFinding(match, { file: fileAnalysis.file, cwe, recommendation });
+    }));
+    fileAnalysis.vulnerabilities.push(...this.scope.filter(filePath, fresh));
+    this.results.baselined.push(...this.scope.filter(filePath, known));
+
+    // Suppressed findings are reported separately and don't add to the risk score
+    for (const match of this.scope.filter(filePath, suppressed)) {
+      const { cwe, recommendation } = match.rule;
+
+      this.results.suppressed.push(createFinding(match, { file: fileAnalysis.file, cwe, recommendation, suppression: match.suppression }));
     }
+    this.results.unusedSuppressions.push(...this.scope.filter(filePath, unusedSuppressions).map(directive => ({ file: fileAnalysis.file, ...directive })));
 
     // Calculate file risk score
     fileAnalysis.riskScore = this.calculateFileRiskScore(fileAnalysis.vulnerabilities);
   }
 
   calculateFileRiskScore (vulnerabilities) {
-    let score = 0;
-    for (const vuln of vulnerabilities) {
-      switch (vuln.severity) {
-      case 'critical':
-        score += 25;
-        break;
-      case 'high':
-        score += 15;
-        break;
-      case 'medium':
-        score += 8;
-        break;
-      case 'low':
-        score += 3;
-        break;
-      }
-    }
-    return score;
+    const { severityWeights } = this.config;
+    return vulnerabilities.reduce((sum, vuln) => sum + (severityWeights[vuln.severity] || 0), 0);
   }
 
   calculateScore () {
-    const maxScore = 100;
-    const totalRiskScore = this.results.vulnerabilities.reduce((sum, vuln) => {
-      switch (vuln.severity) {
-      case 'critical':
-        return sum + 25;
-      case 'high':
-        return sum + 15;
-      case 'medium':
-        return sum + 8;
-      case 'low':
-        return sum + 3;
-      default:
-        return sum;
-      }
-    }, 0);
-
-    this.results.score = Math.max(0, maxScore - totalRiskScore);
+    const { severityWeights, normalization } = this.config;
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'vulnerabilities', items: this.results.vulnerabilities, weights: severityWeights }],
+      linesOfCode: this.results.linesOfCode,
+      normalization
+    });
+
+    this.results.score = score;
+    this.results.scoreBreakdown = breakdown;
   }
 
   generateReport () {
     const report = {
+      schemaVersion: SCHEMA_VERSION,
+      tool: 'security',
       timestamp: new Date().toISOString(),
       score: this.results.score,
+      scoreBreakdown: this.results.scoreBreakdown,
       totalVulnerabilities: this.results.vulnerabilities.length,
       vulnerabilitiesBySeverity: this.groupVulnerabilitiesBySeverity(),
       vulnerabilitiesByCWE: this.groupVulnerabilitiesByCWE(),
       recommendations: this.generateRecommendations(),
-      files: this.getAffectedFiles()
+      files: this.getAffectedFiles(),
+      rules: this.engine.describe(),
+      findings: this.results.vulnerabilities.map(vuln => toSchemaFinding(vuln, 'security')),
+      suppressed: this.results.suppressed.map(vuln => toSchemaFinding(vuln, 'security')),
+      unusedSuppressions: this.results.unusedSuppressions,
+      baseline: this.baseline.summary(this.results.vulnerabilities.length, this.results.baselined.length),
+      skippedFiles: this.results.skippedFiles
     };
 
     // Save detailed report
-    fs.writeFileSync('security-scan-results.json', JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'security-scan-results.json'), JSON.stringify(report, null, 2));
 
     // Generate SARIF format for GitHub
     this.generateSARIFReport(report);
@@ -268,7 +304,7 @@ class SecurityVulnerabilityScanner {
     const grouped = { critical: [], high: [], medium: [], low: [] };
 
     for (const vuln of this.results.vulnerabilities) {
-      grouped[vuln.severity].push(vuln);
+      (grouped[vuln.severity] = grouped[vuln.severity] || []).push(vuln);
     }
 
     return grouped;
@@ -350,64 +386,11 @@ class SecurityVulnerabilityScanner {
   }
 
   generateSARIFReport (report) {
-    const sarif = {
-      $schema: 'https://json.schemastore.org/sarif-2.1.0',
-      version: '2.1.0',
-      runs: [
-        {
-          tool: {
-            driver: {
-              name: 'AI Security Scanner',
-              version: '1.0.0',
-              informationUri: 'https://github.com/ibetterai/cline-sdlc'
-            }
-          },
-          results: this.results.vulnerabilities.map(vuln => ({
-            level: this.getSeverityLevel(vuln.severity),
-            message: {
-              text: vuln.message
-            },
-            locations: [
-              {
-                physicalLocation: {
-                  artifactLocation: {
-                    uri: vuln.file
-                  },
-                  region: {
-                    startLine: vuln.line,
-                    startColumn: 1,
-                    endLine: vuln.line,
-                    endColumn: 100
-                  }
-                }
-              }
-            ],
-            properties: {
-              cwe: vuln.cwe,
-              recommendation: vuln.recommendation,
-              code: vuln.code
-            }
-          }))
-        }
-      ]
-    };
-
-    fs.writeFileSync('security-scan-results.sarif', JSON.stringify(sarif, null, 2));
-  }
-
-  getSeverityLevel (severity) {
-    switch (severity) {
-    case 'critical':
-      return 'error';
-    case 'high':
-      return 'error';
-    case 'medium':
-      return 'warning';
-    case 'low':
-      return 'note';
-    default:
-      return 'note';
-    }
+    const sarif = formatSarif(
+      { tools: { security: { rules: report.rules } }, timestamp: report.timestamp, findings: report.findings, suppressed: report.suppressed },
+      { startTime: this.startTime }
+    );
+    fs.writeFileSync(path.join(this.outputDir, 'security-scan-results.sarif'), sarif);
   }
 }
 
@@ -415,7 +398,9 @@ class SecurityVulnerabilityScanner {
 if (require.main === module) {
   const scanner = new SecurityVulnerabilityScanner();
   const targetPath = process.argv[2] || '.';
-  scanner.scan(targetPath).catch(console.error);
+  scanner.scan(targetPath)
+    .then(results => exitWithGate(evaluateGate('security', { score: results.score, findings: results.vulnerabilities }, scanner.config.failOn)))
+    .catch(exitWithError);
 }
 
 module.exports = SecurityVulnerabilityScanner;
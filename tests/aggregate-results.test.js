@@ -0,0 +1,107 @@
+/**
+ * Tests for scripts/aggregate-results.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const ResultsAggregator = require('../scripts/aggregate-results');
+const MergeReadinessAssessor = require('../scripts/merge-readiness-assessment');
+const { SCHEMA_VERSION } = require('../scripts/lib/finding');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+const finding = (tool, severity, ruleId = `${tool}-rule`) => ({
+  id: `${tool}/${ruleId}/src/a.js:1:1`,
+  ruleId,
+  tool,
+  severity,
+  category: tool,
+  message: `${ruleId} message`,
+  location: { file: 'src/a.js', line: 1, column: 1, endLine: 1, endColumn: 5, snippet: 'code' },
+  fingerprint: `${tool}-${ruleId}`,
+  fix: null
+});
+
+describe('ResultsAggregator', () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-aggregate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  const writeReport = (tool, report) => {
+    fs.writeFileSync(path.join(outputDir, ResultsAggregator.TOOL_REPORTS[tool]), JSON.stringify(report));
+  };
+
+  test('should merge tool reports into one normalized document', () => {
+    writeReport('security', {
+      schemaVersion: SCHEMA_VERSION,
+      score: 60,
+      findings: [finding('security', 'critical', 'no-eval'), finding('security', 'low', 'no-console-log')]
+    });
+    writeReport('style', { schemaVersion: SCHEMA_VERSION, score: 90, findings: [finding('style', 'medium', 'eqeqeq')] });
+
+    const document = new ResultsAggregator({ outputDir }).buildDocument();
+
+    expect(document.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(Object.keys(document.tools)).toEqual(['security', 'style']);
+    expect(document.tools.security).toMatchObject({ score: 60, totalFindings: 2 });
+    expect(document.tools.security.findingsBySeverity.critical).toBe(1);
+    expect(document.findings.map(f => f.ruleId)).toEqual(['no-eval', 'no-console-log', 'eqeqeq']);
+    expect(document.summary).toMatchObject({
+      totalFindings: 3,
+      byTool: { security: 2, style: 1 },
+      byRule: { 'no-eval': 1, 'no-console-log': 1, eqeqeq: 1 },
+      highestSeverity: 'critical'
+    });
+  });
+
+  test('should warn about incompatible or unreadable reports', () => {
+    writeReport('review', { schemaVersion: '2.0.0', findings: [finding('review', 'high')] });
+    writeReport('performance', { score: 50 });
+    fs.writeFileSync(path.join(outputDir, ResultsAggregator.TOOL_REPORTS.style), '{ nope');
+
+    const document = new ResultsAggregator({ outputDir }).buildDocument();
+
+    expect(document.findings).toHaveLength(0);
+    expect(document.warnings).toEqual([
+      `ai-review-results.json: schema version 2.0.0 is not compatible with ${SCHEMA_VERSION}`,
+      `performance-analysis-results.json: schema version missing is not compatible with ${SCHEMA_VERSION}`,
+      expect.stringMatching(/^code-style-review-results\.json: could not be parsed/)
+    ]);
+  });
+
+  test('should feed normalized counts into merge readiness', () => {
+    writeReport('security', { schemaVersion: SCHEMA_VERSION, score: 75, findings: [finding('security', 'high')] });
+
+    const assessor = new MergeReadinessAssessor({ config: DEFAULT_CONFIG });
+    assessor.aggregatedResults = new ResultsAggregator({ outputDir }).buildDocument();
+
+    expect(assessor.readSecurityResults()).toEqual({
+      criticalVulnerabilities: 0,
+      highVulnerabilities: 1,
+      securityScore: 75,
+      dependencyIssues: 0
+    });
+    expect(assessor.readCodeQualityResults().styleScore).toBe(0);
+  });
+
+  test('merge readiness should report blockers as gate failures', () => {
+    const assessor = new MergeReadinessAssessor({ config: DEFAULT_CONFIG });
+    assessor.assessment.blockers.push({ type: 'security', message: 'Critical vulnerabilities found', severity: 'critical' });
+    assessor.calculateReadiness();
+
+    expect(assessor.gateResult()).toEqual({
+      passed: false,
+      failures: [
+        'merge: Critical vulnerabilities found (critical)',
+        'merge: readiness score 70/100 is below the minimum of 80'
+      ]
+    });
+  });
+});
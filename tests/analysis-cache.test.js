@@ -0,0 +1,105 @@
+/**
+ * Tests for scripts/lib/analysis-cache.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const { AnalysisCache, ruleSetVersion } = require('../scripts/lib/analysis-cache');
+const { RuleEngine } = require('../scripts/lib/rule-engine');
+const detect = require('../scripts/lib/detectors');
+
+const engine = (severity = 'high') => new RuleEngine().registerAll([
+  { id: 'no-eval', create: detect.call('eval'), severity, message: 'eval() detected' }
+]);
+
+describe('AnalysisCache', () => {
+  let cacheDir;
+  const source = '// sdlc-disable-next-line no-eval\neval(a);\neval(b);\n';
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const warmCache = (rules = engine()) => {
+    const cache = new AnalysisCache('security', rules, { cacheDir });
+    cache.check(source, __filename);
+    cache.save();
+    return cache;
+  };
+
+  test('should serve unchanged files from disk with their rules restored', () => {
+    warmCache();
+
+    const rules = engine();
+    const expected = rules.check(source, __filename);
+    const cache = new AnalysisCache('security', rules, { cacheDir });
+    jest.spyOn(rules, 'check');
+
+    expect(cache.check(source, __filename)).toEqual(expected);
+    expect(rules.check).not.toHaveBeenCalled();
+    expect(cache.check(source, __filename).findings[0].rule).toBe(rules.rules.get('no-eval'));
+    expect(cache.hits).toBe(2);
+  });
+
+  test('should re-analyze files whose content changed', () => {
+    warmCache();
+    const cache = new AnalysisCache('security', engine(), { cacheDir });
+
+    expect(cache.check(`${source}eval(c);\n`, __filename).findings).toHaveLength(2);
+    expect(cache.misses).toBe(1);
+  });
+
+  test('should drop the cache when the rule set changes', () => {
+    warmCache();
+    expect(ruleSetVersion(engine('low'))).not.toBe(ruleSetVersion(engine()));
+
+    const cache = new AnalysisCache('security', engine('low'), { cacheDir });
+    cache.check(source, __filename);
+    expect(cache.hits).toBe(0);
+  });
+
+  test('should neither read nor write when disabled', () => {
+    warmCache();
+    const cache = new AnalysisCache('security', engine(), { cacheDir, enabled: false });
+
+    expect(cache.check(source, __filename).findings).toHaveLength(1);
+    expect(cache.hits).toBe(0);
+    fs.rmSync(path.join(cacheDir, 'security.json'));
+    cache.save();
+    expect(fs.existsSync(path.join(cacheDir, 'security.json'))).toBe(false);
+  });
+
+  test('should cache one extra of a file without running the engine', () => {
+    const rules = engine();
+    const lineCount = jest.fn(content => content.split('\n').length);
+    const cache = new AnalysisCache('security', rules, { cacheDir, extras: { lineCount } });
+    jest.spyOn(rules, 'check');
+
+    expect(cache.extra('lineCount', source, __filename)).toBe(4);
+    cache.save();
+    expect(rules.check).not.toHaveBeenCalled();
+
+    const next = new AnalysisCache('security', rules, { cacheDir, extras: { lineCount } });
+    expect(next.extra('lineCount', source, __filename)).toBe(4);
+    expect(lineCount).toHaveBeenCalledTimes(1);
+
+    // A partial entry is not a cached engine result
+    expect(next.check(source, __filename).findings).toHaveLength(1);
+    expect(next.hits).toBe(0);
+    expect(rules.check).toHaveBeenCalledTimes(1);
+  });
+
+  test('should start over from a corrupt cache file', () => {
+    fs.writeFileSync(path.join(cacheDir, 'security.json'), '{');
+    const cache = warmCache();
+
+    expect(cache.misses).toBe(1);
+    expect(JSON.parse(fs.readFileSync(path.join(cacheDir, 'security.json'), 'utf8')).version).toBe(cache.version);
+  });
+});
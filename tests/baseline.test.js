@@ -0,0 +1,97 @@
+/**
+ * Tests for scripts/lib/baseline.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const { BaselineError, BaselineMatcher, createBaseline, readBaseline, writeBaseline } = require('../scripts/lib/baseline');
+const { computeFingerprint } = require('../scripts/lib/finding');
+
+const finding = (ruleId, file, snippet, line = 1) => ({
+  ruleId,
+  location: { file, line, column: 1, endLine: line, endColumn: 5, snippet }
+});
+
+const entry = (ruleId, file, snippet) => ({
+  fingerprint: computeFingerprint(ruleId, { file, snippet }),
+  ruleId,
+  file,
+  message: `${ruleId} message`
+});
+
+describe('BaselineMatcher', () => {
+  test('should report everything as new without a baseline', () => {
+    const findings = [finding('no-eval', 'package.json', 'eval(a);')];
+    expect(new BaselineMatcher('security').partition('package.json', findings)).toEqual({ fresh: findings, known: [] });
+    expect(new BaselineMatcher('security').summary(1, 0)).toBeNull();
+  });
+
+  test('should match findings by fingerprint regardless of line', () => {
+    const matcher = new BaselineMatcher('security', { tools: { security: [entry('no-eval', 'package.json', 'eval(a);')] } });
+    const moved = finding('no-eval', 'package.json', '  eval(a);', 40);
+    const added = finding('no-eval', 'package.json', 'eval(b);', 41);
+
+    expect(matcher.partition('package.json', [moved, added])).toEqual({ fresh: [added], known: [moved] });
+  });
+
+  test('should match each baseline entry at most once', () => {
+    const matcher = new BaselineMatcher('style', { tools: { style: [entry('no-var', 'package.json', 'var a;')] } });
+    const { fresh, known } = matcher.partition('package.json', [
+      finding('no-var', 'package.json', 'var a;', 1),
+      finding('no-var', 'package.json', 'var a;', 2)
+    ]);
+
+    expect([fresh.length, known.length]).toEqual([1, 1]);
+  });
+
+  test('should only resolve entries of scanned or deleted files', () => {
+    const baseline = {
+      tools: {
+        security: [
+          entry('no-eval', 'package.json', 'eval(a);'),
+          entry('no-eval', 'README.md', 'eval(a);'),
+          entry('no-eval', 'src/deleted.js', 'eval(a);')
+        ]
+      }
+    };
+    const matcher = new BaselineMatcher('security', baseline);
+    matcher.partition('package.json', []);
+
+    expect(matcher.resolved().map(resolved => resolved.file)).toEqual(['package.json', 'src/deleted.js']);
+    expect(matcher.summary(0, 0)).toMatchObject({ newFindings: 0, knownFindings: 0, resolvedFindings: 2 });
+  });
+});
+
+describe('baseline files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should replace entries of the tools that ran and keep the others', () => {
+    const previous = { tools: { style: [entry('no-var', 'a.js', 'var a;')], security: [entry('no-eval', 'a.js', 'eval(a);')] } };
+    const findings = [{ tool: 'security', ruleId: 'insecure-random', fingerprint: 'abc', message: 'Weak', location: { file: 'b.js' } }];
+    const baseline = createBaseline(findings, ['security'], previous);
+
+    expect(baseline.tools.style).toEqual(previous.tools.style);
+    expect(baseline.tools.security).toEqual([{ fingerprint: 'abc', ruleId: 'insecure-random', file: 'b.js', message: 'Weak' }]);
+
+    const file = path.join(dir, 'baseline.json');
+    writeBaseline(file, baseline);
+    expect(readBaseline(file)).toEqual(baseline);
+  });
+
+  test('should reject missing and malformed baselines', () => {
+    expect(() => readBaseline(path.join(dir, 'missing.json'))).toThrow(BaselineError);
+
+    fs.writeFileSync(path.join(dir, 'bad.json'), '{}');
+    expect(() => readBaseline(path.join(dir, 'bad.json'))).toThrow(/missing "tools" section/);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for scripts/lib/cli.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const { EXIT_CODES, parseCommandLine, run } = require('../scripts/lib/cli');
+const { readBaseline } = require('../scripts/lib/baseline');
+
+const captureIO = () => {
+  const io = { out: '', err: '' };
+  io.stdout = { write: chunk => { io.out += chunk; } };
+  io.stderr = { write: chunk => { io.err += chunk; } };
+  return io;
+};
+
+describe('parseCommandLine', () => {
+  test('should map flags to options with defaults', () => {
+    expect(parseCommandLine(['security', '--path', 'src', '--output-dir', 'reports', '--fail-on', 'high,score<70'])).toEqual({
+      command: 'security',
+      help: false,
+      options: {
+        path: 'src',
+        format: 'text',
+        outputDir: 'reports',
+        configPath: undefined,
+        failOn: { severity: 'high', minScore: 70 },
+        baselinePath: undefined,
+        updateBaseline: false,
+        changedSince: undefined,
+        changedLines: false,
+        reviewComments: false,
+        cache: true,
+        concurrency: 1,
+        fileTimeout: 30000,
+        history: true,
+        runs: 10,
+        pr: false,
+        analyze: false
+      }
+    });
+  });
+
+  test('should show help without a command', () => {
+    expect(parseCommandLine([]).help).toBe(true);
+    expect(parseCommandLine(['help']).help).toBe(true);
+    expect(parseCommandLine(['review', '-h']).help).toBe(true);
+  });
+
+  test('should reject unknown commands, flags and values', () => {
+    expect(() => parseCommandLine(['deploy'])).toThrow('Unknown command: deploy');
+    expect(() => parseCommandLine(['review', '--bogus'])).toThrow(/bogus/);
+    expect(() => parseCommandLine(['review', '--format', 'xml'])).toThrow('Unknown format: xml');
+    expect(() => parseCommandLine(['merge-check', '--format', 'junit'])).toThrow('--format junit only applies to the analyzer commands');
+    expect(() => parseCommandLine(['review', '--fail-on', 'severe'])).toThrow('Invalid --fail-on condition "severe"');
+    expect(() => parseCommandLine(['merge-check', '--fail-on', 'high'])).toThrow('--fail-on only applies to the analyzer commands');
+    expect(() => parseCommandLine(['review', '--changed-lines'])).toThrow('--changed-lines requires --changed-since <ref>');
+    expect(() => parseCommandLine(['review', '--review-comments'])).toThrow('--review-comments requires --changed-since <ref>');
+    expect(() => parseCommandLine(['review', '--concurrency', '0'])).toThrow('Invalid --concurrency: 0');
+    expect(() => parseCommandLine(['review', '--file-timeout', 'soon'])).toThrow('Invalid --file-timeout: soon');
+    expect(() => parseCommandLine(['trend', '--runs', 'all'])).toThrow('Invalid --runs: all');
+  });
+});
+
+describe('run', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-cli-'));
+    fs.mkdirSync(path.join(workDir, 'src'));
+    fs.writeFileSync(path.join(workDir, 'src', 'app.js'), 'const value = eval(input);\nmodule.exports = value;\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const args = (...extra) => ['--path', path.join(workDir, 'src'), '--output-dir', path.join(workDir, 'reports'), ...extra];
+
+  test('should print help and exit 0', async () => {
+    const io = captureIO();
+    expect(await run(['--help'], io)).toBe(EXIT_CODES.success);
+    expect(io.out).toContain('Usage: sdlc <command> [options]');
+    expect(io.out).toContain('merge-check');
+  });
+
+  test('should exit 2 on usage errors', async () => {
+    const io = captureIO();
+    expect(await run(['deploy'], io)).toBe(EXIT_CODES.error);
+    expect(io.err).toContain('Unknown command: deploy');
+  });
+
+  test('should exit 2 when the config file is missing', async () => {
+    const io = captureIO();
+    expect(await run(['security', ...args('--config', path.join(workDir, 'missing.json'))], io)).toBe(EXIT_CODES.error);
+  });
+
+  test('should exit 2 when the path to analyze is missing', async () => {
+    const io = captureIO();
+    const missing = path.join(workDir, 'nope');
+    expect(await run(['review', '--path', missing, '--output-dir', path.join(workDir, 'reports')], io)).toBe(EXIT_CODES.error);
+    expect(io.err).toContain(`Could not read ${missing}: no such file or directory`);
+    expect(io.err).not.toContain('Error:');
+  });
+
+  test('should write reports to the output directory and print JSON', async () => {
+    const io = captureIO();
+    expect(await run(['security', ...args('--format', 'json', '--fail-on', 'none')], io)).toBe(EXIT_CODES.success);
+
+    const document = JSON.parse(io.out);
+    expect(Object.keys(document.tools)).toEqual(['security']);
+    expect(document.findings.some(finding => finding.ruleId === 'no-eval')).toBe(true);
+    expect(fs.existsSync(path.join(workDir, 'reports', 'security-scan-results.json'))).toBe(true);
+  });
+
+  test('should print findings in CI formats', async () => {
+    const io = captureIO();
+    expect(await run(['security', ...args('--format', 'checkstyle', '--fail-on', 'none')], io)).toBe(EXIT_CODES.success);
+
+    expect(io.out).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<checkstyle version="4.3">/);
+    expect(io.out).toContain('source="sdlc.security.no-eval"');
+  });
+
+  test('should exit 1 when findings reach the --fail-on severity', async () => {
+    const io = captureIO();
+    expect(await run(['security', ...args('--fail-on', 'high')], io)).toBe(EXIT_CODES.gateFailed);
+    expect(io.out).toContain('Quality gate failed:');
+    expect(io.out).toMatch(/security: \d+ findings at or above "high"/);
+  });
+
+  test('should record a baseline and then report only new findings', async () => {
+    const baselinePath = path.join(workDir, 'baseline.json');
+    expect(await run(['security', ...args('--update-baseline', '--baseline', baselinePath, '--fail-on', 'none')], captureIO())).toBe(EXIT_CODES.success);
+    expect(readBaseline(baselinePath).tools.security.map(entry => entry.ruleId)).toEqual(['no-eval']);
+
+    fs.appendFileSync(path.join(workDir, 'src', 'app.js'), 'document.write(value);\n');
+    const io = captureIO();
+    expect(await run(['security', ...args('--baseline', baselinePath, '--format', 'json', '--fail-on', 'none')], io)).toBe(EXIT_CODES.success);
+
+    const document = JSON.parse(io.out);
+    expect(document.findings.map(finding => finding.ruleId)).toEqual(['no-document-write']);
+    expect(document.tools.security.baseline).toEqual({ newFindings: 1, knownFindings: 1, resolvedFindings: 0 });
+  });
+
+  test('should record full runs in the history and render their trend', async () => {
+    expect(await run(['security', ...args('--fail-on', 'none')], captureIO())).toBe(EXIT_CODES.success);
+    expect(await run(['security', ...args('--fail-on', 'none', '--no-history')], captureIO())).toBe(EXIT_CODES.success);
+    expect(await run(['security', ...args('--fail-on', 'none', '--changed-since', 'HEAD')], captureIO())).toBe(EXIT_CODES.success);
+
+    const history = fs.readFileSync(path.join(workDir, 'reports', '.sdlc-history.jsonl'), 'utf8').trim().split('\n');
+    expect(history).toHaveLength(1);
+    expect(JSON.parse(history[0]).tools.security.findings).toBe(1);
+
+    const io = captureIO();
+    expect(await run(['trend', ...args()], io)).toBe(EXIT_CODES.success);
+    expect(io.out).toContain('Trend over the last 1 commit');
+    expect(io.out).toMatch(/Findings by directory\n.*src/);
+  });
+
+  test('should exit 2 when the baseline file is missing', async () => {
+    const io = captureIO();
+    expect(await run(['security', ...args('--baseline', path.join(workDir, 'missing.json'))], io)).toBe(EXIT_CODES.error);
+    expect(io.err).toContain('Could not read baseline');
+    expect(io.err).not.toContain('Error:');
+  });
+
+  test('should report a corrupt baseline file without a generic error prefix', async () => {
+    const baselinePath = path.join(workDir, 'corrupt.json');
+    fs.writeFileSync(baselinePath, '{ broken');
+    const io = captureIO();
+    expect(await run(['security', ...args('--baseline', baselinePath)], io)).toBe(EXIT_CODES.error);
+    expect(io.err).toMatch(/^Could not read baseline .*corrupt\.json: could not parse JSON/);
+  });
+
+  test('should apply the configured failOn gate when --fail-on is not given', async () => {
+    const configPath = path.join(workDir, '.sdlcrc');
+    fs.writeFileSync(configPath, JSON.stringify({ review: { failOn: { maxFindings: 0 } } }));
+
+    const io = captureIO();
+    expect(await run(['review', ...args('--config', configPath)], io)).toBe(EXIT_CODES.gateFailed);
+    expect(io.out).toMatch(/review: \d+ findings exceed the maximum of 0/);
+  });
+
+  test('should exit 2 with the reason when a rule pack cannot be loaded', async () => {
+    const configPath = path.join(workDir, '.sdlcrc');
+    fs.writeFileSync(configPath, JSON.stringify({ style: { rulePacks: ['./no-such-pack'] } }));
+
+    const io = captureIO();
+    expect(await run(['style', ...args('--config', configPath)], io)).toBe(EXIT_CODES.error);
+    expect(io.err).toContain('Could not load rule pack ./no-such-pack:\n  - module not found');
+  });
+});
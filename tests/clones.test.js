@@ -0,0 +1,157 @@
+/**
+ * Tests for scripts/lib/clones.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe } = require('@jest/globals');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+const { CloneDetector, tokenize, tokenizeFile } = require('../scripts/lib/clones');
+
+const scanDir = (name, label) => [
+  `function ${name} (dir, files = []) {`,
+  '  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {',
+  '    const full = path.join(dir, entry.name);',
+  `    if (entry.isDirectory() && entry.name !== '${label}') {`,
+  `      ${name}(full, files);`,
+  '    } else if (entry.name.endsWith(\'.js\')) {',
+  '      files.push(full);',
+  '    }',
+  '  }',
+  '  return files;',
+  '}'
+].join('\n');
+
+const locations = (group) => group.occurrences.map(({ file, line, endLine }) => `${file}:${line}-${endLine}`);
+
+describe('tokenize', () => {
+  test('should drop comments and the module header and normalize names and literals', () => {
+    const tokens = tokenize('const fs = require(\'fs\');\nimport path from \'path\';\n// note\nlog(user, 42);', 'a.js', { line: 1, column: 1 });
+
+    expect(tokens.map(token => token.exact)).toEqual(['log', '(', 'user', ',', '42', ')', ';']);
+    expect(tokens.map(token => token.normalized)).toEqual(['$name', '(', '$name', ',', '$literal', ')', ';']);
+    expect(tokens[0]).toMatchObject({ line: 4, column: 1, endLine: 4, endColumn: 4 });
+  });
+});
+
+describe('CloneDetector', () => {
+  test('should find exact and renamed copies across files', () => {
+    const detector = new CloneDetector({ minTokens: 30 });
+    detector.addFile('a.js', `${scanDir('scanDir', 'node_modules')}\n`);
+    detector.addFile('b.js', `const x = 1;\n\n${scanDir('scanDir', 'node_modules')}\n`);
+    detector.addFile('c.js', `${scanDir('walk', 'dist')}\n`);
+
+    const { groups, duplicatedLines, totalLines, percentage } = detector.detect();
+
+    expect(groups.map(group => [group.type, group.tokens, locations(group)])).toEqual([
+      [2, 93, ['a.js:1-11', 'b.js:3-13', 'c.js:1-11']]
+    ]);
+    expect(groups[0].occurrences[1]).toMatchObject({
+      column: 1,
+      endColumn: 2,
+      snippet: scanDir('scanDir', 'node_modules').split('\n').slice(0, 5).join('\n')
+    });
+    expect({ duplicatedLines, totalLines, percentage }).toEqual({ duplicatedLines: 22, totalLines: 34, percentage: 64.7 });
+  });
+
+  test('should only match exact copies when renamed is off', () => {
+    const detector = new CloneDetector({ minTokens: 60, renamed: false });
+    detector.addFile('a.js', scanDir('scanDir', 'node_modules'));
+    detector.addFile('b.js', scanDir('scanDir', 'node_modules'));
+    detector.addFile('c.js', scanDir('walk', 'dist'));
+
+    expect(detector.detect().groups.map(group => [group.type, group.tokens, locations(group)])).toEqual([
+      [1, 93, ['a.js:1-11', 'b.js:1-11']]
+    ]);
+  });
+
+  test('should replace the tokens of a file added again', () => {
+    const detector = new CloneDetector({ minTokens: 30 });
+    detector.addFile('a.js', scanDir('scanDir', 'node_modules'));
+    detector.addFile('b.js', scanDir('scanDir', 'node_modules'));
+    detector.addFile('b.js', 'const saved = 1;\n');
+
+    expect(detector.units().map(unit => unit.file)).toEqual(['a.js', 'b.js']);
+    expect(detector.detect().groups).toEqual([]);
+  });
+
+  test('should accept tokens from tokenizeFile, e.g. out of the analysis cache', () => {
+    const content = `${scanDir('scanDir', 'node_modules')}\n`;
+    const chunks = JSON.parse(JSON.stringify(tokenizeFile(content, 'a.js')));
+    const fresh = new CloneDetector({ minTokens: 30 });
+    const cached = new CloneDetector({ minTokens: 30 });
+    for (const file of ['a.js', 'b.js']) {
+      fresh.addFile(file, content);
+      cached.addFile(file, content, file, chunks);
+    }
+
+    expect(cached.units()[0].tokens).toEqual(tokenize(content, 'a.js', { line: 1, column: 1 }));
+    expect(cached.detect()).toEqual(fresh.detect());
+  });
+
+  test('should ignore sequences shorter than minTokens and repeated runs', () => {
+    const rows = Array.from({ length: 6 }, (_, index) => `  { id: 'rule-${index}', severity: 'low', message: 'Message ${index}' },`);
+    const detector = new CloneDetector({ minTokens: 30 });
+    detector.addFile('rules.js', `module.exports = [\n${rows.join('\n')}\n];\n`);
+    detector.addFile('short.js', 'if (a) { b(); }\nif (c) { d(); }\n');
+
+    expect(detector.detect()).toMatchObject({ groups: [], duplicatedLines: 0, percentage: 0 });
+  });
+});
+
+describe('AICodeReviewer duplication', () => {
+  test('should report copies as findings and deduct the duplication percentage', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-clones-'));
+    fs.writeFileSync(path.join(dir, 'a.js'), scanDir('scanDir', 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'b.js'), scanDir('findFiles', '.git'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const config = mergeConfig(DEFAULT_CONFIG, { review: { duplication: { minTokens: 30 } } });
+      const results = await new AICodeReviewer({ config, outputDir: dir, cache: false }).performReview(dir);
+      const file = path.relative(process.cwd(), path.join(dir, 'b.js'));
+      const report = JSON.parse(fs.readFileSync(path.join(dir, 'ai-review-results.json'), 'utf8'));
+
+      expect(results.issues.filter(issue => issue.ruleId === 'duplicate-code').map(issue => [issue.file, issue.line, issue.severity, issue.message])).toEqual([
+        [file, 1, 'info', `Duplicates ${path.relative(process.cwd(), path.join(dir, 'a.js'))}:1-11 (type-2 clone, 93 tokens)`]
+      ]);
+      expect(report.duplication).toMatchObject({ duplicatedLines: 11, totalLines: 22, percentage: 50, minTokens: 30 });
+      expect(report.scoreBreakdown.rates).toEqual([{ label: 'duplicated lines', percentage: 50, weight: 0.5, points: 25 }]);
+      expect(fs.readFileSync(path.join(dir, 'ai-review-summary.md'), 'utf8')).toContain('### 📑 Duplicate Code\n50% of lines are duplicated across 1 clone groups');
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should honor sdlc-disable directives and serve clone tokens from the cache', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-clones-'));
+    fs.writeFileSync(path.join(dir, 'a.js'), scanDir('scanDir', 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'b.js'), `// sdlc-disable duplicate-code -- vendored copy\n${scanDir('findFiles', '.git')}`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const config = mergeConfig(DEFAULT_CONFIG, { review: { duplication: { minTokens: 30 } } });
+      const review = () => new AICodeReviewer({ config, outputDir: dir }).performReview(dir);
+      const duplicates = (results) => [...results.issues, ...results.suppressed].filter(issue => issue.ruleId === 'duplicate-code');
+
+      const first = await review();
+      expect(duplicates(first).map(issue => [issue.line, issue.suppression])).toEqual([
+        [2, { kind: 'sdlc-disable', reason: 'vendored copy', line: 1 }]
+      ]);
+      expect(first.issues.filter(issue => issue.ruleId === 'duplicate-code')).toEqual([]);
+
+      const cached = JSON.parse(fs.readFileSync(path.join(dir, '.sdlc-cache', 'review.json'), 'utf8'));
+      expect(Object.values(cached.files).map(entry => entry.cloneTokens.length)).toEqual([1, 1]);
+
+      const second = await review();
+      expect(duplicates(second)).toEqual(duplicates(first));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Reused cached results for 2 of 2 files'));
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
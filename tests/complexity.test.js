@@ -0,0 +1,124 @@
+/**
+ * Tests for scripts/lib/complexity.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe } = require('@jest/globals');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+const { RuleEngine } = require('../scripts/lib/rule-engine');
+const detect = require('../scripts/lib/detectors');
+const { measureFile } = require('../scripts/lib/complexity');
+
+const SOURCE = [
+  'function format (items, verify) {',
+  '  for (const item of items) {',
+  '    if (item.a && item.b || item.c) {',
+  '      continue;',
+  '    } else if (item.d) {',
+  '      try { run(); } catch (error) { if (error) { return; } }',
+  '    } else {',
+  '      log(item ? 1 : 2);',
+  '    }',
+  '  }',
+  '  const done = () => { if (verify) finish(); };',
+  '  return verify ?? done;',
+  '}',
+  'handlers.submit = function (a, b, c, d, e) {};',
+  'export default class Form { validate () { return true; } }',
+  'setTimeout(() => {});'
+].join('\n');
+
+const byName = (functions) => Object.fromEntries(functions.map(({ name, ...metrics }) => [name, metrics]));
+
+describe('measureFile', () => {
+  test('should measure each function on its own', () => {
+    const { functions, program } = measureFile(SOURCE, 'form.js');
+
+    expect(byName(functions)).toEqual({
+      format: { line: 1, endLine: 13, cyclomatic: 10, cognitive: 18, nesting: 4, params: 2, lines: 13 },
+      done: { line: 11, endLine: 11, cyclomatic: 2, cognitive: 1, nesting: 1, params: 0, lines: 1 },
+      submit: { line: 14, endLine: 14, cyclomatic: 1, cognitive: 0, nesting: 0, params: 5, lines: 1 },
+      validate: { line: 15, endLine: 15, cyclomatic: 1, cognitive: 0, nesting: 0, params: 0, lines: 1 },
+      null: { line: 16, endLine: 16, cyclomatic: 1, cognitive: 0, nesting: 0, params: 0, lines: 1 }
+    });
+    expect(program).toMatchObject({ cyclomatic: 1, cognitive: 0, nesting: 0 });
+  });
+
+  test('should not mistake identifiers for control flow', () => {
+    const { functions } = measureFile('function verifyFormat (information) { return formatWhileSwitching(information); }', 'a.js');
+
+    expect(functions[0]).toMatchObject({ cyclomatic: 1, cognitive: 0 });
+  });
+
+  test('should count top-level code and skip files that do not parse', () => {
+    expect(measureFile('if (a) { for (;;) {} }', 'a.js').program).toMatchObject({ cyclomatic: 3, cognitive: 3, nesting: 2 });
+    expect(measureFile('function (', 'a.js')).toEqual({ functions: [], program: null });
+  });
+});
+
+describe('functionMetric detector', () => {
+  test('should report functions above the limit by name', () => {
+    const engine = new RuleEngine().registerAll([
+      { id: 'complexity', create: detect.functionMetric('cyclomatic', 5) },
+      { id: 'max-params', create: detect.functionMetric('params', 4) }
+    ]);
+
+    expect(engine.run(SOURCE, 'form.js').map(f => [f.ruleId, f.line, f.endLine, f.message])).toEqual([
+      ['complexity', 1, 13, 'Function format has a cyclomatic complexity of 10 (maximum 5)'],
+      ['max-params', 14, 14, 'Function submit has a parameter count of 5 (maximum 4)']
+    ]);
+  });
+});
+
+describe('AICodeReviewer function limits', () => {
+  test('should report configured limits and per-function metrics', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-complexity-'));
+    fs.writeFileSync(path.join(dir, 'form.js'), SOURCE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const config = mergeConfig(DEFAULT_CONFIG, { review: { functionLimits: { cognitive: 0, lines: 10 } } });
+      const results = await new AICodeReviewer({ config, outputDir: dir, cache: false }).performReview(dir);
+      const maintainability = results.issues.filter(issue => issue.category === 'maintainability');
+
+      expect(maintainability.map(issue => [issue.ruleId, issue.line, issue.severity])).toEqual([
+        ['max-lines-per-function', 1, 'low'],
+        ['max-params', 14, 'low']
+      ]);
+      expect(results.fileAnalysis[0].metrics).toMatchObject({ complexity: 10, cognitiveComplexity: 18 });
+      expect(results.fileAnalysis[0].metrics.functions).toHaveLength(5);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should serve function metrics from the analysis cache on the next run', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-complexity-'));
+    fs.writeFileSync(path.join(dir, 'form.js'), SOURCE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const review = async () => {
+      const reviewer = new AICodeReviewer({ config: DEFAULT_CONFIG, outputDir: dir });
+      const measure = jest.fn(reviewer.cache.extras.functionMetrics);
+      reviewer.cache.extras.functionMetrics = measure;
+      const results = await reviewer.performReview(dir);
+      return { measured: measure.mock.calls.length, metrics: results.fileAnalysis[0].metrics };
+    };
+
+    try {
+      const first = await review();
+      const second = await review();
+
+      expect(first.measured).toBe(1);
+      expect(second.measured).toBe(0);
+      expect(second.metrics).toEqual(first.metrics);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
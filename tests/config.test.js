@@ -0,0 +1,106 @@
+/**
+ * Tests for scripts/lib/config.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const { ConfigError, DEFAULT_CONFIG, findConfigFile, loadConfig } = require('../scripts/lib/config');
+
+describe('config', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  const writeJSON = (name, data) => fs.writeFileSync(path.join(cwd, name), JSON.stringify(data));
+
+  test('should return defaults when no config file exists', () => {
+    expect(findConfigFile(cwd)).toBeNull();
+    expect(loadConfig({ cwd })).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('should merge .sdlcrc sections onto defaults', () => {
+    writeJSON('.sdlcrc', {
+      review: { extensions: ['.js'], thresholds: { score: 90 } },
+      merge: { thresholds: { coverage: 60 } }
+    });
+
+    const config = loadConfig({ cwd });
+    expect(config.review.extensions).toEqual(['.js']);
+    expect(config.review.thresholds.score).toBe(90);
+    expect(config.review.thresholds.complexity).toBe(DEFAULT_CONFIG.review.thresholds.complexity);
+    expect(config.merge.thresholds.coverage).toBe(60);
+    expect(config.security).toEqual(DEFAULT_CONFIG.security);
+  });
+
+  test('should read the sdlc key from package.json', () => {
+    writeJSON('package.json', { name: 'demo', sdlc: { style: { severityWeights: { low: 0 } } } });
+
+    expect(findConfigFile(cwd)).toBe(path.join(cwd, 'package.json'));
+    expect(loadConfig({ cwd }).style.severityWeights.low).toBe(0);
+  });
+
+  test('should load JavaScript config files', () => {
+    fs.writeFileSync(path.join(cwd, 'sdlc.config.js'), 'module.exports = { tests: { srcDir: "lib" } };');
+
+    expect(loadConfig({ cwd }).tests.srcDir).toBe('lib');
+  });
+
+  test('should apply environment-specific overrides', () => {
+    writeJSON('.sdlcrc', {
+      security: { severityWeights: { low: 3 } },
+      env: { ci: { security: { severityWeights: { low: 10 } } } }
+    });
+
+    expect(loadConfig({ cwd }).security.severityWeights.low).toBe(3);
+    expect(loadConfig({ cwd, env: 'ci' }).security.severityWeights.low).toBe(10);
+  });
+
+  test('should report every schema violation with its key path', () => {
+    writeJSON('.sdlcrc', {
+      review: { severityWeights: { high: 'ten' }, extensions: '.js', deadCode: { ignorePattern: '^(_' } },
+      security: { failOn: { severity: 'severe' } },
+      merge: { thresholds: { coverage: -1 } },
+      lint: {}
+    });
+
+    expect(() => loadConfig({ cwd })).toThrow(ConfigError);
+
+    try {
+      loadConfig({ cwd });
+    } catch (error) {
+      expect(error.source).toBe('.sdlcrc');
+      expect(error.errors).toEqual([
+        'review.severityWeights.high: expected number, got string',
+        'review.extensions: expected array, got string',
+        'review.deadCode.ignorePattern: Invalid regular expression: /^(_/: Unterminated group',
+        'security.failOn.severity: must be one of none, critical, high, medium, low, info, got severe',
+        'merge.thresholds.coverage: must be >= 0, got -1',
+        'lint: unknown option (expected one of: review, security, performance, style, tests, merge, badges, env)'
+      ]);
+    }
+  });
+
+  test('should reject malformed JSON and missing explicit files', () => {
+    fs.writeFileSync(path.join(cwd, '.sdlcrc'), '{ review: ');
+
+    expect(() => loadConfig({ cwd })).toThrow(/could not parse JSON/);
+    expect(() => loadConfig({ cwd, configPath: 'missing.json' })).toThrow(/file does not exist/);
+  });
+
+  test('should report a malformed package.json or a throwing config module with its path', () => {
+    fs.writeFileSync(path.join(cwd, 'sdlc.config.js'), 'throw new Error(\'boom\');');
+    expect(() => loadConfig({ cwd })).toThrow(new ConfigError('sdlc.config.js', ['could not load module (boom)']));
+
+    fs.rmSync(path.join(cwd, 'sdlc.config.js'));
+    fs.writeFileSync(path.join(cwd, 'package.json'), '{ "name": ');
+    expect(() => loadConfig({ cwd })).toThrow(/Invalid SDLC configuration in package\.json:\n {2}- could not parse JSON/);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for scripts/lib/diff-scope.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect, test, describe, beforeAll, afterAll } = require('@jest/globals');
+const { DiffScope, getChangedFiles, getChangedLines } = require('../scripts/lib/diff-scope');
+const SecurityVulnerabilityScanner = require('../scripts/security-vulnerability-check');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+describe('DiffScope', () => {
+  let repo;
+  const file = name => path.join(repo, name);
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'pipe' });
+
+  beforeAll(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-diff-')));
+    git('init', '-q', '-b', 'main');
+    fs.writeFileSync(file('old.js'), 'eval(a);\nconst b = 1;\neval(c);\n');
+    fs.writeFileSync(file('same.js'), 'eval(d);\n');
+    fs.writeFileSync(file('gone.js'), 'eval(e);\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'base');
+
+    git('checkout', '-q', '-b', 'feature');
+    fs.writeFileSync(file('old.js'), 'eval(a);\nconst b = eval(x);\neval(c);\n');
+    git('commit', '-q', '-am', 'change');
+    fs.rmSync(file('gone.js'));
+    fs.writeFileSync(file('new.js'), 'eval(f);\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('should list committed, uncommitted and untracked changes but not deletions', () => {
+    expect(getChangedFiles('main', { cwd: repo }).sort()).toEqual([file('new.js'), file('old.js')]);
+  });
+
+  test('should collect changed line ranges', () => {
+    expect(getChangedLines('main', { cwd: repo })).toEqual(new Map([[file('old.js'), [[2, 2]]]]));
+  });
+
+  test('should include everything without a ref', () => {
+    const scope = new DiffScope();
+    expect(scope.includesFile('anything.js')).toBe(true);
+    expect(scope.includesLines('anything.js', 10)).toBe(true);
+  });
+
+  test('should restrict findings to changed lines of changed files', () => {
+    const scope = DiffScope.since('main', { hunks: true, cwd: repo });
+
+    expect(scope.includesFile(file('same.js'))).toBe(false);
+    expect(scope.filter(file('old.js'), [{ line: 1 }, { line: 2 }, { line: 1, endLine: 3 }])).toEqual([{ line: 2 }, { line: 1, endLine: 3 }]);
+    expect(scope.includesLines(file('new.js'), 1)).toBe(true);
+  });
+
+  test('should fail clearly for unknown refs', () => {
+    expect(() => DiffScope.since('no-such-branch', { cwd: repo })).toThrow(/^Could not diff against no-such-branch:/);
+  });
+
+  test('scanners should only report findings in scope', async () => {
+    const scanner = new SecurityVulnerabilityScanner({
+      config: DEFAULT_CONFIG,
+      outputDir: repo,
+      scope: DiffScope.since('main', { hunks: true, cwd: repo })
+    });
+    scanner.generateReport = () => {};
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const results = await scanner.scan(repo);
+    jest.restoreAllMocks();
+    expect(results.vulnerabilities.map(vuln => `${path.basename(vuln.file)}:${vuln.line}`)).toEqual(['new.js:1', 'old.js:2']);
+  });
+});
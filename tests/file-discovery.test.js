@@ -0,0 +1,92 @@
+/**
+ * Tests for scripts/lib/file-discovery.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeAll, afterAll } = require('@jest/globals');
+const { DiscoveryError, discoverFiles, TEST_FILE_PATTERNS } = require('../scripts/lib/file-discovery');
+const CodeStyleReviewer = require('../scripts/code-style-review');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+describe('discoverFiles', () => {
+  let root;
+  const write = (name, content = 'const a = 1;\n') => {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  };
+  const discover = (options = {}) => discoverFiles('.', { extensions: ['.js'], excludeDirs: ['node_modules'], cwd: root, ...options });
+  const relative = files => files.map(file => file.split(path.sep).join('/'));
+
+  beforeAll(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-files-')));
+    write('.gitignore', 'build/\n*.generated.js\n');
+    write('src/app.js');
+    write('src/app.test.js');
+    write('src/app.generated.js');
+    write('src/readme.md');
+    write('src/vendor/.gitignore', 'legacy.js\n');
+    write('src/vendor/legacy.js');
+    write('src/vendor/lib.js');
+    write('build/bundle.js');
+    write('node_modules/dep/index.js');
+    write('big.js', 'x'.repeat(2048));
+    fs.symlinkSync(path.join(root, 'src'), path.join(root, 'zlinked'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should honor .gitignore files, excluded directories and symlinks', () => {
+    const { files, skipped } = discover();
+
+    expect(relative(files)).toEqual(['big.js', 'src/app.js', 'src/app.test.js', 'src/vendor/lib.js']);
+    expect(skipped).toEqual([
+      { file: 'build', reason: 'gitignored' },
+      { file: 'node_modules', reason: 'excluded directory' },
+      { file: 'src/app.generated.js', reason: 'gitignored' },
+      { file: 'src/vendor/legacy.js', reason: 'gitignored' },
+      { file: 'zlinked', reason: 'symbolic link' }
+    ]);
+  });
+
+  test('should apply include and exclude globs', () => {
+    const { files, skipped } = discover({ include: ['src/**'], exclude: TEST_FILE_PATTERNS });
+
+    expect(relative(files)).toEqual(['src/app.js', 'src/vendor/lib.js']);
+    expect(skipped).toContainEqual({ file: 'src/app.test.js', reason: 'excluded by **/*.test.*' });
+  });
+
+  test('should skip files above the size limit', () => {
+    const { files, skipped } = discover({ maxFileSize: 1024 });
+
+    expect(relative(files)).not.toContain('big.js');
+    expect(skipped).toContainEqual({ file: 'big.js', reason: 'larger than 1024 bytes (2048)' });
+  });
+
+  test('should follow symlinks when asked to, scanning each directory once', () => {
+    const { files, skipped } = discover({ symlinks: 'follow', gitignore: false });
+
+    expect(relative(files)).toContain('build/bundle.js');
+    expect(relative(files).filter(file => file.startsWith('zlinked/'))).toEqual([]);
+    expect(skipped).toContainEqual({ file: 'zlinked', reason: 'already scanned' });
+  });
+
+  test('should discover a single file and report missing paths', () => {
+    expect(discoverFiles(path.join(root, 'src/app.js'), { cwd: root }).files).toEqual([path.join(root, 'src/app.js')]);
+    expect(() => discoverFiles('missing', { cwd: root })).toThrow(new DiscoveryError('missing', 'no such file or directory'));
+  });
+
+  test('style metrics should only cover the reviewed files', async () => {
+    const reviewer = new CodeStyleReviewer({ config: DEFAULT_CONFIG, outputDir: root });
+    reviewer.generateStyleGuideSuggestions = () => {};
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const results = await reviewer.review(path.join(root, 'src/vendor'));
+    jest.restoreAllMocks();
+    expect(results.metrics.totalLines).toBe(2);
+    expect(results.skippedFiles).toEqual([{ file: path.relative(process.cwd(), path.join(root, 'src/vendor/legacy.js')).split(path.sep).join('/'), reason: 'gitignored' }]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for scripts/lib/finding.js and scanner finding locations
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { SCHEMA_VERSION, computeFingerprint, countBySeverity, createFinding, formatLocation, toSchemaFinding } = require('../scripts/lib/finding');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const SecurityVulnerabilityScanner = require('../scripts/security-vulnerability-check');
+const PerformanceAnalyzer = require('../scripts/performance-analysis');
+const CodeStyleReviewer = require('../scripts/code-style-review');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+const repeated = Array.from({ length: 10 }, (_, i) => `${'  '.repeat(i % 3)}console.log(${i});`).join('\n');
+const expectedLines = Array.from({ length: 10 }, (_, i) => i + 1);
+
+describe('finding', () => {
+  const match = {
+    ruleId: 'no-eval',
+    rule: { severity: 'high' },
+    message: 'No eval',
+    line: 3,
+    column: 5,
+    endLine: 4,
+    endColumn: 2,
+    code: 'eval(',
+    snippet: '    eval(\n)'
+  };
+
+  test('should build a finding with a full location', () => {
+    expect(createFinding(match, { file: 'src/a.js', cwe: 'CWE-94' })).toEqual({
+      ruleId: 'no-eval',
+      severity: 'high',
+      message: 'No eval',
+      cwe: 'CWE-94',
+      file: 'src/a.js',
+      line: 3,
+      column: 5,
+      code: 'eval(',
+      location: { file: 'src/a.js', line: 3, column: 5, endLine: 4, endColumn: 2, snippet: '    eval(\n)' }
+    });
+  });
+
+  test('should format locations as file:line:column', () => {
+    expect(formatLocation({ file: 'src/a.js', line: 3, column: 5 })).toBe('src/a.js:3:5');
+  });
+
+  test('should convert findings to the common schema', () => {
+    const finding = createFinding(match, { file: 'src/a.js', cwe: 'CWE-94', recommendation: 'Use JSON.parse' });
+    const normalized = toSchemaFinding(finding, 'security');
+
+    expect(SCHEMA_VERSION).toMatch(/^\d+\.\d+\.\d+$/);
+    expect(normalized).toEqual({
+      id: 'security/no-eval/src/a.js:3:5',
+      ruleId: 'no-eval',
+      tool: 'security',
+      severity: 'high',
+      category: 'security',
+      message: 'No eval',
+      location: finding.location,
+      fingerprint: computeFingerprint('no-eval', finding.location),
+      fix: { description: 'Use JSON.parse', autoFixable: false },
+      cwe: 'CWE-94'
+    });
+    expect(toSchemaFinding({ ...finding, severity: 'bogus', recommendation: undefined }, 'review')).toMatchObject({
+      severity: 'info',
+      fix: null
+    });
+  });
+
+  test('should fingerprint by rule, file and normalized snippet only', () => {
+    const base = { file: 'src/a.js', line: 3, snippet: '  eval(input);' };
+    const fingerprint = computeFingerprint('no-eval', base);
+
+    expect(computeFingerprint('no-eval', { ...base, line: 40, snippet: 'eval(input);   ' })).toBe(fingerprint);
+    expect(computeFingerprint('no-eval', { ...base, file: 'src/b.js' })).not.toBe(fingerprint);
+    expect(computeFingerprint('no-eval', { ...base, snippet: 'eval(other);' })).not.toBe(fingerprint);
+    expect(computeFingerprint('insecure-random', base)).not.toBe(fingerprint);
+  });
+
+  test('should count findings for every severity', () => {
+    expect(countBySeverity([{ severity: 'high' }, { severity: 'high' }, { severity: 'low' }])).toEqual({
+      critical: 0, high: 2, medium: 0, low: 1, info: 0
+    });
+  });
+});
+
+describe('scanner locations for repeated matches', () => {
+  const options = { config: DEFAULT_CONFIG };
+
+  test('AICodeReviewer should report each occurrence on its own line', () => {
+    const issues = [];
+    new AICodeReviewer(options).checkPatterns(repeated, 'src/repeated.js', issues);
+
+    expect(issues.map(issue => issue.line)).toEqual(expectedLines);
+    expect(issues[4].location).toMatchObject({ line: 5, column: 3, endLine: 5, endColumn: 17, snippet: '  console.log(4);' });
+  });
+
+  test('SecurityVulnerabilityScanner should report each occurrence on its own line', () => {
+    const fileAnalysis = { file: 'src/repeated.js', vulnerabilities: [] };
+    new SecurityVulnerabilityScanner(options).checkSecurityPatterns(repeated, 'src/repeated.js', fileAnalysis);
+
+    expect(fileAnalysis.vulnerabilities.map(vuln => vuln.line)).toEqual(expectedLines);
+    expect(fileAnalysis.vulnerabilities[8].location.column).toBe(5);
+  });
+
+  test('PerformanceAnalyzer should report each occurrence on its own line', () => {
+    const fileAnalysis = { file: 'src/repeated.js', issues: [], optimizations: [] };
+    new PerformanceAnalyzer(options).checkPerformancePatterns(repeated, 'src/repeated.js', fileAnalysis);
+
+    expect(fileAnalysis.issues.map(issue => issue.line)).toEqual(expectedLines);
+  });
+
+  test('PerformanceAnalyzer should flag loop conditions re-reading a length the loop does not change', () => {
+    const fileAnalysis = { file: 'src/loops.js', issues: [], optimizations: [] };
+    const content = [
+      'for (let i = 0; i < items.length; i++) { use(items[i]); }',
+      'while (i <= this.rows.length) { i++; }',
+      'for (let i = 0; i !== items.length; i++) { items[i] = 0; }',
+      'while (queue.length > 0) { queue.shift(); }',
+      'for (let i = 0; i < this.rows.length; i++) { this.rows.splice(i, 1); }',
+      'do { items.length = 0; } while (n < items.length);',
+      'while (i < list.length) { list = list.slice(1); }',
+      'if (items.length < 3) { items.push(2); }'
+    ].join('\n');
+    new PerformanceAnalyzer(options).checkPerformancePatterns(content, 'src/loops.js', fileAnalysis);
+
+    const loops = fileAnalysis.issues.filter(issue => issue.ruleId === 'uncached-loop-length');
+    expect(loops.map(issue => issue.line)).toEqual([1, 2, 3]);
+  });
+
+  test('CodeStyleReviewer should report each occurrence on its own line', () => {
+    const fileAnalysis = { file: 'src/repeated.js', violations: [] };
+    const content = Array.from({ length: 5 }, (_, i) => `if (a == ${i}) b();`).join('\n');
+    new CodeStyleReviewer(options).checkStylePatterns(content, 'src/repeated.js', fileAnalysis);
+
+    const eqeqeq = fileAnalysis.violations.filter(violation => violation.ruleId === 'eqeqeq');
+    expect(eqeqeq.map(violation => violation.line)).toEqual([1, 2, 3, 4, 5]);
+    expect(eqeqeq.every(violation => violation.location.column === 5)).toBe(true);
+  });
+});
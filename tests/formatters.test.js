@@ -0,0 +1,209 @@
+/**
+ * Tests for scripts/lib/formatters.js
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Ajv = require('ajv');
+const { expect, test, describe } = require('@jest/globals');
+const SARIF_SCHEMA = require('./fixtures/sarif-schema-2.1.0.json');
+const {
+  FORMATTERS, escapeXml, formatCheckstyle, formatCodeClimate, formatGitlab, formatJunit, formatSarif
+} = require('../scripts/lib/formatters');
+
+const finding = (tool, ruleId, severity, file, line, fields = {}) => ({
+  id: `${tool}/${ruleId}/${file}:${line}:5`,
+  ruleId,
+  tool,
+  severity,
+  category: tool,
+  message: `${ruleId} <message> & "quotes"`,
+  location: { file, line, column: 5, endLine: line, endColumn: 12, snippet: 'eval(x)' },
+  fingerprint: `${tool}-${ruleId}-${line}`,
+  fix: null,
+  ...fields
+});
+
+const DOCUMENT = {
+  timestamp: '2026-10-18T12:00:00.000Z',
+  tools: { review: {}, security: { rules: { 'no-eval': { description: 'Use of eval() - code injection risk' } } }, style: {} },
+  warnings: ['performance-analysis-results.json: could not be parsed (Unexpected end of JSON input)'],
+  findings: [
+    finding('review', 'no-eval', 'high', 'src/a.js', 3),
+    finding('security', 'no-eval', 'critical', 'src/a.js', 3, { cwe: 'CWE-95', fix: { description: 'Parse instead', autoFixable: false } }),
+    finding('security', 'no-inner-html', 'medium', 'src/b.js', 7, { docsUrl: 'https://example.com/no-inner-html' })
+  ],
+  suppressed: [
+    finding('security', 'no-eval', 'critical', 'src/c.js', 1, { suppression: { reason: 'sandboxed' } })
+  ]
+};
+
+// The official schema is draft-04, which ajv 6 only validates with that meta-schema added
+const ajv = new Ajv({ allErrors: true, schemaId: 'auto' });
+ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+const validateSarif = ajv.compile(SARIF_SCHEMA);
+
+describe('formatters', () => {
+  test('should escape XML special and control characters', () => {
+    expect(escapeXml('a < b && "c" \'d\' >\u0001')).toBe('a &lt; b &amp;&amp; &quot;c&quot; &apos;d&apos; &gt;');
+  });
+
+  test('should render one SARIF run per tool with rules, fingerprints and suppressions', () => {
+    const sarif = JSON.parse(formatSarif(DOCUMENT));
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs.map(run => run.tool.driver.name)).toEqual(['AI Code Reviewer', 'AI Security Scanner', 'AI Code Style Reviewer']);
+
+    const security = sarif.runs[1];
+    expect(security.tool.driver.rules.map(rule => rule.id)).toEqual(['no-eval', 'no-inner-html']);
+    expect(security.results.map(result => [result.ruleId, result.ruleIndex, result.level])).toEqual([
+      ['no-eval', 0, 'error'], ['no-inner-html', 1, 'warning'], ['no-eval', 0, 'error']
+    ]);
+    expect(security.results[0].partialFingerprints).toEqual({ 'sdlc/v1': 'security-no-eval-3:1' });
+    expect(security.results[0].properties).toEqual({ severity: 'critical', recommendation: 'Parse instead' });
+    expect(security.results[2].suppressions).toEqual([{ kind: 'inSource', status: 'accepted', justification: 'sandboxed' }]);
+    expect(sarif.runs[2].results).toEqual([]);
+  });
+
+  test('should describe rules with CWE tags, help and a default level', () => {
+    const [eval_, innerHtml] = JSON.parse(formatSarif(DOCUMENT)).runs[1].tool.driver.rules;
+
+    expect(eval_).toEqual({
+      id: 'no-eval',
+      shortDescription: { text: 'Use of eval() - code injection risk' },
+      help: {
+        text: 'Parse instead',
+        markdown: '**Use of eval() - code injection risk**\n\nParse instead\n\n[CWE-95](https://cwe.mitre.org/data/definitions/95.html)'
+      },
+      helpUri: 'https://cwe.mitre.org/data/definitions/95.html',
+      defaultConfiguration: { level: 'error' },
+      properties: { tags: ['security', 'external/cwe/cwe-95'], 'security-severity': '9.5' }
+    });
+    expect(innerHtml.shortDescription).toEqual({ text: 'no-inner-html' });
+    expect(innerHtml.helpUri).toBe('https://example.com/no-inner-html');
+    expect(innerHtml.help.markdown).toContain('[Rule documentation](https://example.com/no-inner-html)');
+    expect(JSON.parse(formatSarif(DOCUMENT)).runs[0].tool.driver.rules[0].properties).toEqual({ tags: ['review'] });
+  });
+
+  test('should report exact regions relative to the source root', () => {
+    const multiline = finding('review', 'no-nested', 'low', path.join('src', 'my file.js'), 2, {
+      location: { file: path.join('src', 'my file.js'), line: 2, column: 3, endLine: 3, endColumn: 4, snippet: '  if (a) {\n  }' }
+    });
+    const [first, second] = JSON.parse(formatSarif({ findings: [multiline, { ...multiline, location: { ...multiline.location, line: 9, endLine: 10 } }] }))
+      .runs[0].results;
+
+    expect(first.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/my%20file.js', uriBaseId: 'SRCROOT' },
+      region: { startLine: 2, startColumn: 3, endLine: 3, endColumn: 4, snippet: { text: 'if (a) {\n  }' } },
+      contextRegion: { startLine: 2, endLine: 3, snippet: { text: '  if (a) {\n  }' } }
+    });
+    expect(second.partialFingerprints['sdlc/v1']).toBe(`${multiline.fingerprint}:2`);
+
+    const region = JSON.parse(formatSarif(DOCUMENT)).runs[0].results[0].locations[0].physicalLocation.region;
+    expect(region).toEqual({ startLine: 3, startColumn: 5, endLine: 3, endColumn: 12, snippet: { text: '(x)' } });
+  });
+
+  test('should record how and where the analysis ran', () => {
+    const cwd = path.join(path.sep, 'work', 'repo');
+    const [run] = JSON.parse(formatSarif(DOCUMENT, { cwd, commandLine: 'sdlc all --format sarif', startTime: '2026-10-18T11:59:00.000Z' })).runs;
+    const root = `${pathToFileURL(cwd).href}/`;
+
+    expect(run.originalUriBaseIds).toEqual({ SRCROOT: { uri: root } });
+    expect(run.columnKind).toBe('utf16CodeUnits');
+    expect(run.invocations).toEqual([{
+      executionSuccessful: true,
+      commandLine: 'sdlc all --format sarif',
+      startTimeUtc: '2026-10-18T11:59:00.000Z',
+      endTimeUtc: '2026-10-18T12:00:00.000Z',
+      workingDirectory: { uri: root },
+      toolExecutionNotifications: [{ level: 'warning', message: { text: DOCUMENT.warnings[0] } }]
+    }]);
+  });
+
+  test('should produce logs valid against the SARIF 2.1.0 schema', () => {
+    const logs = [
+      formatSarif(DOCUMENT, { commandLine: 'sdlc all --format sarif', startTime: '2026-10-18T11:59:00.000Z' }),
+      formatSarif({ findings: [] }),
+      formatSarif({ findings: [finding('performance', 'no-sync', 'info', path.resolve('abs.js'), 1)] })
+    ];
+
+    for (const log of logs) {
+      const valid = validateSarif(JSON.parse(log));
+      expect(validateSarif.errors).toBeNull();
+      expect(valid).toBe(true);
+    }
+
+    expect(validateSarif({ version: '2.1.0', runs: [{ tool: { driver: { name: 'x' } }, results: [{ level: 'fatal', message: { text: 'x' } }] }] })).toBe(false);
+  });
+
+  test('should render JUnit suites per tool with a failure per finding', () => {
+    const xml = formatJunit(DOCUMENT);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="sdlc" tests="4" failures="3" errors="0">/);
+    expect(xml).toContain('<testsuite name="security" tests="2" failures="2" errors="0">');
+    expect(xml).toContain('<testcase classname="security.src/b.js" name="no-inner-html at 7:5">');
+    expect(xml).toContain('<failure message="no-inner-html &lt;message&gt; &amp; &quot;quotes&quot;" type="medium">src/b.js:7:5\neval(x)</failure>');
+    expect(xml).toContain('<testsuite name="style" tests="1" failures="0" errors="0">\n    <testcase classname="style" name="no findings"/>');
+  });
+
+  test('should render Checkstyle errors grouped by file', () => {
+    const xml = formatCheckstyle(DOCUMENT);
+
+    expect(xml.split('\n')).toEqual([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<checkstyle version="4.3">',
+      '  <file name="src/a.js">',
+      '    <error line="3" column="5" severity="error" message="no-eval &lt;message&gt; &amp; &quot;quotes&quot;" source="sdlc.review.no-eval"/>',
+      '    <error line="3" column="5" severity="error" message="no-eval &lt;message&gt; &amp; &quot;quotes&quot;" source="sdlc.security.no-eval"/>',
+      '  </file>',
+      '  <file name="src/b.js">',
+      '    <error line="7" column="5" severity="warning" message="no-inner-html &lt;message&gt; &amp; &quot;quotes&quot;" source="sdlc.security.no-inner-html"/>',
+      '  </file>',
+      '</checkstyle>'
+    ]);
+    expect(formatCheckstyle({ findings: [] })).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<checkstyle version="4.3">\n</checkstyle>');
+  });
+
+  test('should render Code Climate issues', () => {
+    const issues = JSON.parse(formatCodeClimate(DOCUMENT));
+
+    expect(issues).toHaveLength(3);
+    expect(issues[1]).toEqual({
+      type: 'issue',
+      check_name: 'security/no-eval',
+      description: 'no-eval <message> & "quotes"',
+      content: { body: 'Parse instead' },
+      categories: ['Security'],
+      location: { path: 'src/a.js', positions: { begin: { line: 3, column: 5 }, end: { line: 3, column: 12 } } },
+      severity: 'blocker',
+      fingerprint: 'security:security-no-eval-3:1'
+    });
+    expect(issues[0].categories).toEqual(['Bug Risk']);
+  });
+
+  test('should render GitLab Code Quality issues', () => {
+    expect(JSON.parse(formatGitlab(DOCUMENT))[2]).toEqual({
+      description: 'no-inner-html <message> & "quotes" (security/no-inner-html)',
+      check_name: 'security/no-inner-html',
+      fingerprint: 'security:security-no-inner-html-7:1',
+      severity: 'major',
+      location: { path: 'src/b.js', lines: { begin: 7 } }
+    });
+  });
+
+  test('should keep Code Climate and GitLab fingerprints unique for repeated findings', () => {
+    const repeated = { ...DOCUMENT.findings[1], fingerprint: 'same-snippet' };
+    const document = {
+      findings: [repeated, { ...repeated, location: { ...repeated.location, line: 9 } }, { ...repeated, tool: 'review' }]
+    };
+    const expected = ['security:same-snippet:1', 'security:same-snippet:2', 'review:same-snippet:1'];
+
+    expect(JSON.parse(formatCodeClimate(document)).map(issue => issue.fingerprint)).toEqual(expected);
+    expect(JSON.parse(formatGitlab(document)).map(issue => issue.fingerprint)).toEqual(expected);
+  });
+
+  test('should expose every format by name', () => {
+    expect(Object.keys(FORMATTERS)).toEqual(['json', 'sarif', 'junit', 'checkstyle', 'codeclimate', 'gitlab']);
+    expect(JSON.parse(FORMATTERS.json({ ready: true }))).toEqual({ ready: true });
+  });
+});
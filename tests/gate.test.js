@@ -0,0 +1,43 @@
+/**
+ * Tests for scripts/lib/gate.js
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { evaluateGate, parseFailOn } = require('../scripts/lib/gate');
+
+const findings = ['critical', 'high', 'high', 'medium', 'low'].map(severity => ({ severity }));
+
+describe('parseFailOn', () => {
+  test('should parse severity, score and count conditions', () => {
+    expect(parseFailOn('high')).toEqual({ severity: 'high' });
+    expect(parseFailOn('critical, score<70,count>20')).toEqual({ severity: 'critical', minScore: 70, maxFindings: 20 });
+    expect(parseFailOn('none')).toEqual({ severity: 'none' });
+  });
+
+  test('should reject unknown conditions', () => {
+    expect(() => parseFailOn('score>70')).toThrow('Invalid --fail-on condition "score>70"');
+    expect(() => parseFailOn('blocker')).toThrow('Invalid --fail-on condition "blocker"');
+  });
+});
+
+describe('evaluateGate', () => {
+  test('should fail on findings at or above the severity', () => {
+    expect(evaluateGate('security', { findings }, { severity: 'high' })).toEqual({
+      passed: false,
+      failures: ['security: 3 findings at or above "high" (1 critical, 2 high)']
+    });
+    expect(evaluateGate('security', { findings: findings.slice(3) }, { severity: 'high' }).passed).toBe(true);
+  });
+
+  test('should fail on low scores and too many findings', () => {
+    expect(evaluateGate('style', { score: 55, findings }, { minScore: 70, maxFindings: 4 }).failures).toEqual([
+      'style: score 55/100 is below the minimum of 70',
+      'style: 5 findings exceed the maximum of 4'
+    ]);
+  });
+
+  test('should pass without a gate or with severity none', () => {
+    expect(evaluateGate('review', { score: 0, findings }).passed).toBe(true);
+    expect(evaluateGate('review', { score: 0, findings }, { severity: 'none' }).passed).toBe(true);
+  });
+});
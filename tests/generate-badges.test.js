@@ -0,0 +1,87 @@
+/**
+ * Tests for scripts/generate-badges.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const BadgeGenerator = require('../scripts/generate-badges');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+
+const { badgeColor, renderBadge } = BadgeGenerator;
+
+describe('badgeColor', () => {
+  test('should color values by the lowest green and yellow value', () => {
+    const thresholds = { green: 90, yellow: 70 };
+
+    expect(badgeColor(90, thresholds)).toBe('green');
+    expect(badgeColor(89, thresholds)).toBe('yellow');
+    expect(badgeColor(70, thresholds)).toBe('yellow');
+    expect(badgeColor(69, thresholds)).toBe('red');
+  });
+});
+
+describe('renderBadge', () => {
+  test('should size the badge to its text and escape it', () => {
+    const svg = renderBadge({ label: 'review', message: '85/100', color: 'green' });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="(\d+)" height="20"/);
+    expect(svg).toContain('<title>review: 85/100</title>');
+    expect(svg).toContain('fill="#4c1"');
+    expect(Number(svg.match(/width="(\d+)"/)[1]))
+      .toBeLessThan(Number(renderBadge({ label: 'review', message: 'not ready', color: 'red' }).match(/width="(\d+)"/)[1]));
+    expect(renderBadge({ label: 'a&b', message: '<1>', color: '#123456' })).toContain('>a&amp;b</text>');
+  });
+});
+
+describe('BadgeGenerator', () => {
+  let outputDir;
+
+  const writeReport = (file, report) => fs.writeFileSync(path.join(outputDir, file), JSON.stringify(report));
+  const generate = async (overrides = {}) => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const generator = new BadgeGenerator({ config: mergeConfig(DEFAULT_CONFIG, overrides), outputDir });
+    const badges = await generator.generate();
+    jest.restoreAllMocks();
+    return Object.fromEntries(badges.map(badge => [badge.label, badge]));
+  };
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-badges-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should write one badge per report, colored by the configured thresholds', async () => {
+    writeReport('ai-review-results.json', { score: 85 });
+    writeReport('security-scan-results.json', { score: 75 });
+    writeReport('test-analysis-report.json', { summary: { overallCoverage: 92 } });
+
+    const badges = await generate();
+
+    expect(badges.review).toEqual({ label: 'review', message: '85/100', color: 'yellow' });
+    expect(badges.security).toEqual({ label: 'security', message: '75/100', color: 'red' });
+    expect(badges.coverage).toEqual({ label: 'coverage', message: '92%', color: 'green' });
+    expect(fs.readdirSync(path.join(outputDir, 'badges')).sort())
+      .toEqual(['coverage.svg', 'merge.svg', 'performance.svg', 'review.svg', 'security.svg', 'style.svg']);
+    expect(fs.readFileSync(path.join(outputDir, 'badges', 'review.svg'), 'utf8')).toContain('fill="#dfb317"');
+
+    const relaxed = await generate({ badges: { dir: 'img', thresholds: { security: { green: 70, yellow: 50 } } } });
+    expect(relaxed.security.color).toBe('green');
+    expect(fs.existsSync(path.join(outputDir, 'img', 'security.svg'))).toBe(true);
+  });
+
+  test('should show merge blockers as red and missing reports as unknown', async () => {
+    writeReport('merge-readiness-results.json', { ready: false, score: 95 });
+    writeReport('performance-analysis-results.json', '{ broken');
+
+    const badges = await generate();
+
+    expect(badges.merge).toEqual({ label: 'merge', message: 'not ready', color: 'red' });
+    expect(badges.performance).toEqual({ label: 'performance', message: 'unknown', color: 'unknown' });
+    expect(badges.style.message).toBe('unknown');
+  });
+});
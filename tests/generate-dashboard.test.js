@@ -0,0 +1,146 @@
+/**
+ * Tests for scripts/generate-dashboard.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const QualityDashboard = require('../scripts/generate-dashboard');
+const { TOOL_REPORTS } = require('../scripts/aggregate-results');
+const { SCHEMA_VERSION } = require('../scripts/lib/finding');
+
+const SOURCE = [
+  'const a = 1;',
+  'const b = 2;',
+  'const c = 3;',
+  'const d = eval(input);',
+  'const e = 5;',
+  'const f = 6;',
+  'const g = 7;',
+  'const h = 8;'
+].join('\n');
+
+const finding = (tool, ruleId, line, fields = {}) => ({
+  id: `${tool}/${ruleId}/src/app.js:${line}:11`,
+  ruleId,
+  tool,
+  severity: 'high',
+  category: tool,
+  message: `${ruleId} message`,
+  location: { file: 'src/app.js', line, column: 11, endLine: line, endColumn: 22, snippet: 'eval(input)' },
+  fingerprint: `${tool}-${ruleId}-${line}`,
+  fix: null,
+  ...fields
+});
+
+describe('QualityDashboard', () => {
+  let workDir;
+  let dashboard;
+
+  const writeReport = (file, report) => fs.writeFileSync(path.join(workDir, file), JSON.stringify(report));
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-dashboard-'));
+    fs.mkdirSync(path.join(workDir, 'src'));
+    fs.writeFileSync(path.join(workDir, 'src', 'app.js'), SOURCE);
+
+    writeReport(TOOL_REPORTS.review, {
+      schemaVersion: SCHEMA_VERSION,
+      score: 80,
+      findings: [finding('review', 'no-eval', 4, { fix: { description: 'Parse the input instead', autoFixable: false } })]
+    });
+    writeReport(TOOL_REPORTS.security, {
+      schemaVersion: SCHEMA_VERSION,
+      score: 60,
+      findings: [
+        finding('security', 'no-eval', 4, { severity: 'critical' }),
+        finding('security', 'no-inner-html', 8, { severity: 'medium', message: 'Avoid <script> injection via innerHTML' })
+      ]
+    });
+
+    dashboard = new QualityDashboard({ outputDir: workDir, sourceRoot: workDir, contextLines: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should attach source context and link findings on the same code', () => {
+    const { findings } = dashboard.collect();
+
+    expect(findings.map(f => [f.anchor, f.tool, f.ruleId])).toEqual([
+      ['finding-1', 'review', 'no-eval'],
+      ['finding-2', 'security', 'no-eval'],
+      ['finding-3', 'security', 'no-inner-html']
+    ]);
+    expect(findings[0].context).toEqual({ startLine: 2, lines: SOURCE.split('\n').slice(1, 6) });
+    expect(findings[2].context.lines).toEqual(['const f = 6;', 'const g = 7;', 'const h = 8;']);
+    expect(findings.map(f => f.related)).toEqual([['finding-2'], ['finding-1'], []]);
+  });
+
+  test('should fall back to the recorded snippet when the source is gone', () => {
+    fs.rmSync(path.join(workDir, 'src', 'app.js'));
+    const html = dashboard.render(dashboard.collect());
+
+    expect(html).toContain('<pre><code>eval(input)</code></pre>');
+  });
+
+  test('should only link http(s) rule docs and escape unknown severities', () => {
+    writeReport(TOOL_REPORTS.style, {
+      schemaVersion: SCHEMA_VERSION,
+      score: 90,
+      findings: [
+        finding('style', 'pack-safe', 1, { docsUrl: 'https://example.com/rules/pack-safe' }),
+        finding('style', 'pack-script', 2, { docsUrl: 'javascript:alert(1)' }),
+        finding('style', 'pack-severity', 3, { severity: '"><img src=x onerror=alert(1)>' })
+      ]
+    });
+    const html = dashboard.render(dashboard.collect());
+
+    expect(html).toContain('<a href="https://example.com/rules/pack-safe">Rule documentation</a>');
+    expect(html).not.toContain('javascript:');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('<span class="badge info">&quot;&gt;&lt;img src=x onerror=alert(1)&gt;</span>');
+  });
+
+  test('should include test and merge readiness results when present', () => {
+    writeReport('test-analysis-report.json', {
+      summary: { totalTests: 10, passedTests: 9, failedTests: 1, skippedTests: 0, successRate: 90, overallCoverage: 72 },
+      recommendations: [{ priority: 'critical', type: 'failed-tests', message: '1 tests are failing.' }],
+      quality: 70
+    });
+    writeReport('merge-readiness-results.json', {
+      ready: false,
+      score: 40,
+      blockers: [{ type: 'test-failure', severity: 'critical', message: 'Tests are failing (1 failed)' }],
+      warnings: [],
+      summary: { recommendation: 'PR is not ready for merge.' }
+    });
+
+    const html = dashboard.render(dashboard.collect());
+
+    expect(html).toContain('<h2>Tests</h2>');
+    expect(html).toContain('1 tests are failing.');
+    expect(html).toContain('<p class="not-ready">PR is not ready for merge.</p>');
+    expect(html).toContain('Tests are failing (1 failed)');
+  });
+
+  test('should write one self-contained, escaped HTML file with filters', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await dashboard.generate();
+    jest.restoreAllMocks();
+
+    expect(result).toEqual({ file: path.join(workDir, QualityDashboard.DASHBOARD_REPORT), findings: 3 });
+    const html = fs.readFileSync(result.file, 'utf8');
+
+    expect(html).not.toMatch(/<(script|link|img)[^>]+(src|href)=/);
+    expect(html).toContain('Avoid &lt;script&gt; injection via innerHTML');
+    expect(html).toContain('<span class="line hit"><span class="number">4</span>const d = eval(input);</span>');
+    expect(html).toContain('<a class="related" href="#finding-1">review/no-eval at src/app.js:4:11</a>');
+    expect(html).toContain('<option value="no-inner-html">no-inner-html</option>');
+    expect(html).toContain('data-severity="critical" data-tool="security" data-rule="no-eval" data-file="src/app.js"');
+    expect(html).toContain('💡 Parse the input instead');
+    expect(html).toContain('Findings (<span id="visible-count">3</span> of 3)');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for scripts/lib/history.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const {
+  HistoryError, appendRun, collapseRuns, createRun, createTestRun, formatTrend, readHistory
+} = require('../scripts/lib/history');
+
+const finding = (tool, file, severity = 'high') => ({ tool, severity, location: { file, line: 1 } });
+
+const document = (tools) => ({
+  tools: Object.fromEntries(Object.entries(tools).map(([tool, { score }]) => [tool, { score }])),
+  findings: Object.entries(tools).flatMap(([tool, { files }]) => files.map(file => finding(tool, file)))
+});
+
+const revision = (commit, dirty = false) => ({ revision: { commit, branch: 'main', dirty } });
+
+describe('history', () => {
+  let historyPath;
+
+  beforeEach(() => {
+    historyPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-history-')), 'reports', '.sdlc-history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(path.dirname(historyPath)), { recursive: true, force: true });
+  });
+
+  test('should summarize scores, severities and directories per tool', () => {
+    const run = createRun(document({
+      review: { score: 80, files: ['src/a.js', 'src/lib/b.js', 'src/lib/c.js'] },
+      style: { score: 95, files: [] }
+    }), revision('abc1234def'));
+
+    expect(run).toMatchObject({ version: 1, commit: 'abc1234def', branch: 'main', dirty: false });
+    expect(run.tools.review).toEqual({
+      score: 80,
+      findings: 3,
+      bySeverity: { critical: 0, high: 3, medium: 0, low: 0, info: 0 },
+      directories: { src: 1, 'src/lib': 2 }
+    });
+    expect(run.tools.style.findings).toBe(0);
+  });
+
+  test('should append runs as JSON lines and read them back', () => {
+    expect(readHistory(historyPath)).toEqual([]);
+
+    appendRun(historyPath, createRun(document({ review: { score: 70, files: ['a.js'] } }), revision('c1')));
+    appendRun(historyPath, createTestRun({ summary: { failedTests: 2, successRate: 90, overallCoverage: 75 }, quality: 68 }, revision('c1')));
+
+    const runs = readHistory(historyPath);
+    expect(fs.readFileSync(historyPath, 'utf8').split('\n')).toHaveLength(3);
+    expect(runs.map(run => Object.keys(run.tools))).toEqual([['review'], ['tests']]);
+    expect(runs[1].tools.tests).toEqual({ score: 68, findings: 2, successRate: 90, coverage: 75 });
+  });
+
+  test('should reject corrupt history lines', () => {
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.writeFileSync(historyPath, '{"commit":"c1","tools":{}}\n{"commit":\n');
+
+    expect(() => readHistory(historyPath)).toThrow(HistoryError);
+    expect(() => readHistory(historyPath)).toThrow('line 2 is not valid JSON');
+  });
+
+  test('should merge runs of the same commit, the latest result of a tool winning', () => {
+    const runs = collapseRuns([
+      createRun(document({ review: { score: 70, files: [] }, style: { score: 90, files: [] } }), revision('c1')),
+      createRun(document({ review: { score: 75, files: [] } }), revision('c2')),
+      createRun(document({ style: { score: 92, files: [] } }), revision('c1')),
+      createRun(document({ review: { score: 60, files: [] } }), revision(null)),
+      createRun(document({ review: { score: 61, files: [] } }), revision(null))
+    ]);
+
+    expect(runs.map(run => [run.commit, run.tools.review.score, run.tools.style && run.tools.style.score]))
+      .toEqual([['c1', 70, 92], ['c2', 75, undefined], [null, 60, undefined], [null, 61, undefined]]);
+  });
+
+  test('should render score, finding and directory trends', () => {
+    const lines = formatTrend([
+      { ...createRun(document({ review: { score: 70, files: ['src/a.js', 'src/b.js', 'lib/c.js'] } }), revision('1111111aaa')), timestamp: '2026-10-01T10:00:00.000Z' },
+      { ...createRun(document({ review: { score: 82, files: ['src/a.js'] } }), revision('2222222bbb', true)), timestamp: '2026-10-02T10:00:00.000Z' }
+    ]);
+
+    expect(lines).toEqual([
+      'Trend over the last 2 commits (* uncommitted changes)',
+      '',
+      'Scores',
+      'commit               review',
+      '1111111  2026-10-01      70',
+      '2222222* 2026-10-02      82',
+      'change                  +12',
+      '',
+      'Findings',
+      'commit               review',
+      '1111111  2026-10-01       3',
+      '2222222* 2026-10-02       1',
+      'change                   -2',
+      '',
+      'Findings by directory',
+      'commit                 src',
+      '1111111  2026-10-01      2',
+      '2222222* 2026-10-02      1',
+      'change                  -1'
+    ]);
+  });
+
+  test('should limit the trend to the most recent commits', () => {
+    const runs = ['c1', 'c2', 'c3'].map(commit => createRun(document({ review: { score: 80, files: [] } }), revision(commit)));
+
+    expect(formatTrend(runs, { limit: 2 })[0]).toBe('Trend over the last 2 commits (* uncommitted changes)');
+    expect(formatTrend([])).toEqual(['No history recorded yet: run an analyzer command to start one']);
+  });
+});
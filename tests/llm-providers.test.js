@@ -0,0 +1,124 @@
+/**
+ * Tests for scripts/lib/llm-providers.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, afterEach } = require('@jest/globals');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+const { ProviderError, StubProvider, createProvider } = require('../scripts/lib/llm-providers');
+
+const config = (overrides) => ({ ...DEFAULT_CONFIG.review.llm, model: 'test-model', ...overrides });
+const REQUEST = { system: 'Be brief', prompt: 'Review this', maxTokens: 256, meta: { file: 'src/a.js' } };
+
+const mockFetch = (status, payload) => jest.spyOn(global, 'fetch')
+  .mockResolvedValue(new Response(typeof payload === 'string' ? payload : JSON.stringify(payload), { status }));
+const sentRequest = (fetchMock) => {
+  const [url, init] = fetchMock.mock.calls[0];
+  return { url, headers: init.headers, body: JSON.parse(init.body) };
+};
+
+describe('createProvider', () => {
+  test('should return no provider when none is configured', () => {
+    expect(createProvider(config({ provider: 'none' }))).toBeNull();
+  });
+
+  test('should reject unknown providers, missing models and missing API keys', () => {
+    expect(() => createProvider(config({ provider: 'bard' }))).toThrow('LLM provider bard: unknown provider (expected one of: none, openai, anthropic, ollama, stub)');
+    expect(() => createProvider(config({ provider: 'ollama', model: '' }))).toThrow(ProviderError);
+    expect(() => createProvider(config({ provider: 'openai' }), { env: {} }))
+      .toThrow('LLM provider openai: the OPENAI_API_KEY environment variable is not set');
+    expect(() => createProvider(config({ provider: 'anthropic', apiKeyEnv: 'REVIEW_KEY' }), { env: {} }))
+      .toThrow('the REVIEW_KEY environment variable is not set');
+  });
+});
+
+describe('HTTP providers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should call OpenAI-compatible chat completions', async () => {
+    const fetchMock = mockFetch(200, { choices: [{ message: { content: '{"comments":[]}' } }], usage: { prompt_tokens: 40, completion_tokens: 5 } });
+    const provider = createProvider(config({ provider: 'openai', endpoint: 'http://llm.local/v1/' }), { env: { OPENAI_API_KEY: 'sk-test' } });
+
+    expect(await provider.complete(REQUEST)).toEqual({ text: '{"comments":[]}', usage: { input: 40, output: 5 } });
+
+    const { url, headers, body } = sentRequest(fetchMock);
+    expect(url).toBe('http://llm.local/v1/chat/completions');
+    expect(headers.authorization).toBe('Bearer sk-test');
+    expect(body).toEqual({
+      model: 'test-model',
+      messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Review this' }],
+      max_tokens: 256,
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  test('should call Anthropic-style messages', async () => {
+    const fetchMock = mockFetch(200, {
+      content: [{ type: 'text', text: '{"comments":' }, { type: 'text', text: '[]}' }],
+      usage: { input_tokens: 30, output_tokens: 4 }
+    });
+    const provider = createProvider(config({ provider: 'anthropic' }), { env: { ANTHROPIC_API_KEY: 'key' } });
+
+    expect(await provider.complete(REQUEST)).toEqual({ text: '{"comments":[]}', usage: { input: 30, output: 4 } });
+
+    const { url, headers, body } = sentRequest(fetchMock);
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers).toMatchObject({ 'x-api-key': 'key', 'anthropic-version': '2023-06-01' });
+    expect(body).toEqual({ model: 'test-model', system: 'Be brief', messages: [{ role: 'user', content: 'Review this' }], max_tokens: 256, temperature: 0 });
+  });
+
+  test('should call a local Ollama-style endpoint without an API key', async () => {
+    const fetchMock = mockFetch(200, { message: { content: '{"comments":[]}' }, prompt_eval_count: 20, eval_count: 3 });
+    const provider = createProvider(config({ provider: 'ollama' }), { env: {} });
+
+    expect(await provider.complete(REQUEST)).toEqual({ text: '{"comments":[]}', usage: { input: 20, output: 3 } });
+
+    const { url, body } = sentRequest(fetchMock);
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body).toMatchObject({ stream: false, format: 'json', options: { temperature: 0, num_predict: 256 } });
+  });
+
+  test('should report HTTP errors, unexpected payloads and network failures', async () => {
+    const provider = createProvider(config({ provider: 'ollama' }), { env: {} });
+
+    mockFetch(500, 'model not loaded');
+    await expect(provider.complete(REQUEST)).rejects.toThrow('LLM provider ollama: HTTP 500 from http://localhost:11434/api/chat: model not loaded');
+
+    mockFetch(200, { done: true });
+    await expect(provider.complete(REQUEST)).rejects.toThrow('response has no message.content');
+
+    jest.spyOn(global, 'fetch').mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await expect(provider.complete(REQUEST)).rejects.toThrow('request to http://localhost:11434/api/chat failed (connect ECONNREFUSED)');
+  });
+});
+
+describe('StubProvider', () => {
+  test('should answer from fixtures by hunk, file or wildcard and record calls', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-llm-'));
+    fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify({
+      'src/a.js:10': { comments: [{ line: 10, severity: 'low', message: 'hunk' }] },
+      'src/a.js': { comments: [] },
+      '*': 'not json'
+    }));
+
+    try {
+      const stub = createProvider(config({ provider: 'stub', fixtures: 'fixtures.json' }), { cwd: dir });
+
+      expect(stub).toBeInstanceOf(StubProvider);
+      expect((await stub.complete({ ...REQUEST, meta: { file: 'src/a.js', startLine: 10 } })).text).toContain('"hunk"');
+      expect((await stub.complete(REQUEST)).text).toBe('{"comments":[]}');
+      expect((await stub.complete({ ...REQUEST, meta: { file: 'src/b.js' } })).text).toBe('not json');
+      expect(stub.calls).toHaveLength(3);
+
+      expect(await new StubProvider(config({ provider: 'stub' })).complete(REQUEST)).toEqual({ text: '{"comments":[]}', usage: null });
+      expect(() => createProvider(config({ provider: 'stub', fixtures: 'missing.json' }), { cwd: dir })).toThrow('could not read fixtures missing.json');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for scripts/lib/llm-review.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+const { DiffScope } = require('../scripts/lib/diff-scope');
+const { StubProvider } = require('../scripts/lib/llm-providers');
+const { LLMReviewer, TokenBudget, numberLines, parseComments, renderTemplate } = require('../scripts/lib/llm-review');
+
+const LLM_CONFIG = { ...DEFAULT_CONFIG.review.llm, provider: 'stub' };
+const SOURCE = ['function add (a, b) {', '  return a + b', '}', '', 'module.exports = add;'].join('\n');
+
+const stubWith = (fixtures) => Object.assign(new StubProvider(LLM_CONFIG), { fixtures });
+const reviewer = (provider, overrides = {}) => new LLMReviewer({ ...LLM_CONFIG, ...overrides }, { provider });
+
+describe('prompt helpers', () => {
+  test('should fill known placeholders only', () => {
+    expect(renderTemplate('{{file}} has {{count}} {{unknown}}', { file: 'a.js', count: 2 })).toBe('a.js has 2 {{unknown}}');
+  });
+
+  test('should number lines and mark the changed ones of a hunk', () => {
+    const lines = SOURCE.split('\n');
+
+    expect(numberLines(lines, 1, 2)).toEqual(['1 | function add (a, b) {', '2 |   return a + b']);
+    expect(numberLines(lines, 1, 3, [2, 2])).toEqual(['1   | function add (a, b) {', '2 + |   return a + b', '3   | }']);
+  });
+});
+
+describe('parseComments', () => {
+  test('should accept fenced JSON and drop comments outside the reviewed lines', () => {
+    const text = 'Here you go:\n```json\n{"comments": [' +
+      '{"line": 2, "severity": "medium", "message": "Missing semicolon", "suggestion": "Add one"},' +
+      '{"line": 40, "severity": "low", "message": "Hallucinated"},' +
+      '{"line": 3, "endLine": 99, "severity": "info", "message": "Clamped"}]}\n```';
+
+    expect(parseComments(text, [1, 5])).toEqual([
+      { line: 2, endLine: 2, severity: 'medium', message: 'Missing semicolon', suggestion: 'Add one' },
+      { line: 3, endLine: 5, severity: 'info', message: 'Clamped' }
+    ]);
+  });
+
+  test('should reject answers that are not the expected JSON', () => {
+    expect(() => parseComments('Looks good to me!', [1, 5])).toThrow('response contains no JSON object');
+    expect(() => parseComments('{"comments": [}', [1, 5])).toThrow('response is not valid JSON');
+    expect(() => parseComments('{"comments": [{"line": 1, "severity": "urgent"}]}', [1, 5])).toThrow(
+      'response does not match the expected shape: comments[0].severity: must be one of critical, high, medium, low, info, got urgent; comments[0].message: required');
+    expect(() => parseComments('{"issues": []}', [1, 5])).toThrow('expected an object with a "comments" array');
+    expect(() => parseComments('{"comments": [{"line": 0, "severity": "low", "message": "x"}]}', [1, 5])).toThrow(
+      'comments[0].line: must be a line number >= 1, got 0');
+  });
+
+  test('should ignore properties the model adds on its own', () => {
+    const text = '{"comments": [{"line": 2, "endLine": null, "severity": "high", "message": "Leak", "confidence": 0.9, "category": "bug"}], "summary": "One issue"}';
+
+    expect(parseComments(text, [1, 5])).toEqual([{ line: 2, endLine: 2, severity: 'high', message: 'Leak' }]);
+  });
+});
+
+describe('TokenBudget', () => {
+  test('should track spent tokens against the limit', () => {
+    const budget = new TokenBudget(100);
+    budget.spend(60);
+
+    expect(budget.fits(40)).toBe(true);
+    expect(budget.fits(41)).toBe(false);
+  });
+});
+
+describe('LLMReviewer', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should review a whole file and anchor the comments to it', async () => {
+    const file = path.join('src', 'add.js');
+    const stub = stubWith({ [file]: { comments: [{ line: 2, severity: 'low', message: 'Add a semicolon' }] } });
+
+    const comments = await reviewer(stub).reviewFile(path.resolve(file), SOURCE);
+
+    expect(comments).toEqual([{ file, line: 2, endLine: 2, severity: 'low', message: 'Add a semicolon' }]);
+    expect(stub.calls[0].prompt).toContain(`Review ${file}.\n\n\`\`\`javascript\n1 | function add (a, b) {`);
+    expect(stub.calls[0].system).toContain('Answer with JSON only');
+  });
+
+  test('should send one request per changed hunk with surrounding context', async () => {
+    const file = path.resolve('src', 'add.js');
+    const scope = new DiffScope({ lines: new Map([[file, [[2, 2], [5, 5]]]]) });
+    const stub = stubWith({});
+
+    await reviewer(stub, { unit: 'hunk', contextLines: 1 }).reviewFile(file, SOURCE, scope);
+
+    expect(stub.calls.map(call => call.meta.startLine)).toEqual([2, 5]);
+    expect(stub.calls[0].prompt).toContain('at lines 2-2');
+    expect(stub.calls[0].prompt).toContain('1   | function add (a, b) {\n2 + |   return a + b\n3   | }\n```');
+  });
+
+  test('should truncate files that exceed the per-request token limit', async () => {
+    const stub = stubWith({});
+    const long = Array.from({ length: 400 }, (_, index) => `const value${index} = ${index};`).join('\n');
+
+    await reviewer(stub, { maxInputTokens: 600 }).reviewFile(path.resolve('big.js'), long);
+
+    expect(stub.calls[0].prompt).toMatch(/\.\.\. \d+ more lines not shown/);
+    expect(Math.ceil((stub.calls[0].system.length + stub.calls[0].prompt.length) / 4)).toBeLessThanOrEqual(600);
+  });
+
+  test('should fall back when the answer is invalid or the budget is spent', async () => {
+    const llm = reviewer(stubWith({ 'bad.js': 'I found no issues.' }), { maxTotalTokens: 1300, maxOutputTokens: 1024 });
+
+    expect(await llm.reviewFile(path.resolve('bad.js'), SOURCE)).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('LLM review of bad.js failed (response contains no JSON object)'));
+
+    expect(await llm.reviewFile(path.resolve('good.js'), SOURCE)).toBeNull();
+    expect(await llm.reviewFile(path.resolve('other.js'), SOURCE)).toBeNull();
+    expect(warn.mock.calls.filter(([message]) => message.includes('token budget of 1300 reached'))).toHaveLength(1);
+
+    expect(llm.summary()).toEqual({ provider: 'stub', model: null, unit: 'file', requests: 1, failures: 1, skipped: 2, tokens: llm.budget.used });
+  });
+
+  test('should disable itself when the provider is misconfigured', () => {
+    const llm = new LLMReviewer({ ...LLM_CONFIG, provider: 'openai', model: 'gpt-test' }, { env: {} });
+
+    expect(llm.enabled).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('OPENAI_API_KEY environment variable is not set; falling back to heuristic suggestions'));
+  });
+});
+
+describe('AICodeReviewer with an LLM provider', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-llm-review-'));
+    fs.writeFileSync(path.join(dir, 'add.js'), SOURCE);
+    fs.writeFileSync(path.join(dir, 'sub.js'), 'function sub (a, b) { return a - b }\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should report model comments and use heuristics for files the model could not review', async () => {
+    const addFile = path.relative(process.cwd(), path.join(dir, 'add.js'));
+    const subFile = path.relative(process.cwd(), path.join(dir, 'sub.js'));
+    fs.writeFileSync(path.join(dir, 'fixtures.json'), JSON.stringify({
+      [addFile]: { comments: [{ line: 1, severity: 'medium', message: 'Validate the arguments', suggestion: 'Check typeof a' }] },
+      [subFile]: 'timeout'
+    }));
+    const config = mergeConfig(DEFAULT_CONFIG, { review: { llm: { provider: 'stub', fixtures: path.join(dir, 'fixtures.json') } } });
+
+    const results = await new AICodeReviewer({ config, outputDir: dir, cache: false }).performReview(dir);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'ai-review-results.json'), 'utf8'));
+
+    expect(results.aiComments).toEqual([
+      { file: addFile, line: 1, endLine: 1, severity: 'medium', message: 'Validate the arguments', suggestion: 'Check typeof a' }
+    ]);
+    expect(results.suggestions).toContain(`${addFile}:1 Validate the arguments`);
+    expect(results.suggestions).toContain('Consider adding input validation to functions');
+    expect(report.llm).toMatchObject({ provider: 'stub', requests: 2, failures: 1 });
+    expect(fs.readFileSync(path.join(dir, 'ai-review-summary.md'), 'utf8'))
+      .toContain(`### 🧠 Model Review (stub)\n- \`${addFile}:1\` medium: Validate the arguments Suggestion: Check typeof a`);
+  });
+
+  test('should keep the heuristic suggestions when no provider is configured', async () => {
+    const results = await new AICodeReviewer({ config: DEFAULT_CONFIG, outputDir: dir, cache: false }).performReview(dir);
+
+    expect(results.aiComments).toEqual([]);
+    expect(results.suggestions).toContain('Consider adding JSDoc comments for better documentation');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'ai-review-results.json'), 'utf8')).llm)
+      .toEqual({ provider: 'none', model: null, unit: 'file', requests: 0, failures: 0, skipped: 0, tokens: 0 });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for scripts/lib/module-graph.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect, test, describe } = require('@jest/globals');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+const { ModuleGraph, scanModule } = require('../scripts/lib/module-graph');
+
+const FILES = {
+  'lib/util.js': 'function used () {}\nfunction unused () {}\nmodule.exports = { used, unused, viaNamespace: 1 };\n',
+  'lib/esm.js': 'export const a = 1;\nexport function b () {}\nexport default class C {}\n',
+  'lib/passed.js': 'exports.x = 1;\nexports.y = 2;\n',
+  'lib/entry.js': 'module.exports = { neverImported: true };\n',
+  'main.js': [
+    'const { used } = require(\'./lib/util\');',
+    'const util = require(\'./lib/util.js\');',
+    'import C, { a } from \'./lib/esm\';',
+    'const passed = require(\'./lib/passed\');',
+    'run(used, util.viaNamespace, C, a, passed);'
+  ].join('\n')
+};
+
+const graphOf = (files, root = '/project') => {
+  const graph = new ModuleGraph();
+  for (const [file, content] of Object.entries(files)) {
+    graph.addFile(file, content, path.join(root, file));
+  }
+  return graph;
+};
+
+describe('ModuleGraph', () => {
+  test('should report named exports of imported modules that nothing imports', () => {
+    expect(graphOf(FILES).unusedExports().map(({ file, name, line, column }) => [file, name, line, column])).toEqual([
+      ['lib/util.js', 'unused', 3, 26],
+      ['lib/esm.js', 'b', 2, 17]
+    ]);
+  });
+
+  test('should count every export as used when an import is not narrowed to names', () => {
+    const graph = graphOf({
+      'lib/util.js': FILES['lib/util.js'],
+      'lib/esm.js': FILES['lib/esm.js'],
+      'main.js': 'export * from \'./lib/esm\';\nimport(\'./lib/util\');\n'
+    });
+
+    expect(graph.unusedExports()).toEqual([]);
+  });
+
+  test('should only count the imports of files added without reporting', () => {
+    const graph = graphOf({ 'lib/esm.js': FILES['lib/esm.js'] });
+    graph.addFile('lib/esm.test.js', 'import { b } from \'./esm\';\n', '/project/lib/esm.test.js', { report: false });
+
+    expect(graph.unusedExports().map(({ name }) => name)).toEqual(['a']);
+  });
+
+  test('should replace the imports and exports of a file added again', () => {
+    const graph = graphOf({ 'lib/esm.js': FILES['lib/esm.js'], 'main.js': 'import { a } from \'./lib/esm\';\n' });
+    graph.addFile('main.js', 'import { b } from \'./lib/esm\';\n', '/project/main.js');
+    graph.addFile('lib/esm.js', 'export const a = 1;\nexport function b () {}\n', '/project/lib/esm.js', {}, scanModule('export const a = 1;\nexport function b () {}\n', '/project/lib/esm.js'));
+
+    expect(graph.unusedExports().map(({ name, line }) => [name, line])).toEqual([['a', 1]]);
+  });
+});
+
+describe('AICodeReviewer dead code', () => {
+  test('should report unused exports, declarations and unreachable code', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-dead-code-'));
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.writeFileSync(path.join(dir, 'lib', 'util.js'), FILES['lib/util.js']);
+    fs.writeFileSync(path.join(dir, 'lib', 'util.test.js'), 'const { unused } = require(\'./util\');\ntest(\'unused\', unused);\n');
+    fs.writeFileSync(path.join(dir, 'main.js'), 'const { used } = require(\'./lib/util\');\nfunction start () {\n  return used();\n  log();\n}\nmodule.exports = start;\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const results = await new AICodeReviewer({ config: DEFAULT_CONFIG, outputDir: dir, cache: false }).performReview(dir);
+      const relative = (file) => path.relative(process.cwd(), path.join(dir, file));
+
+      expect(results.issues.filter(issue => issue.category === 'deadCode').map(issue => [issue.ruleId, issue.file, issue.line, issue.message])).toEqual([
+        ['no-unreachable', relative('main.js'), 4, 'Unreachable code after return, throw, break or continue'],
+        ['unused-export', relative('lib/util.js'), 3, 'Export viaNamespace is never imported']
+      ]);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should find importers outside a reviewed subdirectory and honor sdlc-disable', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-dead-code-'));
+    execFileSync('git', ['init', '-q'], { cwd: dir });
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.mkdirSync(path.join(dir, 'tests'));
+    fs.writeFileSync(path.join(dir, 'lib', 'util.js'), 'exports.a = 1;\nexports.b = 2;\n// sdlc-disable-next-line unused-export\nexports.c = 3;\nexports.d = 4;\n');
+    fs.writeFileSync(path.join(dir, 'lib', 'main.js'), 'const { a } = require(\'./util\');\nmodule.exports = a;\n');
+    fs.writeFileSync(path.join(dir, 'tests', 'util.test.js'), 'const { b } = require(\'../lib/util\');\ntest(\'b\', () => b);\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const results = await new AICodeReviewer({ config: DEFAULT_CONFIG, outputDir: dir, cache: false }).performReview(path.join(dir, 'lib'));
+      const names = findings => findings.filter(finding => finding.ruleId === 'unused-export').map(finding => finding.message);
+
+      expect(names(results.issues)).toEqual(['Export d is never imported']);
+      expect(names(results.suppressed)).toEqual(['Export c is never imported']);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should serve importer summaries from the analysis cache on the next run', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-dead-code-'));
+    execFileSync('git', ['init', '-q'], { cwd: dir });
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.mkdirSync(path.join(dir, 'tests'));
+    fs.writeFileSync(path.join(dir, 'lib', 'util.js'), 'exports.a = 1;\nexports.b = 2;\n');
+    fs.writeFileSync(path.join(dir, 'tests', 'util.test.js'), 'const { a } = require(\'../lib/util\');\ntest(\'a\', () => a);\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const review = async () => {
+      const reviewer = new AICodeReviewer({ config: DEFAULT_CONFIG, outputDir: dir });
+      const scan = jest.fn(reviewer.cache.extras.moduleInfo);
+      reviewer.cache.extras.moduleInfo = scan;
+      const results = await reviewer.performReview(path.join(dir, 'lib'));
+      return { scans: scan.mock.calls.map(([, filePath]) => path.relative(dir, filePath)).sort(), results };
+    };
+
+    try {
+      const first = await review();
+      expect(first.scans).toEqual([path.join('lib', 'util.js'), path.join('tests', 'util.test.js')]);
+
+      const second = await review();
+      expect(second.scans).toEqual([]);
+      expect(second.results.issues.filter(issue => issue.ruleId === 'unused-export').map(issue => issue.message))
+        .toEqual(['Export b is never imported']);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
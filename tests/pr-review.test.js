@@ -0,0 +1,165 @@
+/**
+ * Tests for scripts/lib/pr-review.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe } = require('@jest/globals');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+const { REVIEW_PAYLOAD, anchorLines, buildPullRequestReview, suggestedChange } = require('../scripts/lib/pr-review');
+
+const ROOT = path.resolve('repo');
+
+const finding = (file, line, fields = {}) => ({
+  ruleId: 'eqeqeq',
+  tool: 'review',
+  severity: 'medium',
+  message: '== operator detected',
+  location: { file: path.join('repo', file), line, column: 5, endLine: line, endColumn: 11, snippet: 'if (a == b) {' },
+  fix: null,
+  ...fields
+});
+
+// Fix replacements as toSchemaFinding produces them, covering the finding's columns 5 to 11
+const replacement = (line, text) => ({ line, column: 5, endLine: line, endColumn: 11, text });
+
+const changed = (entries) => new Map(entries.map(([file, ranges]) => [path.join(ROOT, file), ranges]));
+
+describe('anchorLines', () => {
+  test('should narrow a range to the changed lines it overlaps', () => {
+    expect(anchorLines([[10, 12]], 11)).toEqual({ startLine: 11, line: 11, exact: true });
+    expect(anchorLines([[10, 12]], 8, 11)).toEqual({ startLine: 10, line: 11, exact: false });
+    expect(anchorLines([[10, 12], [20, 20]], 13, 19)).toBeNull();
+  });
+});
+
+describe('suggestedChange', () => {
+  test('should apply the replacement to the full source lines', () => {
+    const fixed = finding('a.js', 3, { fix: { description: 'Use ===', autoFixable: true, replacement: replacement(3, 'a === b') } });
+    const operator = finding('a.js', 3, { fix: { description: null, autoFixable: true, replacement: { line: 3, column: 7, endLine: 3, endColumn: 9, text: '===' } } });
+    const multiline = finding('a.js', 3, {
+      location: { file: 'a.js', line: 3, column: 1, endLine: 5, endColumn: 2, snippet: 'run({\n  a: 1\n})' },
+      fix: { description: null, autoFixable: true, replacement: { line: 4, column: 6, endLine: 4, endColumn: 7, text: '2' } }
+    });
+
+    expect(suggestedChange(fixed)).toBe('if (a === b) {');
+    expect(suggestedChange(operator)).toBe('if (a === b) {');
+    expect(suggestedChange(multiline)).toBe('run({\n  a: 2\n})');
+    expect(suggestedChange(finding('a.js', 3))).toBeNull();
+    expect(suggestedChange({ ...fixed, location: { ...fixed.location, endLine: 4 } })).toBeNull();
+    expect(suggestedChange({ ...fixed, fix: { ...fixed.fix, replacement: replacement(2, 'a === b') } })).toBeNull();
+  });
+});
+
+describe('buildPullRequestReview', () => {
+  test('should anchor findings on changed lines and drop the rest', () => {
+    const { payload, stats } = buildPullRequestReview({
+      findings: [
+        finding(path.join('src', 'a.js'), 3, { fix: { description: 'Use strict equality', autoFixable: true, replacement: replacement(3, 'a === b') }, docsUrl: 'https://example.com/eqeqeq' }),
+        finding(path.join('src', 'a.js'), 30),
+        finding('untouched.js', 3),
+        finding(path.join('src', 'b.js'), 5, { location: { file: path.join('repo', 'src', 'b.js'), line: 4, column: 1, endLine: 6, endColumn: 2, snippet: 'x\ny\nz' } })
+      ],
+      changedLines: changed([[path.join('src', 'a.js'), [[1, 5]]], [path.join('src', 'b.js'), [[5, 9]]]]),
+      root: ROOT,
+      commitId: 'abc123',
+      summary: '## Review'
+    });
+
+    expect(stats).toEqual({ anchored: 2, outsideDiff: 2, omitted: 0 });
+    expect(payload).toEqual({
+      commit_id: 'abc123',
+      event: 'COMMENT',
+      body: '## Review\n\n2 findings outside the changed lines are listed in the full report only.',
+      comments: [
+        {
+          path: 'src/a.js',
+          line: 3,
+          side: 'RIGHT',
+          body: '🟡 **medium** == operator detected (`review/eqeqeq`)\n\nUse strict equality\n\n```suggestion\nif (a === b) {\n```\n\n[Rule documentation](https://example.com/eqeqeq)'
+        },
+        { path: 'src/b.js', start_line: 5, start_side: 'RIGHT', line: 6, side: 'RIGHT', body: '🟡 **medium** == operator detected (`review/eqeqeq`)' }
+      ]
+    });
+  });
+
+  test('should include model comments and keep the most severe when over the limit', () => {
+    const { payload, stats } = buildPullRequestReview({
+      findings: [finding('a.js', 1, { severity: 'low' }), finding('a.js', 1, { severity: 'low' }), finding('a.js', 2, { severity: 'high' })],
+      comments: [{ file: path.join('repo', 'a.js'), line: 3, endLine: 3, severity: 'critical', message: 'Unbounded loop', suggestion: 'Add an exit condition' }],
+      changedLines: changed([['a.js', [[1, 3]]]]),
+      root: ROOT,
+      maxComments: 2
+    });
+
+    expect(stats).toEqual({ anchored: 2, outsideDiff: 0, omitted: 1 });
+    expect(payload.commit_id).toBeUndefined();
+    expect(payload.body).toBe('1 more comments on changed lines were left out; the 2 most severe are shown.');
+    expect(payload.comments.map(comment => [comment.line, comment.body.split('\n')[0]])).toEqual([
+      [2, '🟠 **high** == operator detected (`review/eqeqeq`)'],
+      [3, '🔴 **critical** Unbounded loop (`model review`)']
+    ]);
+    expect(payload.comments[1].body).toBe('🔴 **critical** Unbounded loop (`model review`)\n\nAdd an exit condition');
+  });
+});
+
+describe('AICodeReviewer pull request review', () => {
+  test('should write inline comments for findings on changed lines', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-pr-review-'));
+    fs.writeFileSync(path.join(dir, 'app.js'), 'var count = 1;\nif (count == 1) {\n  count++;\n}\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const reviewer = new AICodeReviewer({
+        config: DEFAULT_CONFIG,
+        outputDir: dir,
+        cache: false,
+        pullRequest: { changedLines: new Map([[path.join(dir, 'app.js'), [[2, 3]]]]), root: dir, commitId: 'deadbeef' }
+      });
+      await reviewer.performReview(dir);
+
+      const payload = JSON.parse(fs.readFileSync(path.join(dir, REVIEW_PAYLOAD), 'utf8'));
+      expect(payload.commit_id).toBe('deadbeef');
+      expect(payload.body).toMatch(/^## 🤖 AI Code Review\n\n📊 Score \d+\/100 · 2 issues/);
+      expect(payload.body).toContain('1 findings outside the changed lines');
+      expect(payload.comments).toEqual([
+        { path: 'app.js', line: 2, side: 'RIGHT', body: '🟡 **medium** == operator detected - consider using === for strict equality (`review/eqeqeq`)' }
+      ]);
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should suggest the fixes of rule pack findings', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-pr-review-'));
+    fs.writeFileSync(path.join(dir, 'pack.js'), `module.exports = [{
+      id: 'acme/no-moment',
+      severity: 'low',
+      message: 'moment is deprecated',
+      create: (context) => ({ Literal (node) { if (node.value === 'moment') context.report({ node }); } }),
+      fix: () => "'dayjs'"
+    }];`);
+    fs.writeFileSync(path.join(dir, 'app.js'), 'const moment = require(\'moment\');\nmodule.exports = moment;\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await new AICodeReviewer({
+        config: mergeConfig(DEFAULT_CONFIG, { review: { rulePacks: [path.join(dir, 'pack.js')] } }),
+        outputDir: dir,
+        cache: false,
+        pullRequest: { changedLines: new Map([[path.join(dir, 'app.js'), [[1, 1]]]]), root: dir }
+      }).performReview(dir);
+
+      const { comments } = JSON.parse(fs.readFileSync(path.join(dir, REVIEW_PAYLOAD), 'utf8'));
+      expect(comments.map(comment => comment.body)).toContain(
+        '🔵 **low** moment is deprecated (`review/acme/no-moment`)\n\n```suggestion\nconst moment = require(\'dayjs\');\n```'
+      );
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for scripts/lib/rule-engine.js and scripts/lib/detectors.js
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { RuleEngine, extractScripts } = require('../scripts/lib/rule-engine');
+const detect = require('../scripts/lib/detectors');
+
+const positions = (findings) => findings.map(f => [f.ruleId, f.line, f.column, f.endLine, f.endColumn]);
+
+describe('RuleEngine', () => {
+  test('should ignore matches inside comments and strings', () => {
+    const engine = new RuleEngine().register({ id: 'no-eval', create: detect.call('eval') });
+    const content = [
+      '// eval(input) in a comment',
+      'const text = \'eval(input) in a string\';',
+      '/* eval(',
+      '   input) */',
+      'eval(input);'
+    ].join('\n');
+
+    expect(positions(engine.run(content, 'file.js'))).toEqual([['no-eval', 5, 1, 5, 12]]);
+  });
+
+  test('should report multi-line constructs with their full range', () => {
+    const engine = new RuleEngine().register({ id: 'no-inner-html', create: detect.assignment('innerHTML') });
+    const content = 'element\n  .innerHTML =\n    markup;';
+
+    expect(positions(engine.run(content, 'file.js'))).toEqual([['no-inner-html', 1, 1, 3, 11]]);
+  });
+
+  test('should sort findings by position across rules', () => {
+    const engine = new RuleEngine().registerAll([
+      { id: 'no-var', create: detect.declaration('var') },
+      { id: 'no-console-log', create: detect.methodCall('console', 'log') }
+    ], { severity: 'low' });
+
+    const findings = engine.run('console.log(1);\nvar a = 1;\nconsole.log(a);', 'file.js');
+    expect(findings.map(f => `${f.ruleId}@${f.line}`)).toEqual(['no-console-log@1', 'no-var@2', 'no-console-log@3']);
+    expect(findings[0].rule.severity).toBe('low');
+    expect(findings[0].code).toBe('console.log(1)');
+  });
+
+  test('should parse TypeScript and JSX files', () => {
+    const engine = new RuleEngine().register({ id: 'eqeqeq', create: detect.binary('==') });
+
+    expect(engine.run('const x: number = 1;\nif (x == 2) {}', 'file.ts')).toHaveLength(1);
+    expect(engine.run('const el = <div>{a == b}</div>;', 'file.jsx')).toHaveLength(1);
+    expect(engine.run('const el = <T,>(v: T) => v == null;', 'file.tsx')).toHaveLength(1);
+  });
+
+  test('should analyze inline scripts in HTML with document positions', () => {
+    const html = '<html>\n<script type="text/template">eval(a)</script>\n<script>\n  eval(b);\n</script>';
+
+    expect(extractScripts(html, 'page.html')).toHaveLength(1);
+
+    const engine = new RuleEngine().register({ id: 'no-eval', create: detect.call('eval') });
+    expect(positions(engine.run(html, 'page.html'))).toEqual([['no-eval', 4, 3, 4, 10]]);
+  });
+
+  test('should support line-based rules', () => {
+    const engine = new RuleEngine().register({ id: 'no-tabs', create: detect.linePattern(/^[ ]*\t/m) });
+
+    expect(positions(engine.run('a();\n\tb();\n// \tnot code\n  \tc();', 'file.js'))).toEqual([
+      ['no-tabs', 2, 1, 2, 2],
+      ['no-tabs', 4, 1, 4, 4]
+    ]);
+  });
+
+  test('should reject invalid and duplicate rules', () => {
+    const engine = new RuleEngine().register({ id: 'a', create: () => ({}) });
+
+    expect(() => engine.register({ id: 'a', create: () => ({}) })).toThrow('Duplicate rule id: a');
+    expect(() => engine.register({ id: 'b' })).toThrow(/create\(context\)/);
+  });
+
+  test('should describe rules by description, default message or id', () => {
+    const engine = new RuleEngine().registerAll([
+      { id: 'no-eval', description: 'Disallow eval()', message: 'eval() found', create: () => ({}) },
+      { id: 'no-var', message: 'Use let or const', create: () => ({}) },
+      { id: 'no-tabs', create: () => ({}) }
+    ]);
+
+    expect(engine.describe([{ id: 'duplicate-code', message: 'Duplicated code' }])).toEqual({
+      'no-eval': { description: 'Disallow eval()' },
+      'no-var': { description: 'Use let or const' },
+      'no-tabs': { description: 'no-tabs' },
+      'duplicate-code': { description: 'Duplicated code' }
+    });
+  });
+
+  test('should surface unrecoverable parse errors with a location', () => {
+    const engine = new RuleEngine();
+
+    expect(() => engine.run('const = ;', 'broken.js')).toThrow(/Could not parse broken\.js \(1:7\)/);
+  });
+});
+
+describe('detectors', () => {
+  const run = (create, content) => new RuleEngine().register({ id: 'rule', create }).run(content, 'file.js');
+
+  test('methodCall should match nested receivers and any receiver when null', () => {
+    expect(run(detect.methodCall('document', 'write'), 'window.document.write(x); doc.write(y);')).toHaveLength(1);
+    expect(run(detect.methodCall(null, 'getElementById'), 'document.getElementById("a"); root.getElementById("b");')).toHaveLength(2);
+  });
+
+  test('memberRead should skip assignment targets', () => {
+    expect(run(detect.memberRead('location', 'hash'), 'location.hash = "a"; const h = location.hash;')).toHaveLength(1);
+  });
+
+  test('missingBraces should allow else-if chains', () => {
+    const content = 'if (a) { b(); } else if (c) { d(); }\nif (a) b();\nwhile (a) a--;';
+    expect(run(detect.missingBraces('IfStatement'), content).map(f => f.line)).toEqual([2]);
+  });
+
+  test('emptyFunction should optionally allow explanatory comments', () => {
+    const content = 'function a () {}\nconst b = () => { /* intentionally empty */ };';
+    expect(run(detect.emptyFunction(), content)).toHaveLength(2);
+    expect(run(detect.emptyFunction({ allowComments: true }), content)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for scripts/lib/rule-packs.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeAll, afterAll } = require('@jest/globals');
+const { RulePackError, loadRulePack, registerRulePacks } = require('../scripts/lib/rule-packs');
+const { RuleEngine } = require('../scripts/lib/rule-engine');
+const { toSchemaFinding } = require('../scripts/lib/finding');
+const AICodeReviewer = require('../scripts/ai-code-review');
+const SecurityVulnerabilityScanner = require('../scripts/security-vulnerability-check');
+const PerformanceAnalyzer = require('../scripts/performance-analysis');
+const CodeStyleReviewer = require('../scripts/code-style-review');
+const { DEFAULT_CONFIG, mergeConfig } = require('../scripts/lib/config');
+
+const NO_MOMENT = `
+module.exports = {
+  name: 'acme-rules',
+  rules: [{
+    id: 'acme/no-moment',
+    severity: 'medium',
+    message: 'moment is deprecated, use date-fns',
+    docsUrl: 'https://example.com/rules/no-moment',
+    create: (context) => ({
+      CallExpression (node) {
+        if (node.callee.name === 'require' && node.arguments[0].value === 'moment') {
+          context.report({ node: node.arguments[0] });
+        }
+      }
+    }),
+    fix: () => "'date-fns'"
+  }]
+};
+`;
+
+describe('rule packs', () => {
+  let workDir;
+  const pack = (name, source) => {
+    fs.writeFileSync(path.join(workDir, name), source);
+    return `./${name}`;
+  };
+  const load = spec => loadRulePack(spec, { cwd: workDir });
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-packs-'));
+    pack('acme.js', NO_MOMENT);
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should load local modules and tag rules with the pack name', () => {
+    const { name, rules } = load('./acme.js');
+
+    expect(name).toBe('acme-rules');
+    expect(rules.map(rule => [rule.id, rule.pack])).toEqual([['acme/no-moment', 'acme-rules']]);
+  });
+
+  test('should carry fixes and docs links into findings', () => {
+    const reviewer = new AICodeReviewer({
+      config: mergeConfig(DEFAULT_CONFIG, { review: { rulePacks: [path.join(workDir, 'acme.js')] } }),
+      cache: false
+    });
+    const issues = [];
+    reviewer.checkPatterns('const moment = require(\'moment\');\nmoment();\n', path.join(workDir, 'a.js'), issues);
+
+    const finding = toSchemaFinding(issues[0], 'review');
+    expect(finding.ruleId).toBe('acme/no-moment');
+    expect(finding.docsUrl).toBe('https://example.com/rules/no-moment');
+    expect(finding.fix).toEqual({
+      description: null,
+      autoFixable: true,
+      replacement: { line: 1, column: 24, endLine: 1, endColumn: 32, text: '\'date-fns\'' }
+    });
+  });
+
+  test('should run every analyzer with pack rules of any severity', async () => {
+    const packFile = path.join(workDir, 'todo.js');
+    fs.writeFileSync(packFile, `module.exports = [{
+      id: 'acme/no-todo',
+      severity: 'info',
+      message: 'TODO call left in code',
+      description: 'Disallow todo() placeholders',
+      create: (context) => ({ CallExpression (node) { if (node.callee.name === 'todo') context.report({ node }); } })
+    }];`);
+    const src = path.join(workDir, 'src');
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, 'app.js'), 'todo();\n');
+    const config = mergeConfig(DEFAULT_CONFIG, ...['security', 'performance', 'style'].map(tool => ({ [tool]: { rulePacks: [packFile] } })));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const security = await new SecurityVulnerabilityScanner({ config, outputDir: workDir, cache: false }).scan(src);
+      const performance = await new PerformanceAnalyzer({ config, outputDir: workDir, cache: false }).analyze(src);
+      const style = await new CodeStyleReviewer({ config, outputDir: workDir, cache: false }).review(src);
+
+      for (const findings of [security.vulnerabilities, performance.issues, style.violations]) {
+        expect(findings.filter(finding => finding.ruleId === 'acme/no-todo').map(finding => finding.severity)).toEqual(['info']);
+      }
+      const report = JSON.parse(fs.readFileSync(path.join(workDir, 'security-scan-results.json'), 'utf8'));
+      expect(report.rules['acme/no-todo']).toEqual({ description: 'Disallow todo() placeholders' });
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should report every invalid rule of a pack', () => {
+    const spec = pack('broken.js', `module.exports = [
+      { id: 'a', severity: 'urgent', description: 42, create: () => ({}) },
+      { severity: 'low' },
+      null
+    ];`);
+
+    expect(() => load(spec)).toThrow(new RulePackError(spec, [
+      'rule "a": "severity" must be one of critical, high, medium, low, info, got urgent',
+      'rule "a": "description" must be a string',
+      'rule #2: missing "id"',
+      'rule #2: "create" must be a function returning AST visitors',
+      'rule #3: expected an object'
+    ]));
+  });
+
+  test('should explain missing, throwing and malformed modules', () => {
+    expect(() => load('sdlc-rules-that-do-not-exist')).toThrow('module not found');
+    expect(() => load(pack('throws.js', 'throw new Error("boom");'))).toThrow('module threw while loading: boom');
+    expect(() => load(pack('empty.js', 'module.exports = {};'))).toThrow('must export an array of rules');
+  });
+
+  test('should reject rule ids that are already taken', () => {
+    const engine = new RuleEngine().register({ id: 'acme/no-moment', create: () => ({}) });
+
+    expect(() => registerRulePacks(engine, ['./acme.js'], { cwd: workDir }))
+      .toThrow('rule "acme/no-moment": id is already used by a built-in rule');
+    expect(() => registerRulePacks(new RuleEngine(), ['./acme.js', './acme.js'], { cwd: workDir }))
+      .toThrow('id is already used by rule pack acme-rules');
+  });
+});
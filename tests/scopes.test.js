@@ -0,0 +1,116 @@
+/**
+ * Tests for scripts/lib/scopes.js and the dead code detectors built on it
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { RuleEngine, parseSource } = require('../scripts/lib/rule-engine');
+const detect = require('../scripts/lib/detectors');
+const { analyzeScopes } = require('../scripts/lib/scopes');
+
+const bindings = (code, filePath = 'a.js') => analyzeScopes(parseSource(code, filePath).program)
+  .map(({ name, kind, exported, references }) => `${name}:${kind}:${references}${exported ? ':exported' : ''}`);
+
+const engine = () => new RuleEngine().registerAll([
+  { id: 'no-unreachable', create: detect.unreachable(), message: 'Unreachable code' },
+  { id: 'no-unused-vars', create: detect.unusedDeclaration({ functions: false, ignorePattern: '^_' }) },
+  { id: 'no-unused-functions', create: detect.unusedDeclaration({ functions: true, ignorePattern: '^_' }) }
+]);
+
+const findings = (code, filePath = 'a.js') => engine().run(code, filePath)
+  .map(f => [f.ruleId, f.line, f.endLine, f.message]);
+
+describe('analyzeScopes', () => {
+  test('should resolve references through nested and shadowing scopes', () => {
+    expect(bindings([
+      'const a = 1;',
+      'function outer (a) {',
+      '  { let b = a; }',
+      '  return function inner () { return inner; };',
+      '}',
+      'export class Form {}',
+      'import React from \'react\';',
+      'const el = <Form />;'
+    ].join('\n'))).toEqual([
+      'a:variable:0',
+      'outer:function:0',
+      'a:parameter:1',
+      'b:variable:0',
+      'inner:function:1',
+      'Form:class:1:exported',
+      'React:import:1',
+      'el:variable:0'
+    ]);
+  });
+
+  test('should count property names and labels as names only', () => {
+    expect(bindings('const key = 1; const obj = { key: 2 }; obj.key; key: for (;;) { break key; }'))
+      .toEqual(['key:variable:0', 'obj:variable:1']);
+  });
+
+  test('should give up on files that use eval or with', () => {
+    expect(analyzeScopes(parseSource('const a = 1; eval(code);', 'a.js').program)).toBeNull();
+  });
+});
+
+describe('dead code detectors', () => {
+  test('should report code after return, throw, break and continue', () => {
+    expect(findings([
+      'function run (items) {',
+      '  for (const item of items) {',
+      '    if (item) { continue; } else { break; }',
+      '    log(item);',
+      '  }',
+      '  return items;',
+      '  log(1);',
+      '  log(2);',
+      '  function hoisted () {}',
+      '}',
+      'module.exports = run;'
+    ].join('\n')).filter(([rule]) => rule === 'no-unreachable')).toEqual([
+      ['no-unreachable', 4, 4, 'Unreachable code'],
+      ['no-unreachable', 7, 8, 'Unreachable code']
+    ]);
+  });
+
+  test('should not report code a try, switch or one-sided if can fall through to', () => {
+    expect(findings([
+      'try { return load(); } catch (error) { log(error); }',
+      'switch (mode) { case 1: { run(); break; } default: run(); }',
+      'if (done) { return; }',
+      'next();'
+    ].join('\n'))).toEqual([]);
+  });
+
+  test('should report unused variables and functions but not parameters or exports', () => {
+    expect(findings([
+      'const fs = require(\'fs\');',
+      'const { a, ...rest } = options;',
+      'const _ignored = 1;',
+      'function helper (unusedParam) { const local = 1; }',
+      'const format = (value) => value;',
+      'export function api () { return rest; }'
+    ].join('\n'))).toEqual([
+      ['no-unused-vars', 1, 1, 'Variable fs is declared but never used'],
+      ['no-unused-functions', 4, 4, 'Function helper is declared but never used'],
+      ['no-unused-vars', 4, 4, 'Variable local is declared but never used'],
+      ['no-unused-functions', 5, 5, 'Function format is declared but never used']
+    ]);
+  });
+
+  test('should not report array elements that hold a position or class expression names', () => {
+    expect(findings([
+      'for (const [key, value] of entries) { use(value); }',
+      'const [first, , third] = list;',
+      'const [head, tail] = pair;',
+      'const Widget = class Inner {};',
+      'use(third, Widget);'
+    ].join('\n'))).toEqual([
+      ['no-unused-vars', 3, 3, 'Variable head is declared but never used'],
+      ['no-unused-vars', 3, 3, 'Variable tail is declared but never used']
+    ]);
+  });
+
+  test('should skip inline HTML scripts, which share names between blocks', () => {
+    expect(findings('<script>function init () {}</script>\n<script>const x = 1;</script>', 'index.html')).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for scripts/lib/scoring.js
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { calculateScore, countCodeLines, explainScore } = require('../scripts/lib/scoring');
+
+const findings = (...severities) => severities.map(severity => ({ severity }));
+const WEIGHTS = { critical: 25, high: 15, medium: 8, low: 3 };
+const NORMALIZATION = { enabled: true, referenceLines: 1000 };
+
+describe('countCodeLines', () => {
+  test('should count non-blank lines', () => {
+    expect(countCodeLines('const a = 1;\n\n   \n// note\nfoo();\n')).toBe(3);
+  });
+});
+
+describe('calculateScore', () => {
+  test('should deduct weighted points per severity', () => {
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'issues', items: findings('high', 'high', 'low', 'info'), weights: WEIGHTS }]
+    });
+
+    expect(score).toBe(67);
+    expect(breakdown).toEqual({
+      base: 100,
+      deductions: [
+        { label: 'issues', severity: 'high', count: 2, weight: 15, points: 30 },
+        { label: 'issues', severity: 'low', count: 1, weight: 3, points: 3 },
+        { label: 'issues', severity: 'info', count: 1, weight: 0, points: 0 }
+      ],
+      penalty: 33,
+      normalization: null,
+      adjustedPenalty: 33,
+      rates: [],
+      bonus: null,
+      score: 67
+    });
+  });
+
+  test('should scale deductions to findings per reference lines of code', () => {
+    const items = findings('critical', 'critical', 'critical', 'critical', 'critical');
+    const deductions = [{ label: 'vulnerabilities', items, weights: WEIGHTS }];
+
+    expect(calculateScore({ deductions }).score).toBe(0);
+    expect(calculateScore({ deductions, linesOfCode: 800, normalization: NORMALIZATION }).score).toBe(0);
+
+    const { score, breakdown } = calculateScore({ deductions, linesOfCode: 5000, normalization: NORMALIZATION });
+    expect(score).toBe(75);
+    expect(breakdown.normalization).toEqual({ linesOfCode: 5000, referenceLines: 1000, factor: 0.2 });
+    expect(breakdown.adjustedPenalty).toBe(25);
+
+    expect(calculateScore({ deductions, linesOfCode: 5000, normalization: { ...NORMALIZATION, enabled: false } }).score).toBe(0);
+  });
+
+  test('should add a capped bonus and keep the score within 0-100', () => {
+    const deductions = [{ label: 'issues', items: findings('medium'), weights: WEIGHTS }];
+
+    expect(calculateScore({ deductions, bonus: { label: 'positives', count: 3, perItem: 2, max: 20 } }).score).toBe(98);
+    expect(calculateScore({ deductions, bonus: { label: 'positives', count: 30, perItem: 2, max: 20 } }).breakdown.bonus)
+      .toEqual({ label: 'positives', count: 30, perItem: 2, max: 20, points: 20 });
+    expect(calculateScore({ deductions, bonus: { label: 'positives', count: 30, perItem: 2, max: 20 } }).score).toBe(100);
+  });
+
+  test('should deduct rates per percent without normalizing them', () => {
+    const { score, breakdown } = calculateScore({
+      deductions: [{ label: 'issues', items: findings('critical', 'critical'), weights: WEIGHTS }],
+      rates: [{ label: 'duplicated lines', percentage: 12.5, weight: 0.5 }, { label: 'dead code', percentage: 0, weight: 1 }],
+      linesOfCode: 5000,
+      normalization: NORMALIZATION
+    });
+
+    expect(breakdown.adjustedPenalty).toBe(10);
+    expect(breakdown.rates).toEqual([{ label: 'duplicated lines', percentage: 12.5, weight: 0.5, points: 6.3 }]);
+    expect(score).toBe(84);
+    expect(explainScore(breakdown)).toContain('-6.3: 12.5% duplicated lines × 0.5');
+  });
+
+  test('should combine several groups of deductions', () => {
+    const { score, breakdown } = calculateScore({
+      deductions: [
+        { label: 'blockers', items: findings('critical'), weights: { critical: 30 } },
+        { label: 'warnings', items: findings('medium', 'medium'), weights: { medium: 3 } }
+      ]
+    });
+
+    expect(score).toBe(64);
+    expect(breakdown.deductions.map(row => `${row.label}/${row.severity}`)).toEqual(['blockers/critical', 'warnings/medium']);
+  });
+});
+
+describe('explainScore', () => {
+  test('should describe each step of the calculation', () => {
+    const { breakdown } = calculateScore({
+      deductions: [{ label: 'issues', items: findings('high', 'high', 'medium'), weights: { high: 10, medium: 5 } }],
+      bonus: { label: 'positives', count: 12, perItem: 2, max: 20 },
+      linesOfCode: 2500,
+      normalization: NORMALIZATION
+    });
+
+    expect(explainScore(breakdown)).toEqual([
+      'Start from 100',
+      '-20: 2 high issues × 10',
+      '-5: 1 medium issues × 5',
+      'Deductions of 25 scaled to 10 for 2500 lines of code (per 1000 lines, ×0.4)',
+      '+20: 12 positives × 2 (capped at 20)',
+      'Score: 100/100'
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for scripts/lib/suppressions.js and inline suppressions in the scanners
+ */
+
+const { expect, test, describe } = require('@jest/globals');
+const { RuleEngine, parseSource } = require('../scripts/lib/rule-engine');
+const { parseDirectives } = require('../scripts/lib/suppressions');
+const detect = require('../scripts/lib/detectors');
+const SecurityVulnerabilityScanner = require('../scripts/security-vulnerability-check');
+const CodeStyleReviewer = require('../scripts/code-style-review');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+const engine = () => new RuleEngine().registerAll([
+  { id: 'no-eval', create: detect.call('eval'), severity: 'high' },
+  { id: 'insecure-random', create: detect.methodCall('Math', 'random'), severity: 'low' }
+]);
+
+const lines = (...source) => source.join('\n');
+const ruleLines = findings => findings.map(finding => `${finding.ruleId}:${finding.line}`);
+
+describe('parseDirectives', () => {
+  test('should parse kind, rule ids and reason', () => {
+    const { comments } = parseSource(lines(
+      '// sdlc-disable-next-line no-eval, insecure-random -- trusted input',
+      '/* sdlc-disable */',
+      '// sdlc-enable insecure-random',
+      '// sdlc-disabled is not a directive'
+    ), 'a.js');
+
+    expect(parseDirectives(comments)).toEqual([
+      { kind: 'sdlc-disable-next-line', ruleIds: ['no-eval', 'insecure-random'], reason: 'trusted input', line: 1, column: 1, endLine: 1 },
+      { kind: 'sdlc-disable', ruleIds: null, reason: null, line: 2, column: 1, endLine: 2 },
+      { kind: 'sdlc-enable', ruleIds: ['insecure-random'], reason: null, line: 3, column: 1, endLine: 3 }
+    ]);
+  });
+});
+
+describe('RuleEngine.check', () => {
+  test('should suppress the next line and the same line', () => {
+    const result = engine().check(lines(
+      '// sdlc-disable-next-line no-eval -- build-time constant',
+      'eval(a); Math.random();',
+      'eval(b); // sdlc-disable-line',
+      'eval(c);'
+    ), 'a.js');
+
+    expect(ruleLines(result.findings)).toEqual(['insecure-random:2', 'no-eval:4']);
+    expect(ruleLines(result.suppressed)).toEqual(['no-eval:2', 'no-eval:3']);
+    expect(result.suppressed[0].suppression).toEqual({ kind: 'sdlc-disable-next-line', reason: 'build-time constant', line: 1 });
+  });
+
+  test('should suppress blocks until sdlc-enable and files without one', () => {
+    const block = engine().check(lines(
+      'eval(a);',
+      '/* sdlc-disable no-eval */',
+      'eval(b);',
+      '/* sdlc-enable no-eval */',
+      'eval(c);'
+    ), 'a.js');
+    expect(ruleLines(block.findings)).toEqual(['no-eval:1', 'no-eval:5']);
+    expect(ruleLines(block.suppressed)).toEqual(['no-eval:3']);
+
+    const file = engine().check(lines('/* sdlc-disable -- generated file */', 'eval(a);', 'Math.random();'), 'a.js');
+    expect(file.findings).toEqual([]);
+    expect(file.suppressed).toHaveLength(2);
+  });
+
+  test('should flag unused directives for registered rules only', () => {
+    const result = engine().check(lines(
+      '// sdlc-disable-next-line insecure-random, no-inner-html',
+      'eval(a);',
+      '// sdlc-disable-next-line',
+      'const safe = 1;'
+    ), 'a.js');
+
+    expect(result.unusedSuppressions).toEqual([{
+      ruleId: 'insecure-random',
+      kind: 'sdlc-disable-next-line',
+      reason: null,
+      line: 1,
+      column: 1,
+      message: 'Unused sdlc-disable-next-line directive: no insecure-random finding to suppress'
+    }]);
+  });
+});
+
+describe('scanner suppressions', () => {
+  const options = { config: DEFAULT_CONFIG };
+  const content = lines(
+    'el.innerHTML = html; // sdlc-disable-line no-inner-html -- sanitized above',
+    '// sdlc-disable-next-line insecure-random',
+    'const id = 1;'
+  );
+
+  test('SecurityVulnerabilityScanner should report suppressed findings separately', () => {
+    const scanner = new SecurityVulnerabilityScanner(options);
+    const fileAnalysis = { file: 'src/a.js', vulnerabilities: [] };
+    scanner.checkSecurityPatterns(content, 'src/a.js', fileAnalysis);
+
+    expect(fileAnalysis.vulnerabilities).toEqual([]);
+    expect(fileAnalysis.riskScore).toBe(0);
+    expect(scanner.results.suppressed.map(vuln => vuln.ruleId)).toEqual(['no-inner-html']);
+    expect(scanner.results.unusedSuppressions.map(directive => `${directive.file}:${directive.line}`)).toEqual(['src/a.js:2']);
+  });
+
+  test('CodeStyleReviewer should ignore directives for rules it does not own', () => {
+    const reviewer = new CodeStyleReviewer(options);
+    reviewer.checkStylePatterns(content, 'src/a.js', { file: 'src/a.js', violations: [] });
+
+    expect(reviewer.results.unusedSuppressions).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for scripts/lib/watch.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeEach, afterEach } = require('@jest/globals');
+const { Watcher } = require('../scripts/lib/watch');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+describe('Watcher', () => {
+  let workDir;
+  let watcher;
+  const file = name => path.join(workDir, name);
+  const rules = findings => findings.map(finding => `${finding.tool}/${finding.ruleId}:${finding.location.line}`).sort();
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-watch-'));
+    fs.writeFileSync(file('app.js'), 'exports.a = eval(input);\n');
+    fs.writeFileSync(file('clean.js'), 'exports.b = 1;\n');
+
+    watcher = new Watcher({ config: DEFAULT_CONFIG, path: workDir, outputDir: workDir, cache: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await watcher.close();
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should analyze the tree once on start', async () => {
+    expect(await watcher.start()).toEqual({ files: 2, findings: 2 });
+  });
+
+  test('should report only the findings a save added or fixed', async () => {
+    await watcher.start();
+    fs.writeFileSync(file('app.js'), 'exports.a = eval(input);\nvar c = 2;\nexports.c = c;\n');
+
+    const delta = await watcher.check(file('app.js'));
+    expect(rules(delta.added)).toEqual(['review/no-var:2', 'style/no-var:2']);
+    expect(delta.fixed).toEqual([]);
+    expect(delta.total).toBe(4);
+
+    fs.writeFileSync(file('app.js'), 'exports.a = JSON.parse(input);\nvar c = 2;\nexports.c = c;\n');
+    expect(rules((await watcher.check(file('app.js'))).fixed)).toEqual(['review/no-eval:1', 'security/no-eval:1']);
+  });
+
+  test('should treat new files as all new and deleted files as all fixed', async () => {
+    await watcher.start();
+    fs.writeFileSync(file('new.js'), 'document.write(html);\n');
+    expect(rules((await watcher.check(file('new.js'))).added)).toEqual(['review/no-document-write:1', 'security/no-document-write:1']);
+
+    fs.rmSync(file('app.js'));
+    const delta = await watcher.check(file('app.js'));
+    expect(rules(delta.fixed)).toEqual(['review/no-eval:1', 'security/no-eval:1']);
+    expect(delta.total).toBe(0);
+  });
+
+  test('should print the delta for a saved file once edits settle', async () => {
+    await watcher.start();
+    watcher.schedule(file('app.js'));
+    fs.writeFileSync(file('app.js'), 'exports.a = 1;\n');
+    watcher.schedule(file('app.js'));
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await watcher.queue;
+    const output = console.log.mock.calls.map(([line]) => line).join('\n');
+    expect(output).toContain('0 new, 2 fixed (0 total)');
+    expect(output.match(/🔁/g)).toHaveLength(1);
+  });
+});
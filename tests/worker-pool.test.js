@@ -0,0 +1,99 @@
+/**
+ * Tests for scripts/lib/worker-pool.js and parallel analysis
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, test, describe, beforeAll, afterAll } = require('@jest/globals');
+const { resolveConcurrency, runInWorkers } = require('../scripts/lib/worker-pool');
+const SecurityVulnerabilityScanner = require('../scripts/security-vulnerability-check');
+const { DEFAULT_CONFIG } = require('../scripts/lib/config');
+
+describe('runInWorkers', () => {
+  let workDir;
+  let script;
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sdlc-workers-'));
+    script = path.join(workDir, 'worker.js');
+    fs.writeFileSync(script, [
+      'const { parentPort } = require(\'worker_threads\');',
+      'parentPort.on(\'message\', n => {',
+      '  if (n === \'hang\') for (;;);',
+      '  if (n === \'exit\') process.exit(3);',
+      '  if (n < 0) return parentPort.postMessage({ error: \'negative: \' + n });',
+      '  setTimeout(() => parentPort.postMessage({ value: n * 2 }), (5 - n) * 10);',
+      '});'
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should return outcomes in task order', async () => {
+    expect(await runInWorkers(script, [1, 2, 3, 4, -1], { size: 3 })).toEqual([
+      { value: 2 }, { value: 4 }, { value: 6 }, { value: 8 }, { error: 'negative: -1' }
+    ]);
+  });
+
+  test('should give up on tasks that exceed the timeout and keep going', async () => {
+    const outcomes = await runInWorkers(script, [1, 'hang', 2], { size: 1, timeout: 1000 });
+
+    expect(outcomes).toEqual([{ value: 2 }, { error: 'timed out after 1000ms', timedOut: true }, { value: 4 }]);
+  });
+
+  test('should settle the task of a worker that exits and keep going', async () => {
+    const outcomes = await runInWorkers(script, [1, 'exit', 2], { size: 1 });
+
+    expect(outcomes).toEqual([{ value: 2 }, { error: 'worker exited with code 3' }, { value: 4 }]);
+  });
+
+  test('should resolve --concurrency values', () => {
+    expect(resolveConcurrency('4')).toBe(4);
+    expect(resolveConcurrency('auto')).toBe(os.cpus().length);
+    expect(resolveConcurrency('0')).toBeNull();
+    expect(resolveConcurrency('two')).toBeNull();
+  });
+
+  test('scanners should report the same findings in parallel as in sequence', async () => {
+    const src = path.join(workDir, 'src');
+    fs.mkdirSync(src);
+    for (let i = 0; i < 6; i++) {
+      fs.writeFileSync(path.join(src, `file${i}.js`), `eval(input${i});\nel.innerHTML = html${i};\n`);
+    }
+    fs.writeFileSync(path.join(src, 'broken.js'), 'const = ;\n');
+
+    const scan = async (concurrency) => {
+      const scanner = new SecurityVulnerabilityScanner({ config: DEFAULT_CONFIG, outputDir: workDir, cache: false, concurrency });
+      scanner.generateReport = () => {};
+      return scanner.scan(src);
+    };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sequential = await scan(1);
+    const parallel = await scan(3);
+    jest.restoreAllMocks();
+
+    expect(parallel.vulnerabilities).toHaveLength(12);
+    expect(parallel.vulnerabilities).toEqual(sequential.vulnerabilities);
+  }, 20000);
+
+  test('scanners should apply the file timeout without --concurrency', async () => {
+    const src = path.join(workDir, 'slow');
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, 'slow.js'), 'eval(input);\n');
+
+    const scanner = new SecurityVulnerabilityScanner({ config: DEFAULT_CONFIG, outputDir: workDir, cache: false, fileTimeout: 1 });
+    scanner.generateReport = () => {};
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const results = await scanner.scan(src);
+    jest.restoreAllMocks();
+
+    // Starting the worker alone takes longer than 1ms
+    expect(results.skippedFiles).toEqual([{ file: path.relative(process.cwd(), path.join(src, 'slow.js')), reason: 'timed out after 1ms' }]);
+    expect(results.vulnerabilities).toEqual([]);
+  }, 20000);
+});